@@ -0,0 +1,268 @@
+﻿/*
+	Functions shared by the JavaScript tests for running the scripts from Engine/Resources/Styles/DefaultJS in Node with
+	only the parts of the browser they need.
+
+	This file is part of Natural Docs, which is Copyright © 2003-2025 Code Clear LLC.
+	Natural Docs is licensed under version 3 of the GNU Affero General Public
+	License (AGPL).  Refer to License.txt or www.naturaldocs.org for the
+	complete details.
+*/
+
+"use strict";
+
+var fs = require("node:fs");
+var path = require("node:path");
+var vm = require("node:vm");
+
+
+var DefaultJSFolder = path.join(__dirname, "..", "..", "Engine", "Resources", "Styles", "DefaultJS");
+
+
+
+// Group: Functions
+// ________________________________________________________________________
+
+
+/* Function: ProcessScript
+	Loads a script from DefaultJSFolder and applies the substitutions Natural Docs would when building the output.
+	Locale substitutions are replaced by their identifiers.
+*/
+function ProcessScript (fileName)
+	{
+	var source = fs.readFileSync(path.join(DefaultJSFolder, fileName), "utf8").replace(/^﻿/, "");
+	var substitutions = { };
+
+	source = source.replace(/^[ \t]*\$(\w+)[ \t]*=[ \t]*([^;\r\n]+);?/gm,
+		function (match, identifier, value)
+			{
+			substitutions[identifier] = value.trim();
+			return "";
+			});
+
+	source = source.replace(/\$Locale\{([^}]+)\}/g,
+		function (match, identifier)
+			{  return JSON.stringify(identifier);  });
+
+	source = source.replace(/\$(\w+)/g,
+		function (match, identifier)
+			{  return (substitutions[identifier] !== undefined ? substitutions[identifier] : match);  });
+
+	return source;
+	}
+
+
+/* Function: CreateTimers
+	Creates a replacement for setTimeout() and clearTimeout() that only runs when <Settle()> says so, so the retry delays
+	and timeouts don't slow down the tests.
+*/
+function CreateTimers ()
+	{
+	var timers = { now: 0, nextID: 1, pending: [ ] };
+
+	timers.setTimeout = function (callback, delay)
+		{
+		var id = timers.nextID++;
+		timers.pending.push({ id: id, callback: callback, time: timers.now + (delay || 0) });
+		return id;
+		};
+
+	timers.clearTimeout = function (id)
+		{
+		timers.pending = timers.pending.filter( function (timer)
+			{  return (timer.id != id);  });
+		};
+
+	return timers;
+	}
+
+
+/* Function: Settle
+	Lets all the pending promises and timers run, advancing the fake clock from <CreateTimers()> as needed, until there's
+	nothing left to do.
+*/
+async function Settle (timers)
+	{
+	for (var i = 0; i < 1000; i++)
+		{
+		await new Promise( function (resolve)
+			{  setImmediate(resolve);  });
+
+		if (timers.pending.length == 0)
+			{  return;  }
+
+		timers.pending.sort( function (a, b)
+			{  return (a.time - b.time) || (a.id - b.id);  });
+
+		var timer = timers.pending.shift();
+		timers.now = timer.time;
+		timer.callback();
+		}
+
+	throw new Error("The timers never settled.");
+	}
+
+
+/* Function: CreateElement
+	Creates a stand-in for a DOM element with just enough to build <NDCore.CreateLoadErrorNotice()>.
+*/
+function CreateElement (tagName)
+	{
+	var element = { tagName: tagName, className: "", textContent: "", children: [ ] };
+
+	element.appendChild = function (child)
+		{  element.children.push(child);  };
+
+	Object.defineProperty(element, "outerHTML", {
+		get: function ()
+			{
+			var html = "<" + tagName + " class=\"" + element.className + "\"";
+
+			if (element.href != undefined)
+				{  html += " href=\"" + element.href + "\"";  }
+
+			html += ">" + element.textContent;
+
+			for (var i = 0; i < element.children.length; i++)
+				{  html += element.children[i].outerHTML;  }
+
+			return html + "</" + tagName + ">";
+			}
+		});
+
+	return element;
+	}
+
+
+/* Function: CreateMainThread
+
+	Creates a context like the frame page's with NDCore, NDSearchWorker, and NDSearch loaded.  NDSearch isn't started
+	since that needs the real page, so it only has what <StartSearch()> sets up.
+
+	NDCore.LoadJavaScriptData() is replaced by loadDataFile, which is passed the path and returns a promise like it.
+	Search results that get to NDSearch.OnSearchResults() are added to the returned results array.
+*/
+function CreateMainThread (loadDataFile)
+	{
+	var timers = CreateTimers();
+
+	var context = vm.createContext({
+		setTimeout: timers.setTimeout,
+		clearTimeout: timers.clearTimeout,
+		document: {
+			createElement: CreateElement,
+			getElementById: function ()
+				{  return undefined;  }
+			},
+		NDFramePage: { currentLocation: undefined }
+		});
+
+	vm.runInContext(ProcessScript("NDCore.js"), context, { filename: "NDCore.js" });
+	vm.runInContext(ProcessScript("NDSearchWorker.js"), context, { filename: "NDSearchWorker.js" });
+	vm.runInContext(ProcessScript("NDSearch.js"), context, { filename: "NDSearch.js" });
+
+	var mainThread = {
+		context: context,
+		timers: timers,
+		NDSearch: vm.runInContext("NDSearch", context),
+		NDSearchWorker: vm.runInContext("NDSearchWorker", context),
+		loadedPaths: [ ],
+		results: [ ]
+		};
+
+	vm.runInContext("NDCore", context).LoadJavaScriptData = function (path)
+		{
+		mainThread.loadedPaths.push(path);
+		return loadDataFile(path);
+		};
+
+	mainThread.NDSearch.OnSearchResults = function (results)
+		{  mainThread.results.push(results);  };
+
+	return mainThread;
+	}
+
+
+/* Function: CreateWorker
+
+	Creates a context like a web worker's with NDSearchWorker loaded.  fetch() is replaced by the passed function.
+
+	It returns an object which acts like a Worker object to NDSearch.  The messages NDSearchWorker posts are also
+	added to its messages array.
+*/
+function CreateWorker (timers, fetch)
+	{
+	var worker = {
+		messages: [ ],
+		terminated: false,
+		listeners: { message: [ ], error: [ ] }
+		};
+
+	var context = vm.createContext({
+		setTimeout: timers.setTimeout,
+		clearTimeout: timers.clearTimeout,
+		fetch: fetch,
+		URL: URL,
+		AbortController: AbortController
+		});
+
+	var workerScope = vm.runInContext(
+		"var WorkerGlobalScope = function () { };  var self = new WorkerGlobalScope();  self;", context);
+
+	var messageHandler;
+
+	workerScope.importScripts = function (fileName)
+		{  vm.runInContext(ProcessScript(fileName), context, { filename: fileName });  };
+
+	workerScope.addEventListener = function (type, handler)
+		{  messageHandler = handler;  };
+
+	workerScope.postMessage = function (message)
+		{
+		worker.messages.push(message);
+
+		timers.setTimeout( function ()
+			{
+			if (!worker.terminated)
+				{
+				for (var i = 0; i < worker.listeners.message.length; i++)
+					{  worker.listeners.message[i]({ data: message });  }
+				}
+			}, 0);
+		};
+
+	vm.runInContext("var importScripts = self.importScripts;", context);
+	vm.runInContext(ProcessScript("NDSearchWorker.js"), context, { filename: "NDSearchWorker.js" });
+
+	worker.postMessage = function (message)
+		{
+		timers.setTimeout( function ()
+			{
+			if (!worker.terminated)
+				{  messageHandler({ data: message });  }
+			}, 0);
+		};
+
+	worker.addEventListener = function (type, listener)
+		{  worker.listeners[type].push(listener);  };
+
+	worker.removeEventListener = function (type, listener)
+		{
+		worker.listeners[type] = worker.listeners[type].filter( function (existingListener)
+			{  return (existingListener !== listener);  });
+		};
+
+	worker.terminate = function ()
+		{  worker.terminated = true;  };
+
+	return worker;
+	}
+
+
+module.exports = {
+	ProcessScript: ProcessScript,
+	CreateTimers: CreateTimers,
+	Settle: Settle,
+	CreateElement: CreateElement,
+	CreateMainThread: CreateMainThread,
+	CreateWorker: CreateWorker
+	};
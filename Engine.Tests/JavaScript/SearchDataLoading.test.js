@@ -0,0 +1,259 @@
+﻿/*
+	Tests for how NDSearch and NDSearchWorker handle search data files that can't be loaded.  They run the scripts
+	from Engine/Resources/Styles/DefaultJS in Node with only the parts of the browser they need, so there's nothing
+	to install.  Run them with:
+
+		node --test Engine.Tests/JavaScript
+
+	This file is part of Natural Docs, which is Copyright © 2003-2025 Code Clear LLC.
+	Natural Docs is licensed under version 3 of the GNU Affero General Public
+	License (AGPL).  Refer to License.txt or www.naturaldocs.org for the
+	complete details.
+*/
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+
+var Harness = require("./Harness.js");
+var CreateMainThread = Harness.CreateMainThread;
+var CreateWorker = Harness.CreateWorker;
+var Settle = Harness.Settle;
+
+
+
+// Group: Support Functions
+// ________________________________________________________________________
+
+
+/* Function: StartSearch
+	Sets up NDSearch on the passed main thread like <NDSearch.Start()> would, using the passed worker if it's defined, and
+	searches for the passed text.  search/index.js is treated as already loaded with the passed prefixes.
+*/
+function StartSearch (mainThread, worker, searchText, prefixes)
+	{
+	var NDSearch = mainThread.NDSearch;
+
+	NDSearch.domSearchField = { value: searchText, classList: { contains: function () {  return false;  } } };
+	NDSearch.domResultsContent = { innerHTML: "" };
+	NDSearch.ShowResults = function () { };
+	NDSearch.HidePreview = function () { };
+
+	NDSearch.requestID = 0;
+	NDSearch.openParents = [ ];
+	NDSearch.moreResultsThreshold = 25;
+	NDSearch.preferredCommentTypes = [ ];
+	NDSearch.fuzzyMatching = false;
+	NDSearch.bodySearch = true;
+	NDSearch.abbreviationSearch = false;
+	NDSearch.groupByClass = false;
+	NDSearch.searchFilters = { commentTypes: [ ], languages: [ ] };
+
+	NDSearch.workerMessageEventHandler = NDSearch.OnWorkerMessage.bind(NDSearch);
+	NDSearch.workerErrorEventHandler = NDSearch.OnWorkerError.bind(NDSearch);
+	NDSearch.worker = worker;
+
+	if (worker != undefined)
+		{
+		worker.addEventListener("message", NDSearch.workerMessageEventHandler);
+		worker.addEventListener("error", NDSearch.workerErrorEventHandler);
+		worker.postMessage({ action: "Start", baseURL: "https://example.com/docs/index.html" });
+		}
+
+	NDSearch.OnPrefixIndexLoaded(prefixes);
+	NDSearch.Update();
+	}
+
+
+/* Function: CallDataFile
+	Returns a promise which acts like a data file that loaded successfully by calling the passed function on the main
+	thread's NDSearch.  The parameters are copied since NDSearchWorker changes the data it's given.
+*/
+function CallDataFile (mainThread, functionName, parameters)
+	{
+	return Promise.resolve().then( function ()
+		{  mainThread.NDSearch[functionName].apply(mainThread.NDSearch, structuredClone(parameters));  });
+	}
+
+
+/* Function: LastResults
+	Returns the last search results the main thread received.
+*/
+function LastResults (mainThread)
+	{
+	assert.ok(mainThread.results.length > 0, "No search results were received.");
+	return mainThread.results[mainThread.results.length - 1];
+	}
+
+
+// A keyword data file for the "abc" prefix with a single function named abcDef.
+var KeywordData_abc = [ "abc", [ "Function" ], [ "JavaScript" ],
+	[ [ "abcDef", undefined, [ [ undefined, undefined, undefined, undefined, 0, "File:abc.js:abcDef", undefined, 0 ] ] ] ] ];
+
+// A keyword data file for the "abc" prefix with nothing that would match "abcxyz".
+var KeywordData_abc_NoMatches = [ "abc", [ "Function" ], [ "JavaScript" ], [ ] ];
+
+
+
+// Group: Tests
+// ________________________________________________________________________
+
+
+test("A search index that can't be loaded shows an error with a retry link", function ()
+	{
+	var mainThread = CreateMainThread( function ()
+		{  return Promise.reject(new Error("404"));  });
+
+	var NDSearch = mainThread.NDSearch;
+	StartSearch(mainThread, undefined, "abc", [ "abc" ]);
+
+	NDSearch.OnPrefixIndexLoadFailed();
+
+	assert.match(NDSearch.domResultsContent.innerHTML, /SeStatus LoadError/);
+	assert.match(NDSearch.domResultsContent.innerHTML, /javascript:NDSearch\.RetryLoading\(\)/);
+	assert.doesNotMatch(NDSearch.domResultsContent.innerHTML, /Searching/);
+	});
+
+
+test("A keyword prefix that can't be loaded reports loadFailed instead of searching forever", async function ()
+	{
+	var mainThread = CreateMainThread( function ()
+		{  return Promise.reject(new Error("404"));  });
+
+	StartSearch(mainThread, undefined, "abc", [ "abc" ]);
+	await Settle(mainThread.timers);
+
+	var results = LastResults(mainThread);
+
+	assert.strictEqual(mainThread.loadedPaths[0], "search/keywords/006100620063.js");
+	assert.strictEqual(results.searching, false);
+	assert.strictEqual(results.loadFailed, true);
+	});
+
+
+test("A body prefix index that can't be loaded reports loadFailed", async function ()
+	{
+	var mainThread = CreateMainThread( function (path)
+		{
+		if (path == "search/keywords/006100620063.js")
+			{  return CallDataFile(mainThread, "OnPrefixDataLoaded", KeywordData_abc_NoMatches);  }
+		else
+			{  return Promise.reject(new Error("404"));  }
+		});
+
+	StartSearch(mainThread, undefined, "abcxyz", [ "abc" ]);
+	await Settle(mainThread.timers);
+
+	var results = LastResults(mainThread);
+
+	assert.deepStrictEqual(mainThread.loadedPaths, [ "search/keywords/006100620063.js", "search/body/index.js" ]);
+	assert.strictEqual(results.searching, false);
+	assert.strictEqual(results.loadFailed, true);
+	assert.strictEqual(results.bodyTopics.length, 0);
+
+	// Searching again has to keep working instead of throwing.
+	mainThread.NDSearch.Update();
+	await Settle(mainThread.timers);
+
+	assert.strictEqual(LastResults(mainThread).loadFailed, true);
+	});
+
+
+test("A body prefix that can't be loaded reports loadFailed", async function ()
+	{
+	var mainThread = CreateMainThread( function (path)
+		{
+		if (path == "search/keywords/006100620063.js")
+			{  return CallDataFile(mainThread, "OnPrefixDataLoaded", KeywordData_abc_NoMatches);  }
+		else if (path == "search/body/index.js")
+			{  return CallDataFile(mainThread, "OnBodyPrefixIndexLoaded", [ [ "abc" ] ]);  }
+		else
+			{  return Promise.reject(new Error("404"));  }
+		});
+
+	StartSearch(mainThread, undefined, "abcxyz", [ "abc" ]);
+	await Settle(mainThread.timers);
+
+	var results = LastResults(mainThread);
+
+	assert.deepStrictEqual(mainThread.loadedPaths,
+		[ "search/keywords/006100620063.js", "search/body/index.js", "search/body/006100620063.js" ]);
+	assert.strictEqual(results.searching, false);
+	assert.strictEqual(results.loadFailed, true);
+	});
+
+
+test("Retrying loads the files that failed again", async function ()
+	{
+	var keywordLoads = 0;
+
+	var mainThread = CreateMainThread( function (path)
+		{
+		if (path == "search/keywords/006100620063.js")
+			{
+			keywordLoads++;
+
+			if (keywordLoads == 1)
+				{  return Promise.reject(new Error("404"));  }
+			else
+				{  return CallDataFile(mainThread, "OnPrefixDataLoaded", KeywordData_abc);  }
+			}
+		else
+			{  return CallDataFile(mainThread, "OnBodyPrefixIndexLoaded", [ [ ] ]);  }
+		});
+
+	StartSearch(mainThread, undefined, "abc", [ "abc" ]);
+	await Settle(mainThread.timers);
+
+	assert.strictEqual(LastResults(mainThread).loadFailed, true);
+
+	mainThread.NDSearch.domSearchField.focus = function () { };
+	mainThread.NDSearch.RetryLoading();
+	await Settle(mainThread.timers);
+
+	var results = LastResults(mainThread);
+
+	assert.strictEqual(keywordLoads, 2);
+	assert.strictEqual(results.loadFailed, false);
+	assert.strictEqual(results.keywords.length, 1);
+	assert.strictEqual(results.keywords[0].htmlName, "abcDef");
+	});
+
+
+test("A worker that can't fetch the data files falls back to loading them on the main thread", async function ()
+	{
+	var mainThread = CreateMainThread( function (path)
+		{
+		if (path == "search/keywords/006100620063.js")
+			{  return CallDataFile(mainThread, "OnPrefixDataLoaded", KeywordData_abc);  }
+		else
+			{  return CallDataFile(mainThread, "OnBodyPrefixIndexLoaded", [ [ ] ]);  }
+		});
+
+	var fetchedURLs = [ ];
+
+	var worker = CreateWorker(mainThread.timers, function (url)
+		{
+		fetchedURLs.push(url);
+		return Promise.reject(new TypeError("Failed to fetch"));
+		});
+
+	StartSearch(mainThread, worker, "abc", [ "abc" ]);
+	await Settle(mainThread.timers);
+
+	var keywordFetches = fetchedURLs.filter( function (url)
+		{  return (url == "https://example.com/docs/search/keywords/006100620063.js");  });
+
+	assert.strictEqual(keywordFetches.length, 3);
+	assert.strictEqual(worker.messages[worker.messages.length - 1].action, "LoadFailed");
+	assert.strictEqual(worker.terminated, true);
+	assert.strictEqual(mainThread.NDSearch.worker, undefined);
+
+	var results = LastResults(mainThread);
+
+	assert.strictEqual(mainThread.loadedPaths[0], "search/keywords/006100620063.js");
+	assert.strictEqual(results.loadFailed, false);
+	assert.strictEqual(results.keywords.length, 1);
+	assert.strictEqual(results.keywords[0].htmlName, "abcDef");
+	});
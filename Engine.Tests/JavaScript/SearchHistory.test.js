@@ -0,0 +1,96 @@
+﻿/*
+	Tests for how NDSearch handles the search history it keeps in local storage.  Run them with:
+
+		node --test Engine.Tests/JavaScript
+
+	This file is part of Natural Docs, which is Copyright © 2003-2025 Code Clear LLC.
+	Natural Docs is licensed under version 3 of the GNU Affero General Public
+	License (AGPL).  Refer to License.txt or www.naturaldocs.org for the
+	complete details.
+*/
+
+"use strict";
+
+var test = require("node:test");
+var assert = require("node:assert");
+
+var Harness = require("./Harness.js");
+
+
+
+// Group: Support Functions
+// ________________________________________________________________________
+
+
+/* Function: BuildHistory
+	Creates a main thread whose local storage has the passed JSON for the recent searches and topics, and returns
+	the HTML NDSearch builds for them.
+*/
+function BuildHistory (recentSearchesJSON, recentTopicsJSON)
+	{
+	var mainThread = Harness.CreateMainThread( function ()
+		{  return Promise.reject(new Error("404"));  });
+
+	var storage = {
+		"NDSearch.RecentSearches": recentSearchesJSON,
+		"NDSearch.RecentTopics:/docs/index.html": recentTopicsJSON
+		};
+
+	mainThread.context.window = {
+		localStorage: {
+			getItem: function (key)
+				{  return (storage[key] !== undefined ? storage[key] : null);  }
+			},
+		location: { pathname: "/docs/index.html" }
+		};
+
+	var NDSearch = mainThread.NDSearch;
+
+	NDSearch.keyboardSelectionIndex = -1;
+	NDSearch.topLevelEntryCount = 0;
+	NDSearch.visibleEntryCount = 0;
+	NDSearch.topLevelEntryKeys = [ ];
+	NDSearch.visibleEntryKeys = [ ];
+
+	return NDSearch.BuildHistory();
+	}
+
+
+
+// Group: Tests
+// ________________________________________________________________________
+
+
+test("Valid history entries are built", function ()
+	{
+	var html = BuildHistory('["a<b"]', '[["Topic", "File:a.js:Topic", "Function"]]');
+
+	assert.match(html, /a&lt;b/);
+	assert.match(html, /href="#File:a\.js:Topic"/);
+	assert.match(html, /SeRecentTopic TFunction/);
+	});
+
+
+test("Recent searches that aren't strings are dropped", function ()
+	{
+	var html = BuildHistory('[1, [], null, {}, "abc"]', '[]');
+
+	assert.strictEqual(html.match(/SeRecentSearch/g).length, 1);
+	assert.match(html, /abc/);
+	});
+
+
+test("Recent topics that aren't arrays with string names and hash paths are dropped", function ()
+	{
+	var html = BuildHistory('[]',
+		'[1, [], [[]], ["Topic", 1], [1, "File:b.js"], "File:c.js", null, ["Topic", "File:a.js:Topic"]]');
+
+	assert.strictEqual(html.match(/SeRecentTopic/g).length, 1);
+	assert.match(html, /href="#File:a\.js:Topic"/);
+	});
+
+
+test("History that isn't an array is ignored", function ()
+	{
+	assert.strictEqual(BuildHistory('{"0": "abc"}', 'not JSON'), "");
+	});
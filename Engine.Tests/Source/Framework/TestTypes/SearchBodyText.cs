@@ -0,0 +1,107 @@
+﻿/*
+ * Class: CodeClear.NaturalDocs.Engine.Tests.Framework.TestTypes.SearchBodyText
+ * ____________________________________________________________________________
+ *
+ * File-based tests to make sure Natural Docs can generate the searchable body text of topics correctly, including the
+ * words and snippets that go into each body prefix data file.
+ *
+ *
+ * Deriving a Test Class:
+ *
+ *		- Derive a class and add the [TestFixture] attribute.
+ *
+ *		- Create a function with the [Test] attribute that calls TestFolder(), pointing it to the input files.
+ *
+ *
+ * Input and Output Files:
+ *
+ *		- All files in the test folder in the format "[Test Name] - Input.[extension]" will be tested when NUnit runs.
+ *
+ *		- A corresponding file "[Test Name] - Actual Output.txt" will be created for each one.
+ *
+ *		- If it matches the contents of the file "[Test Name] - Expected Output.txt", the test will pass.  If it doesn't,
+ *		  that file doesn't exist, or an exception was thrown, the test will fail.
+ *
+ */
+
+// This file is part of Natural Docs, which is Copyright © 2003-2025 Code Clear LLC.
+// Natural Docs is licensed under version 3 of the GNU Affero General Public License (AGPL)
+// Refer to License.txt for the complete details
+
+
+using System;
+using System.Collections.Generic;
+using System.Text;
+using CodeClear.NaturalDocs.Engine.Topics;
+
+
+namespace CodeClear.NaturalDocs.Engine.Tests.Framework.TestTypes
+	{
+	public class SearchBodyText : Framework.BaseTestTypes.SourceToTopics
+		{
+
+		public override string OutputOf (IList<Topic> topics)
+			{
+			if (topics == null || topics.Count == 0)
+				{  return "(No topics found)";  }
+
+			StringBuilder output = new StringBuilder();
+			var searchIndex = (EngineInstance.Output.Targets[0] as Engine.Output.HTML.Target).SearchIndex;
+
+			for (int i = 0; i < topics.Count; i++)
+				{
+				if (i != 0)
+					{  output.AppendLine();  }
+
+				output.AppendLine("Topic: " + topics[i].Title);
+
+				var bodyText = new Engine.Output.HTML.SearchIndex.Entries.BodyText(topics[i]);
+
+				output.Append("- Plain Text: ");
+
+				if (bodyText.PlainText == "")
+					{  output.AppendLine("(none)");  }
+				else
+					{  output.AppendLine(bodyText.PlainText);  }
+
+				output.Append("- Words: ");
+
+				if (bodyText.Words.Count == 0)
+					{  output.AppendLine("(none)");  }
+				else
+					{  output.AppendLine(string.Join(", ", bodyText.Words.ToArray()));  }
+
+
+				// Show what would go in each body prefix data file, which is the words that start with the prefix and the snippet
+				// around the first one.
+
+				List<string> prefixes = new List<string>();
+
+				foreach (var word in bodyText.Words)
+					{
+					string prefix = searchIndex.RemoveBodyPrefixMarker( searchIndex.BodyWordPrefix(word) );
+
+					if (!prefixes.Contains(prefix))
+						{  prefixes.Add(prefix);  }
+					}
+
+				foreach (var prefix in prefixes)
+					{
+					List<string> prefixWords = new List<string>();
+
+					foreach (var word in bodyText.Words)
+						{
+						if (word.StartsWith(prefix, StringComparison.Ordinal))
+							{  prefixWords.Add(word);  }
+						}
+
+					output.AppendLine("- Prefix " + prefix + ": " + string.Join(", ", prefixWords.ToArray()));
+					output.AppendLine("  - Snippet: " + bodyText.GetSnippet(prefix));
+					}
+				}
+
+			return output.ToString();
+			}
+
+		}
+	}
@@ -90,6 +90,9 @@ namespace CodeClear.NaturalDocs.Engine.Tests.Framework.TestTypes
 					{  output.AppendLine("(none)");  }
 				else
 					{  output.AppendLine(string.Join(", ", searchEntry.Keywords.ToArray()));  }
+
+				output.Append("- Abbreviation: ");
+				output.AppendLine(searchEntry.Abbreviation ?? "(none)");
 				}
 
 			return output.ToString();
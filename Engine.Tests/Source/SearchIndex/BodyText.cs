@@ -0,0 +1,24 @@
+﻿
+// This file is part of Natural Docs, which is Copyright © 2003-2025 Code Clear LLC.
+// Natural Docs is licensed under version 3 of the GNU Affero General Public License (AGPL)
+// Refer to License.txt for the complete details
+
+
+using System;
+using NUnit.Framework;
+
+
+namespace CodeClear.NaturalDocs.Engine.Tests.SearchIndex
+	{
+	[TestFixture]
+	public class BodyText : Framework.TestTypes.SearchBodyText
+		{
+
+		[Test]
+		public void All ()
+			{
+			TestFolder("Search Index/Body Text", "Shared ND Config/Basic Language Support");
+			}
+
+		}
+	}
@@ -19,12 +19,24 @@ $ToolTipHorizontalMargin = 5;
 $ToolTipHorizontalMarginX2 = 10;
 $ToolTipBottomMargin = 25;  /* leave space for link address pop-up */
 
+$Outline_MinimumTopics = 2;
+$ScrollSpyDelay = 100;
+$ScrollSpyOffset = 40;
+
 "use strict";
 
 
 /* Class: NDContentPage
 	_____________________________________________________________________________
 
+	Outline:
+
+		Content pages can show a floating "on this page" outline of their topics which highlights the one currently being read.
+		It's shown automatically when the page is opened on its own instead of inside the frame page, or when the frame page
+		asks for it because its summary panel is collapsed.  Styles can turn it off by adding this line to their <Style.txt>:
+
+		> Content OnLoad: NDContentPage.DisableOutline();
+
 */
 var NDContentPage = new function ()
 	{
@@ -46,6 +58,11 @@ var NDContentPage = new function ()
 			this.resizeEventHandler = NDContentPage.OnResize.bind(NDContentPage);
 			this.messageEventHandler = NDContentPage.OnMessage.bind(NDContentPage);
 			this.effectiveThemeChangeEventHandler = NDContentPage.OnEffectiveThemeChange.bind(NDContentPage);
+			this.keyDownEventHandler = NDContentPage.OnKeyDown.bind(NDContentPage);
+			this.scrollEventHandler = NDContentPage.OnScroll.bind(NDContentPage);
+			this.hashChangeEventHandler = NDContentPage.OnHashChange.bind(NDContentPage);
+			this.permalinkClickEventHandler = NDContentPage.OnPermalinkClick.bind(NDContentPage);
+			this.copyButtonClickEventHandler = NDContentPage.OnCopyButtonClick.bind(NDContentPage);
 
 
 			// Make sure NDThemes reflects any theme that was set via query parameter
@@ -58,6 +75,7 @@ var NDContentPage = new function ()
 
 			document.addEventListener("NDEffectiveThemeChange", this.effectiveThemeChangeEventHandler);
 			window.addEventListener("message", this.messageEventHandler);
+			document.addEventListener("keydown", this.keyDownEventHandler);
 			// wait on resize event handler until after reformatting the prototypes the first time
 			}
 
@@ -88,22 +106,46 @@ var NDContentPage = new function ()
 
 		// Load the tool tips
 
-		var ttLocation = location.href;
+		this.LoadToolTips();
 
-		var queryIndex = ttLocation.indexOf('?');
-		if (queryIndex != -1)
-			{  ttLocation = ttLocation.substring(0, queryIndex);  }
-		else
-			{
-			var hashIndex = ttLocation.indexOf('#');
-			if (hashIndex != -1)
-				{  ttLocation = ttLocation.substring(0, hashIndex);  }
-			}
 
-		// Replace .html with -ToolTips.js
-		ttLocation = ttLocation.substring(0, ttLocation.length - 5) + "-ToolTips.js";
+		// Start tracking which topic is being read.
+
+		this.FindTopics();
+		this.UpdateCurrentTopic();
+
+		window.addEventListener("scroll", this.scrollEventHandler);
+		window.addEventListener("hashchange", this.hashChangeEventHandler);
+
+
+		// Add the permalink buttons.  If we're inside the frame page we need it to tell us its URL so they can link to it.
+
+		this.AddPermalinkButtons();
+
+		if (window.parent != window)
+			{  window.parent.postMessage("GetPermalinkBase", "*");  }
+
+
+		// Add the buttons to copy prototypes and code.
 
-		NDCore.LoadJavaScript(ttLocation);
+		this.AddCopyButtons();
+
+
+		// Show the outline if there's no frame page with a summary panel to navigate the topics.
+
+		if (window.parent == window || NDCore.GetQueryParam("Outline") == "1")
+			{  this.ShowOutline();  }
+
+
+		// Restore the scroll position if the frame page passed one, such as when going back to this page in the browser
+		// history.  This is done last so the prototypes and outline are already in their final layout.
+
+		var scrollPosition = NDCore.GetQueryParam("Scroll");
+
+		if (scrollPosition != undefined)
+			{  window.scrollTo(0, parseInt(scrollPosition, 10));  }
+
+		this.ReportScrollPosition();
 		};
 
 
@@ -122,24 +164,40 @@ var NDContentPage = new function ()
 
 	/* Function: OnMessage
 
-		Event handler for messages sent to this page by the frame page via postMessage().
+		Event handler for messages sent to this page by the frame page via postMessage().  Messages from any other
+		window are ignored.
 
 		Supported Commands:
 
 			NoTheme - Remove any theme classes.
 			Theme=[id] - Apply the passed theme ID.
+			ShowOutline - Show the outline of the page's topics.
+			HideOutline - Hide the outline of the page's topics.
+			PermalinkBase=[url] - The frame page URL to build permalinks from, which includes the hash path but not the member.
+			ShortcutNotHandled=[name] - The frame page didn't handle a shortcut forwarded by <OnKeyDown()>.
 	*/
 	this.OnMessage = function (event)
 		{
+		if (event.source != window.parent || typeof(event.data) != "string")
+			{  return;  }
+
 		var message = event.data;
 
 		if (message == "NoTheme")
 			{  NDThemes.SetCurrentTheme(undefined, false);  }
+		else if (message == "ShowOutline")
+			{  this.ShowOutline();  }
+		else if (message == "HideOutline")
+			{  this.HideOutline();  }
 		else if (message.startsWith("Theme="))
 			{
 			var theme = message.slice(6);
 			NDThemes.SetCurrentTheme(theme, false);
 			}
+		else if (message.startsWith("PermalinkBase="))
+			{  this.permalinkBase = message.slice(14);  }
+		else if (message.startsWith("ShortcutNotHandled="))
+			{  this.OnShortcutNotHandled(message.slice(19));  }
 		};
 
 
@@ -156,6 +214,668 @@ var NDContentPage = new function ()
 		};
 
 
+	/* Function: OnKeyDown
+		Forwards any keyboard shortcuts to the frame page via postMessage() so they work while the content page has focus.
+		Shortcuts are ignored if this page isn't being displayed inside the frame page.
+	*/
+	this.OnKeyDown = function (event)
+		{
+		if (window.parent == window)
+			{  return;  }
+
+		var shortcut = NDCore.GetKeyboardShortcut(event);
+
+		if (shortcut != undefined)
+			{
+			window.parent.postMessage("Shortcut=" + shortcut, "*");
+			event.preventDefault();
+			}
+		};
+
+
+	/* Function: OnShortcutNotHandled
+		Called when the frame page didn't handle a shortcut forwarded by <OnKeyDown()>.  Since we prevented the browser's
+		default action before knowing that, perform it here instead.  Alt+Left and Alt+Right are back and forward everywhere
+		but macOS, where they only move the cursor.
+	*/
+	this.OnShortcutNotHandled = function (shortcut)
+		{
+		if (navigator.platform.indexOf("Mac") != -1)
+			{  return;  }
+
+		if (shortcut == "ParentMenuFolder")
+			{  history.back();  }
+		else if (shortcut == "ChildMenuFolder")
+			{  history.forward();  }
+		};
+
+
+
+	// Group: Scroll Spy Functions
+	// ________________________________________________________________________
+
+
+	/* Function: FindTopics
+		Fills in <pageTopics> with the topics on the page.
+	*/
+	this.FindTopics = function ()
+		{
+		var topics = document.getElementsByClassName("CTopic");
+		this.pageTopics = [ ];
+
+		for (var i = 0; i < topics.length; i++)
+			{
+			var topic = topics[i];
+			var title = topic.getElementsByClassName("CTitle")[0];
+
+			// Topics are preceded by an anchor with their topic ID, and before that one with their hash path if they have one.
+			// Use the earliest one to link to since the hash path is more readable.
+			var anchorName = undefined;
+			var topicID = undefined;
+
+			for (var anchor = topic.previousElementSibling;
+				  anchor != undefined && anchor.tagName == "A" && anchor.name;
+				  anchor = anchor.previousElementSibling)
+				{
+				anchorName = anchor.name;
+
+				if (topicID == undefined && anchorName.startsWith("Topic"))
+					{  topicID = anchorName.slice(5);  }
+				}
+
+			if (title == undefined || anchorName == undefined)
+				{  continue;  }
+
+			this.pageTopics.push({ topic: topic, title: title, anchorName: anchorName, topicID: topicID });
+			}
+
+		this.currentTopicIndex = -1;
+		this.targetTopicIndex = this.FindTopicIndexByHash(location.hash);
+		};
+
+
+	/* Function: FindTopicIndexByHash
+		Returns the index into <pageTopics> of the topic the passed hash links to, or -1 if there isn't one.  The hash can
+		link to any of the topic's anchors.
+	*/
+	this.FindTopicIndexByHash = function (hash)
+		{
+		var anchorName = NDCore.NormalizeHash(hash);
+
+		if (anchorName == "")
+			{  return -1;  }
+
+		for (var i = 0; i < this.pageTopics.length; i++)
+			{
+			if (this.pageTopics[i].anchorName == anchorName ||
+				(this.pageTopics[i].topicID != undefined && "Topic" + this.pageTopics[i].topicID == anchorName))
+				{  return i;  }
+			}
+
+		return -1;
+		};
+
+
+	/* Function: OnHashChange
+		Called when the page's hash changes, such as when the frame page navigates to a different topic in the same file.
+	*/
+	this.OnHashChange = function (event)
+		{
+		this.targetTopicIndex = this.FindTopicIndexByHash(location.hash);
+		this.UpdateCurrentTopic();
+		};
+
+
+	/* Function: OnScroll
+	*/
+	this.OnScroll = function (event)
+		{
+		// Limit how often this is done since scroll events fire rapidly.  Like OnResize(), don't reset the timeout on each event
+		// or it won't update until the user stops scrolling.
+		if (this.scrollSpyTimeout == undefined)
+			{
+			this.scrollSpyTimeout = setTimeout(function ()
+				{
+				NDContentPage.scrollSpyTimeout = undefined;
+				NDContentPage.UpdateCurrentTopic();
+				NDContentPage.ReportScrollPosition();
+				}, $ScrollSpyDelay);
+			}
+		};
+
+
+	/* Function: ReportScrollPosition
+		If the page is inside the frame page, sends it a "Scroll=[position]" message so it can save the scroll position
+		with the browser history.
+	*/
+	this.ReportScrollPosition = function ()
+		{
+		if (window.parent != window)
+			{  window.parent.postMessage("Scroll=" + Math.round(window.scrollY), "*");  }
+		};
+
+
+	/* Function: UpdateCurrentTopic
+
+		Determines which topic is currently being read.  This is the last one whose top has scrolled past $ScrollSpyOffset
+		pixels from the top of the window, or the first one if none have.
+
+		If it changed, it's highlighted in the outline and, if the page is inside the frame page, reported to it with a
+		"CurrentTopic=[topic ID]:[member]" message so <NDSummary> can highlight it too and <NDFramePage> can update the
+		hash path.  The topic ID will be empty if it isn't known.  The member is the anchor name to use in the hash path, and
+		will be empty for the first topic since that represents the top of the page.
+	*/
+	this.UpdateCurrentTopic = function ()
+		{
+		if (this.pageTopics.length == 0)
+			{  return;  }
+
+		var newTopicIndex = 0;
+
+		for (var i = 1; i < this.pageTopics.length; i++)
+			{
+			if (this.pageTopics[i].topic.getBoundingClientRect().top <= $ScrollSpyOffset)
+				{  newTopicIndex = i;  }
+			else
+				{  break;  }
+			}
+
+		// If the page was opened to a topic near the bottom, it may not be able to scroll far enough for that topic to reach the
+		// top.  Don't report an earlier one in that case.
+		if (this.targetTopicIndex > newTopicIndex &&
+			window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 1)
+			{  newTopicIndex = this.targetTopicIndex;  }
+
+		if (newTopicIndex == this.currentTopicIndex)
+			{  return;  }
+
+		var oldTopicIndex = this.currentTopicIndex;
+		this.currentTopicIndex = newTopicIndex;
+
+		if (this.outline != undefined)
+			{  this.UpdateOutlineHighlight(oldTopicIndex);  }
+
+		if (window.parent != window)
+			{
+			var pageTopic = this.pageTopics[newTopicIndex];
+
+			var topicID = (pageTopic.topicID != undefined ? pageTopic.topicID : "");
+			var member = (newTopicIndex == 0 ? "" : pageTopic.anchorName);
+
+			window.parent.postMessage("CurrentTopic=" + topicID + ":" + member, "*");
+			}
+		};
+
+
+
+	// Group: Outline Functions
+	// ________________________________________________________________________
+
+
+	/* Function: ShowOutline
+		Shows the outline of the page's topics, building it if necessary.  Does nothing if it was disabled or the page doesn't
+		have enough topics to need one.
+	*/
+	this.ShowOutline = function ()
+		{
+		if (this.outlineDisabled)
+			{  return;  }
+
+		if (this.outline == undefined)
+			{
+			if (this.pageTopics.length < $Outline_MinimumTopics)
+				{  return;  }
+
+			this.BuildOutline();
+			}
+
+		this.outline.style.display = "block";
+
+		// The CSS may make room for the outline beside the topics, which changes the width available to the prototypes.
+		document.documentElement.classList.add("ShowingOutline");
+		this.ReformatPrototypes();
+		};
+
+
+	/* Function: HideOutline
+		Hides the outline of the page's topics if it's being shown.
+	*/
+	this.HideOutline = function ()
+		{
+		if (this.outline != undefined)
+			{
+			this.outline.style.display = "none";
+
+			document.documentElement.classList.remove("ShowingOutline");
+			this.ReformatPrototypes();
+			}
+		};
+
+
+	/* Function: DisableOutline
+		Prevents the outline from being shown, hiding it if it already is.  This is meant to be called from a Content OnLoad
+		statement in <Style.txt>.
+	*/
+	this.DisableOutline = function ()
+		{
+		this.outlineDisabled = true;
+		this.HideOutline();
+		};
+
+
+	/* Function: BuildOutline
+		Creates <outline> from <pageTopics> and adds it to the top of the page.  Each entry in <pageTopics> gets an
+		outlineEntry member with its DOM element.
+	*/
+	this.BuildOutline = function ()
+		{
+		var outline = document.createElement("div");
+		outline.id = "COutline";
+		outline.setAttribute("role", "navigation");
+		outline.setAttribute("aria-label", $Locale{HTML.OnThisPage});
+
+		var outlineTitle = document.createElement("div");
+		outlineTitle.className = "COTitle";
+		outlineTitle.textContent = $Locale{HTML.OnThisPage};
+		outline.appendChild(outlineTitle);
+
+		for (var i = 0; i < this.pageTopics.length; i++)
+			{
+			var pageTopic = this.pageTopics[i];
+
+			// Leave off the qualifier, like the summary does.
+			var name = pageTopic.title.textContent;
+			var qualifier = pageTopic.title.getElementsByClassName("Qualifier")[0];
+
+			if (qualifier != undefined && name.startsWith(qualifier.textContent))
+				{  name = name.slice(qualifier.textContent.length);  }
+
+			var entry = document.createElement("a");
+			entry.className = "COEntry";
+			entry.href = "#" + pageTopic.anchorName;
+			entry.textContent = name;
+
+			// Copy the comment type class, like TGroup, so it can be styled.
+			for (var j = 0; j < pageTopic.topic.classList.length; j++)
+				{
+				var topicClass = pageTopic.topic.classList[j];
+
+				if (topicClass.length > 1 && topicClass[0] == "T")
+					{  entry.classList.add(topicClass);  }
+				}
+
+			pageTopic.outlineEntry = entry;
+			outline.appendChild(entry);
+			}
+
+		document.body.insertBefore(outline, document.body.firstChild);
+		this.outline = outline;
+
+		this.UpdateOutlineHighlight(-1);
+		};
+
+
+	/* Function: UpdateOutlineHighlight
+		Moves the outline's highlight from the entry at the passed index in <pageTopics> to the one at <currentTopicIndex>.
+		The old index can be -1 if nothing was highlighted.
+	*/
+	this.UpdateOutlineHighlight = function (oldTopicIndex)
+		{
+		if (oldTopicIndex != -1)
+			{  this.pageTopics[oldTopicIndex].outlineEntry.classList.remove("Current");  }
+
+		if (this.currentTopicIndex == -1)
+			{  return;  }
+
+		var entry = this.pageTopics[this.currentTopicIndex].outlineEntry;
+		entry.classList.add("Current");
+
+
+		// Keep the highlighted entry visible if the outline has to scroll.
+
+		if (entry.offsetTop < this.outline.scrollTop)
+			{  this.outline.scrollTop = entry.offsetTop;  }
+		else if (entry.offsetTop + entry.offsetHeight > this.outline.scrollTop + this.outline.clientHeight)
+			{  this.outline.scrollTop = entry.offsetTop + entry.offsetHeight - this.outline.clientHeight;  }
+		};
+
+
+
+	// Group: Permalink Functions
+	// ________________________________________________________________________
+
+
+	/* Function: AddPermalinkButtons
+		Adds a button to the title of each topic in <pageTopics> which copies a link to it.
+	*/
+	this.AddPermalinkButtons = function ()
+		{
+		for (var i = 0; i < this.pageTopics.length; i++)
+			{
+			var button = document.createElement("a");
+			button.className = "CPermalink";
+			button.href = "#" + this.pageTopics[i].anchorName;
+			button.title = $Locale{HTML.CopyPermalink};
+			button.setAttribute("role", "button");
+			button.setAttribute("aria-label", $Locale{HTML.CopyPermalink});
+			button.dataset.ndTopicIndex = i;
+
+			button.addEventListener("click", this.permalinkClickEventHandler);
+
+			this.pageTopics[i].title.appendChild(button);
+			}
+		};
+
+
+	/* Function: OnPermalinkClick
+		Copies the link to the topic whose permalink button was clicked.
+	*/
+	this.OnPermalinkClick = function (event)
+		{
+		event.preventDefault();
+
+		var topicIndex = parseInt(event.currentTarget.dataset.ndTopicIndex, 10);
+
+		NDCore.CopyToClipboard( this.GetPermalink(topicIndex) ).then(
+			function ()
+				{  NDCore.ShowToast($Locale{HTML.PermalinkCopied});  },
+			function ()
+				{  NDCore.ShowToast($Locale{HTML.CopyFailed});  }
+			);
+		};
+
+
+	/* Function: GetPermalink
+		Returns the URL that links to the topic at the passed index into <pageTopics>.  If the page is inside the frame page this
+		will be the frame page's URL with the hash path and member so it opens with the menu and summary.  The first topic
+		doesn't get a member since it represents the top of the page.
+	*/
+	this.GetPermalink = function (topicIndex)
+		{
+		var member = (topicIndex == 0 ? "" : this.pageTopics[topicIndex].anchorName);
+
+		if (this.permalinkBase != undefined)
+			{  return this.permalinkBase + (member != "" ? ":" + member : "");  }
+		else
+			{
+			// Strip the hash and any query parameters the frame page may have added, like the theme.
+			var url = location.href.replace(/[?#].*$/, "");
+			return url + (member != "" ? "#" + member : "");
+			}
+		};
+
+
+
+	// Group: Copy Button Functions
+	// ________________________________________________________________________
+
+
+	/* Function: AddCopyButtons
+		Adds a button to each prototype and code block which copies it as plain text.
+	*/
+	this.AddCopyButtons = function ()
+		{
+		var blocks = document.querySelectorAll(".NDPrototype, pre.CCode");
+
+		for (var i = 0; i < blocks.length; i++)
+			{
+			// This is a button instead of a link so it doesn't pick up the prototype's link styles.
+			var button = document.createElement("button");
+			button.type = "button";
+			button.className = "CCopyButton";
+			button.textContent = $Locale{HTML.Copy};
+			button.title = $Locale{HTML.CopyToClipboard};
+
+			button.addEventListener("click", this.copyButtonClickEventHandler);
+
+			// Add it at the end so it doesn't affect ReformatPrototypes(), which measures the first child.
+			blocks[i].appendChild(button);
+			}
+		};
+
+
+	/* Function: OnCopyButtonClick
+		Copies the prototype or code block whose copy button was clicked.
+	*/
+	this.OnCopyButtonClick = function (event)
+		{
+		event.preventDefault();
+
+		var block = event.currentTarget.parentNode;
+		var text;
+
+		if (block.classList.contains("NDPrototype"))
+			{  text = this.GetPrototypeText(block);  }
+		else
+			{  text = this.GetCodeText(block);  }
+
+		NDCore.CopyToClipboard(text).then(
+			function ()
+				{  NDCore.ShowToast($Locale{HTML.CodeCopied});  },
+			function ()
+				{  NDCore.ShowToast($Locale{HTML.CopyFailed});  }
+			);
+		};
+
+
+	/* Function: GetCodeText
+		Returns the contents of the passed pre element as plain text.
+	*/
+	this.GetCodeText = function (element)
+		{
+		var text = "";
+
+		for (var node = element.firstChild; node != undefined; node = node.nextSibling)
+			{
+			if (node.nodeType == Node.TEXT_NODE)
+				{  text += node.nodeValue;  }
+			else if (node.tagName == "BR")
+				{  text += "\n";  }
+			else if (node.nodeType == Node.ELEMENT_NODE && !node.classList.contains("CCopyButton"))
+				{  text += this.GetCodeText(node);  }
+			}
+
+		return text.replace(/\u00A0/g, " ");
+		};
+
+
+	/* Function: GetPrototypeText
+
+		Returns the passed NDPrototype element as plain text, laid out the same way it's currently displayed.  Parameter
+		sections are CSS grids, so this works out the column widths in characters and lines the cells up with spaces.  It
+		handles both the wide and narrow forms.
+
+		Selecting the prototype and copying it normally doesn't work well because the browser doesn't know how to turn the
+		grid into text.
+	*/
+	this.GetPrototypeText = function (prototype)
+		{
+		var form = (prototype.classList.contains("NarrowForm") ? "Narrow" : "Wide");
+		var lines = [ ];
+
+		for (var i = 0; i < prototype.children.length; i++)
+			{
+			var section = prototype.children[i];
+
+			if (section.classList.contains("PPlainSection"))
+				{  lines.push( this.GetPrototypeCellText(section).replace(/ +$/, "") );  }
+			else if (section.classList.contains("PParameterSection"))
+				{
+				var cells = section.firstElementChild;
+
+				if (cells != undefined && cells.classList.contains("PParameterCells"))
+					{  lines = lines.concat( this.GetParameterCellsLines(cells, form) );  }
+				}
+			}
+
+		return lines.join("\n");
+		};
+
+
+	/* Function: GetParameterCellsLines
+
+		Returns an array of text lines for the passed PParameterCells element as it appears in the passed form, which is
+		"Wide" or "Narrow".  Nested PParameterCells are handled recursively.
+
+		This has to mirror the prototype CSS, so the spacing and alignment classes are interpreted the same way: each
+		space class adds one character of padding, right aligned cells lose their left padding, the first parameter column
+		and the after parameters cell are indented three characters in the narrow form, and short before parameters cells
+		fit into that indent.
+	*/
+	this.GetParameterCellsLines = function (cellsElement, form)
+		{
+		var isNarrow = (form == "Narrow");
+		var cells = [ ];
+		var columnWidths = [ ];
+		var rowHeights = [ ];
+
+
+		// Gather the cells and work out the column widths and row heights from the ones that span a single column or row.
+
+		for (var i = 0; i < cellsElement.children.length; i++)
+			{
+			var element = cellsElement.children[i];
+			var gridArea = (isNarrow ? element.dataset.narrowgridarea : element.dataset.widegridarea);
+
+			if (gridArea == undefined)
+				{  continue;  }
+
+			// The order for grid-area is grid-row-start/grid-column-start/grid-row-end/grid-column-end
+			var area = gridArea.split("/");
+			var classList = element.classList;
+
+			var cell = {
+				rowStart: parseInt(area[0], 10) - 1,
+				columnStart: parseInt(area[1], 10) - 1,
+				rowEnd: parseInt(area[2], 10) - 1,
+				columnEnd: parseInt(area[3], 10) - 1,
+				lines: (classList.contains("PParameterCells") ?
+							this.GetParameterCellsLines(element, form) :
+							[ this.GetPrototypeCellText(element) ]),
+				leftSpace: (classList.contains("LeftSpaceOn" + form) ? 1 : 0),
+				rightSpace: (classList.contains("RightSpaceOn" + form) ? 1 : 0),
+				rightAlign: (classList.contains("RightAlignOn" + form) ||
+								 classList.contains("PSymbols") ||
+								 classList.contains("PPortAttributes") ||
+								 classList.contains("PModifierQualifier")),
+				fixedWidth: undefined
+				};
+
+			if (isNarrow)
+				{
+				if (classList.contains("InFirstParameterColumn") ||
+					(classList.contains("PAfterParameters") && !classList.contains("FitIntoRightIndentOnNarrow")))
+					{  cell.leftSpace += 3;  }
+
+				if (classList.contains("FitIntoLeftIndentOnNarrow"))
+					{  cell.fixedWidth = 3;  }
+				}
+			else if (classList.contains("NegativeLeftSpaceOnWide"))
+				{  cell.leftSpace--;  }
+
+			if (classList.contains("RightAlignOn" + form))
+				{  cell.leftSpace = 0;  }
+
+			var textWidth = 0;
+
+			for (var lineIndex = 0; lineIndex < cell.lines.length; lineIndex++)
+				{  textWidth = Math.max(textWidth, cell.lines[lineIndex].length);  }
+
+			cell.width = cell.leftSpace + textWidth + cell.rightSpace;
+
+			if (cell.columnEnd - cell.columnStart == 1 && cell.fixedWidth == undefined)
+				{  columnWidths[cell.columnStart] = Math.max(columnWidths[cell.columnStart] || 0, cell.width);  }
+
+			if (cell.rowEnd - cell.rowStart == 1)
+				{  rowHeights[cell.rowStart] = Math.max(rowHeights[cell.rowStart] || 1, cell.lines.length);  }
+
+			cells.push(cell);
+			}
+
+
+		// Convert the widths and heights to character positions.
+
+		var columnPositions = [ 0 ];
+		var rowPositions = [ 0 ];
+
+		for (var i = 0; i < cells.length; i++)
+			{
+			for (var column = columnPositions.length; column <= cells[i].columnEnd; column++)
+				{  columnPositions[column] = columnPositions[column - 1] + (columnWidths[column - 1] || 0);  }
+
+			for (var row = rowPositions.length; row <= cells[i].rowEnd; row++)
+				{  rowPositions[row] = rowPositions[row - 1] + (rowHeights[row - 1] || 1);  }
+			}
+
+
+		// Write the cells into a grid of characters.  Cells can overlap, such as ones that fit into an indent, so only
+		// write over spaces.
+
+		var grid = [ ];
+
+		for (var i = 0; i < cells.length; i++)
+			{
+			var cell = cells[i];
+			var x = columnPositions[cell.columnStart];
+			var spanWidth = (cell.fixedWidth != undefined ? cell.fixedWidth :
+								  columnPositions[cell.columnEnd] - columnPositions[cell.columnStart]);
+
+			for (var lineIndex = 0; lineIndex < cell.lines.length; lineIndex++)
+				{
+				var line = cell.lines[lineIndex];
+				var y = rowPositions[cell.rowStart] + lineIndex;
+				var lineX;
+
+				if (cell.rightAlign)
+					{  lineX = Math.max(x, x + spanWidth - cell.rightSpace - line.length);  }
+				else
+					{  lineX = Math.max(0, x + cell.leftSpace);  }
+
+				if (grid[y] == undefined)
+					{  grid[y] = [ ];  }
+
+				for (var charIndex = 0; charIndex < line.length; charIndex++)
+					{
+					var existingChar = grid[y][lineX + charIndex];
+
+					if (existingChar == undefined || existingChar == " ")
+						{  grid[y][lineX + charIndex] = line.charAt(charIndex);  }
+					}
+				}
+			}
+
+
+		// Convert the grid to lines of text.
+
+		var lines = [ ];
+
+		for (var y = 0; y < grid.length; y++)
+			{
+			var line = "";
+
+			if (grid[y] != undefined)
+				{
+				for (var x = 0; x < grid[y].length; x++)
+					{  line += (grid[y][x] == undefined ? " " : grid[y][x]);  }
+				}
+
+			lines.push(line.replace(/ +$/, ""));
+			}
+
+		return lines;
+		};
+
+
+	/* Function: GetPrototypeCellText
+		Returns the text of the passed prototype section or cell with non-breaking spaces and line breaks converted to
+		regular spaces.
+	*/
+	this.GetPrototypeCellText = function (element)
+		{
+		return element.textContent.replace(/[\u00A0\r\n\t]/g, " ");
+		};
+
+
 
 	// Group: Prototype Functions
 	// ________________________________________________________________________
@@ -236,9 +956,12 @@ var NDContentPage = new function ()
 
 			var availableWidth = prototypes[i].offsetWidth;
 
-			// availableWidth includes padding, so remove it by comparing its offset to its child's.
-			// We can only get the left padding so assume the right is the same and double it.
-			availableWidth -= (prototypes[i].firstChild.offsetLeft - prototypes[i].offsetLeft) * 2;
+			// availableWidth includes the border and padding, so remove them.  We can't get them by comparing its offset to
+			// its child's because it's positioned for the copy button, which makes it the child's offset parent.
+			var style = window.getComputedStyle(prototypes[i]);
+
+			availableWidth -= parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft) +
+									parseFloat(style.paddingRight) + parseFloat(style.borderRightWidth);
 
 			// Remove an extra pixel since some browsers add the scrollbar when they're exactly equal.
 			availableWidth--;
@@ -277,6 +1000,62 @@ var NDContentPage = new function ()
 	// ________________________________________________________________________
 
 
+	/* Function: LoadToolTips
+		Starts loading the tooltip data file for this page.
+	*/
+	this.LoadToolTips = function ()
+		{
+		var ttLocation = location.href;
+
+		var queryIndex = ttLocation.indexOf('?');
+		if (queryIndex != -1)
+			{  ttLocation = ttLocation.substring(0, queryIndex);  }
+		else
+			{
+			var hashIndex = ttLocation.indexOf('#');
+			if (hashIndex != -1)
+				{  ttLocation = ttLocation.substring(0, hashIndex);  }
+			}
+
+		// Replace .html with -ToolTips.js
+		ttLocation = ttLocation.substring(0, ttLocation.length - 5) + "-ToolTips.js";
+
+		NDCore.LoadJavaScriptData(ttLocation).catch( function ()
+			{  NDContentPage.OnToolTipsLoadFailed();  });
+		};
+
+
+	/* Function: OnToolTipsLoadFailed
+		Called when the tooltip data file could not be loaded.  The page works fine without them so this only puts up
+		a small notice with a link to try again.
+	*/
+	this.OnToolTipsLoadFailed = function ()
+		{
+		if (this.toolTipsLoadErrorNotice == undefined)
+			{
+			this.toolTipsLoadErrorNotice = NDCore.CreateLoadErrorNotice(
+				"CLoadError", $Locale{HTML.ToolTipsLoadError}, "NDContentPage.RetryLoadingToolTips()"
+				);
+			document.body.appendChild(this.toolTipsLoadErrorNotice);
+			}
+		};
+
+
+	/* Function: RetryLoadingToolTips
+		Removes the load error notice and tries to load the tooltip data file again.
+	*/
+	this.RetryLoadingToolTips = function ()
+		{
+		if (this.toolTipsLoadErrorNotice != undefined)
+			{
+			this.toolTipsLoadErrorNotice.parentNode.removeChild(this.toolTipsLoadErrorNotice);
+			this.toolTipsLoadErrorNotice = undefined;
+			}
+
+		this.LoadToolTips();
+		};
+
+
 	/* Function: OnToolTipsLoaded
 	*/
 	this.OnToolTipsLoaded = function (toolTips)
@@ -439,6 +1218,26 @@ var NDContentPage = new function ()
 		A bound function to call <OnEffectiveThemeChange()> with NDContentPage always as "this".
 	*/
 
+	/* var: scrollEventHandler
+		A bound function to call <OnScroll()> with NDContentPage always as "this".
+	*/
+
+	/* var: hashChangeEventHandler
+		A bound function to call <OnHashChange()> with NDContentPage always as "this".
+	*/
+
+	/* var: keyDownEventHandler
+		A bound function to call <OnKeyDown()> with NDContentPage always as "this".
+	*/
+
+	/* var: permalinkClickEventHandler
+		A bound function to call <OnPermalinkClick()> with NDContentPage always as "this".
+	*/
+
+	/* var: copyButtonClickEventHandler
+		A bound function to call <OnCopyButtonClick()> with NDContentPage always as "this".
+	*/
+
 
 
 	// Group: Variables
@@ -475,4 +1274,44 @@ var NDContentPage = new function ()
 		The timeout used to display the tooltip.
 	*/
 
+	/* var: toolTipsLoadErrorNotice
+		The DOM element of the notice shown when the tooltip data file failed to load, or undefined if there isn't one.
+	*/
+
+	/* var: outline
+		The DOM element of the outline of the page's topics, or undefined if it hasn't been built.
+	*/
+
+	/* var: pageTopics
+
+		An array of the topics on the page.  Each entry is an object with these members:
+
+		topic - The CTopic DOM element.
+		title - The CTitle DOM element.
+		anchorName - The name of the anchor used to link to the topic.
+		topicID - The topic ID as a string, or undefined if it couldn't be found.
+		outlineEntry - The DOM element of the topic's entry in <outline>, or undefined if it hasn't been built.
+	*/
+
+	/* var: currentTopicIndex
+		The index into <pageTopics> of the topic currently being read, or -1 if it hasn't been determined yet.
+	*/
+
+	/* var: targetTopicIndex
+		The index into <pageTopics> of the topic the page's hash links to, or -1 if there isn't one.
+	*/
+
+	/* var: outlineDisabled
+		Whether <DisableOutline()> was called.
+	*/
+
+	/* var: scrollSpyTimeout
+		The timeout used to limit how often <UpdateCurrentTopic()> is called while scrolling.
+	*/
+
+	/* var: permalinkBase
+		The frame page URL to build permalinks from as sent by its "PermalinkBase" message, or undefined if the page isn't
+		inside the frame page or it hasn't been received yet.
+	*/
+
 	};
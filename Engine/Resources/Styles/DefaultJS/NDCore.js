@@ -29,6 +29,16 @@
 	$LocationInfoType_LanguageSpecificHierarchy = 1;
 	$LocationInfoType_LanguageAgnosticHierarchy = 2;
 
+// Data File Loading
+
+	$DataFile_Timeout = 15000;
+	$DataFile_Retries = 2;
+	$DataFile_RetryDelay = 1000;
+
+// Toasts
+
+	$Toast_Duration = 2500;
+
 
 
 /* Class: NDCore
@@ -46,7 +56,8 @@ var NDCore = new function ()
 
 	/* Function: LoadJavaScript
 		Dynamically adds a script tag to the document head which loads the JavaScript file at the path.  If desired you
-		can give it an ID so you can remove the tag with <RemoveScriptElement()> later.
+		can give it an ID so you can remove the tag with <RemoveScriptElement()> later.  Use <LoadJavaScriptData()> instead
+		if you need to know whether it succeeded.
 	*/
 	this.LoadJavaScript = function (path, id)
 		{
@@ -65,13 +76,133 @@ var NDCore = new function ()
 		};
 
 
+	/* Function: LoadJavaScriptData
+
+		Loads a JavaScript data file like <LoadJavaScript()> but returns a promise so the caller can find out whether it
+		succeeded.  Data files still deliver their contents by calling functions like <NDMenu.OnSectionLoaded()>, which will
+		have already happened by the time the promise is fulfilled.
+
+		- Requests for a path that is already being loaded return the same promise instead of adding another script element.
+		- If an attempt doesn't finish within $DataFile_Timeout milliseconds it's treated as a failure.
+		- Failed attempts are retried up to $DataFile_Retries times, waiting $DataFile_RetryDelay milliseconds between them.
+		- If all the attempts fail the promise is rejected with an Error.
+
+		If desired you can give it an ID which will be applied to the script element the same as <LoadJavaScript()>.
+	*/
+	this.LoadJavaScriptData = function (path, id)
+		{
+		var promise = this.pendingDataFiles[path];
+
+		if (promise != undefined)
+			{  return promise;  }
+
+		promise = new Promise( function (resolve, reject)
+			{
+			NDCore.AttemptToLoadJavaScriptData(path, id, $DataFile_Retries, resolve, reject);
+			});
+
+		this.pendingDataFiles[path] = promise;
+
+		// Stop sharing the promise once it's settled so future requests can try again.
+		var removePending = function ()
+			{
+			if (NDCore.pendingDataFiles[path] === promise)
+				{  delete NDCore.pendingDataFiles[path];  }
+			};
+
+		promise.then(removePending, removePending);
+
+		return promise;
+		};
+
+
+	/* Function: AttemptToLoadJavaScriptData
+		Makes a single attempt to load the data file for <LoadJavaScriptData()>, calling resolve or reject when it's done unless
+		it's going to try again.
+	*/
+	this.AttemptToLoadJavaScriptData = function (path, id, retriesLeft, resolve, reject)
+		{
+		var script = document.createElement("script");
+		script.src = path;
+		script.type = "text/javascript";
+
+		if (id != undefined)
+			{  script.id = id;  }
+
+		var timeout;
+
+		var onFinished = function (succeeded)
+			{
+			clearTimeout(timeout);
+			script.onload = null;
+			script.onerror = null;
+
+			if (succeeded)
+				{
+				resolve();
+				return;
+				}
+
+			// Remove the failed script element so the ID stays unique if we try again.
+			if (script.parentNode)
+				{  script.parentNode.removeChild(script);  }
+
+			if (retriesLeft > 0)
+				{
+				setTimeout( function ()
+					{  NDCore.AttemptToLoadJavaScriptData(path, id, retriesLeft - 1, resolve, reject);  },
+					$DataFile_RetryDelay);
+				}
+			else
+				{  reject(new Error("Could not load " + path));  }
+			};
+
+		script.onload = function ()
+			{  onFinished(true);  };
+		script.onerror = function ()
+			{  onFinished(false);  };
+
+		timeout = setTimeout( function ()
+			{  onFinished(false);  },
+			$DataFile_Timeout);
+
+		document.getElementsByTagName("head")[0].appendChild(script);
+		};
+
+
+	/* Function: CreateLoadErrorNotice
+		Creates and returns a DOM element with the passed class name telling the reader that some data couldn't be loaded.
+		It includes a link which runs the passed JavaScript statement to try again.
+	*/
+	this.CreateLoadErrorNotice = function (className, message, retryStatement)
+		{
+		var notice = document.createElement("div");
+		notice.className = className;
+
+		var domMessage = document.createElement("span");
+		domMessage.className = "LoadErrorMessage";
+		domMessage.textContent = message;
+		notice.appendChild(domMessage);
+
+		var domRetry = document.createElement("a");
+		domRetry.className = "LoadErrorRetry";
+		domRetry.href = "javascript:" + retryStatement;
+		domRetry.textContent = $Locale{HTML.RetryLoading};
+		notice.appendChild(domRetry);
+
+		return notice;
+		};
+
+
 	/* Function: RemoveScriptElement
-		Removes a script element from the document using the passed ID.
+		Removes a script element from the document using the passed ID.  It's okay if it doesn't exist.
 	*/
 	this.RemoveScriptElement = function (id)
 		{
 		var script = document.getElementById(id);
-		script.parentNode.removeChild(script);
+
+		if (script != undefined)
+			{  script.parentNode.removeChild(script);  }
 		};
 
 
@@ -271,6 +402,166 @@ var NDCore = new function ()
 
 
 
+	// Group: Keyboard Functions
+	// ________________________________________________________________________
+
+
+	/* Function: GetKeyboardShortcut
+
+		Returns the name of the keyboard shortcut the passed keydown event represents, or undefined if it isn't one.  Keys
+		typed into text fields are never treated as shortcuts.  This is shared by <NDFramePage>, which performs them, and
+		<NDContentPage>, which forwards them to the frame page.
+
+		Shortcuts:
+
+			FocusSearch - "/" or Ctrl+K moves the focus to the search field.
+			PreviousSummaryEntry - "[" goes to the previous entry in the summary.
+			NextSummaryEntry - "]" goes to the next entry in the summary.
+			PreviousMenuFile - Alt+Up goes to the previous file in the menu's current folder.
+			NextMenuFile - Alt+Down goes to the next file in the menu's current folder.
+			ParentMenuFolder - Alt+Left opens the parent of the menu's current folder.
+			ChildMenuFolder - Alt+Right opens the first subfolder of the menu's current folder.
+	*/
+	this.GetKeyboardShortcut = function (event)
+		{
+		if (event.defaultPrevented || event.isComposing)
+			{  return undefined;  }
+
+		var target = event.target;
+
+		if (target != undefined &&
+			(target.tagName == "INPUT" || target.tagName == "TEXTAREA" || target.tagName == "SELECT" || target.isContentEditable))
+			{  return undefined;  }
+
+		var key = event.key;
+
+		if (event.altKey)
+			{
+			if (event.ctrlKey || event.metaKey || event.shiftKey)
+				{  return undefined;  }
+			else if (key == "ArrowUp")
+				{  return "PreviousMenuFile";  }
+			else if (key == "ArrowDown")
+				{  return "NextMenuFile";  }
+			else if (key == "ArrowLeft")
+				{  return "ParentMenuFolder";  }
+			else if (key == "ArrowRight")
+				{  return "ChildMenuFolder";  }
+			else
+				{  return undefined;  }
+			}
+
+		else if (event.ctrlKey || event.metaKey)
+			{
+			if (key == "k" || key == "K")
+				{  return "FocusSearch";  }
+			else
+				{  return undefined;  }
+			}
+
+		else if (key == "/")
+			{  return "FocusSearch";  }
+		else if (key == "[")
+			{  return "PreviousSummaryEntry";  }
+		else if (key == "]")
+			{  return "NextSummaryEntry";  }
+		else
+			{  return undefined;  }
+		};
+
+
+
+	// Group: Clipboard Functions
+	// ________________________________________________________________________
+
+
+	/* Function: CopyToClipboard
+		Copies the passed text to the clipboard and returns a promise which is fulfilled if it succeeds or rejected if it doesn't.
+		This must be called while handling a user action like a click or the browser will refuse it.
+	*/
+	this.CopyToClipboard = function (text)
+		{
+		// The clipboard API isn't available in insecure contexts and may be blocked for iframes, so fall back to copying
+		// a selection if it fails.
+		if (navigator.clipboard != undefined && navigator.clipboard.writeText != undefined)
+			{
+			return navigator.clipboard.writeText(text).catch( function ()
+				{  return NDCore.CopyToClipboardWithSelection(text);  });
+			}
+		else
+			{  return this.CopyToClipboardWithSelection(text);  }
+		};
+
+
+	/* Function: CopyToClipboardWithSelection
+		Copies the passed text to the clipboard by selecting it in a hidden text area, which works in browsers that don't
+		support the clipboard API.  Returns a promise like <CopyToClipboard()>.
+	*/
+	this.CopyToClipboardWithSelection = function (text)
+		{
+		var textArea = document.createElement("textarea");
+		textArea.value = text;
+		textArea.setAttribute("readonly", "");
+		textArea.style.position = "fixed";
+		textArea.style.top = "-1000px";
+		textArea.style.opacity = 0;
+
+		var oldFocus = document.activeElement;
+
+		document.body.appendChild(textArea);
+		textArea.select();
+
+		var succeeded;
+
+		try
+			{  succeeded = document.execCommand("copy");  }
+		catch (e)
+			{  succeeded = false;  }
+
+		document.body.removeChild(textArea);
+
+		if (oldFocus != undefined && oldFocus.focus != undefined)
+			{  oldFocus.focus();  }
+
+		if (succeeded)
+			{  return Promise.resolve();  }
+		else
+			{  return Promise.reject();  }
+		};
+
+
+	/* Function: ShowToast
+		Briefly shows the passed message at the bottom of the page, such as to confirm that something was copied.  It
+		replaces any toast that's already showing.
+	*/
+	this.ShowToast = function (message)
+		{
+		var toast = document.getElementById("NDToast");
+
+		if (toast == undefined)
+			{
+			toast = document.createElement("div");
+			toast.id = "NDToast";
+			toast.setAttribute("role", "status");
+			document.body.appendChild(toast);
+			}
+
+		toast.textContent = message;
+		toast.classList.add("Showing");
+
+		if (this.toastTimeout != undefined)
+			{  clearTimeout(this.toastTimeout);  }
+
+		this.toastTimeout = setTimeout( function ()
+			{
+			toast.classList.remove("Showing");
+			NDCore.toastTimeout = undefined;
+			},
+			$Toast_Duration);
+		};
+
+
+
 	// Group: Variables
 	// ________________________________________________________________________
 
@@ -280,6 +571,15 @@ var NDCore = new function ()
 	*/
 	this.pxRegex = /^([0-9]+)px$/i;
 
+	/* var: toastTimeout
+		The timeout used to hide the toast shown by <ShowToast()>, or undefined if one isn't showing.
+	*/
+
+	/* var: pendingDataFiles
+		A hash mapping the paths of data files being loaded by <LoadJavaScriptData()> to their promises.
+	*/
+	this.pendingDataFiles = { };
+
 	};
 
 
@@ -308,6 +608,25 @@ String.prototype.EntityDecode = function ()
 	};
 
 
+/* Function: String.EntityEncode
+	Returns the string with <, >, ", and & replaced with their entity chars.  This is the reverse of <String.EntityDecode()>.
+*/
+String.prototype.EntityEncode = function ()
+	{
+	// DEPENDENCY: Must update this whenever StringExtensions.EntityEncode() is changed.
+
+	var output = this;
+
+	// &amp; must be first so it doesn't replace the ampersands in the other entities.
+	output = output.replace(/&/g, "&amp;");
+	output = output.replace(/</g, "&lt;");
+	output = output.replace(/>/g, "&gt;");
+	output = output.replace(/"/g, "&quot;");
+
+	return output;
+	};
+
+
 /*
 	Class: NDLocation
 	___________________________________________________________________________
@@ -34,11 +34,66 @@
 	$LocationInfoType_LanguageSpecificHierarchy = 1;
 	$LocationInfoType_LanguageAgnosticHierarchy = 2;
 
+// Panel State
+
+	$PanelState_Key = "NDFramePage.PanelState";
+
 
 
 /* Class: NDFramePage
 	_____________________________________________________________________________
 
+	Hash Sync:
+
+		Normally the hash path only changes when the reader navigates somewhere, so if they scroll through a long page and
+		copy the URL it will still point to the top or whichever member they last clicked.  Styles can make the hash path
+		follow the topic being read by adding this line to their <Style.txt>:
+
+		> Frame OnLoad: NDFramePage.EnableHashSync();
+
+		It uses history.replaceState() so it doesn't add history entries or reload the content page.
+
+	Offline Support:
+
+		Natural Docs generates serviceworker.js in the output folder, which precaches the menu, the search index, and the style
+		files so the documentation can be used offline and loads faster from slow hosts.  It isn't used by default.  Styles can
+		enable it by adding this line to their <Style.txt>:
+
+		> Frame OnLoad: NDFramePage.RegisterServiceWorker();
+
+	Narrow Layout:
+
+		When the window is narrower than <$NarrowLayoutWidth>, such as on phones, the menu and summary stop being fixed
+		panels next to the content and become drawers which slide out over it.  They are opened and closed with the same
+		header buttons that collapse the panels in the regular layout, and only one can be open at a time.  The html element gets the NarrowLayout class while this is in
+		effect so the CSS can make hit targets larger.
+
+	Panel State:
+
+		The menu and summary panels can be collapsed with the toggle buttons in the header to give the content the full
+		window.  The buttons are links so they can be reached with the tab key and activated with enter.
+
+		The widths of the menu and summary panels and whether they're collapsed are saved in the web browser so they're
+		restored the next time the documentation is opened.  They're stored in window.localStorage with $PanelState_Key
+		plus the page's path as the key so each documentation set remembers its own.  The value is a JSON object with
+		menuWidth, summaryWidth, menuCollapsed, and summaryCollapsed members, any of which may be missing.
+
+	Search Links:
+
+		The frame page can be opened with a search already running by adding a Search query parameter with the URI-encoded
+		search text, such as index.html?Search=dispose#File:Widget.cs.  The field will be activated and show the results as soon
+		as the page loads.  <NDSearch.CopySearchLink()> creates these links from the results panel.
+
+		The parameter is removed from the URL once the search starts so it doesn't run again if the page is reloaded and isn't
+		carried into permalinks.
+
+	Keyboard Shortcuts:
+
+		The frame page performs the shortcuts recognized by <NDCore.GetKeyboardShortcut()>.  Since the content page
+		usually has the keyboard focus, <NDContentPage> forwards any shortcuts pressed there to this page via postMessage().
+		It has to prevent the browser's default action before knowing whether this page will handle it, so if it doesn't this
+		page sends back a ShortcutNotHandled message and the content page performs the default itself.
+
 */
 var NDFramePage = new function ()
 	{
@@ -57,11 +112,17 @@ var NDFramePage = new function ()
 		this.resizeEventHandler = NDFramePage.OnResize.bind(NDFramePage);
 		this.blurEventHandler = NDFramePage.OnBlur.bind(NDFramePage);
 		this.hashChangeEventHandler = NDFramePage.OnHashChange.bind(NDFramePage);
+		this.popStateEventHandler = NDFramePage.OnPopState.bind(NDFramePage);
+		this.panelScrollEventHandler = NDFramePage.OnPanelScroll.bind(NDFramePage);
 		this.mouseDownEventHandler = NDFramePage.OnMouseDown.bind(NDFramePage);
-		this.sizerMouseMoveEventHandler = NDFramePage.OnSizerMouseMove.bind(NDFramePage);
-		this.sizerMouseUpEventHandler = NDFramePage.OnSizerMouseUp.bind(NDFramePage);
+		this.sizerPointerDownEventHandler = NDFramePage.OnSizerPointerDown.bind(NDFramePage);
+		this.sizerPointerMoveEventHandler = NDFramePage.OnSizerPointerMove.bind(NDFramePage);
+		this.sizerPointerUpEventHandler = NDFramePage.OnSizerPointerUp.bind(NDFramePage);
+		this.sizerKeyDownEventHandler = NDFramePage.OnSizerKeyDown.bind(NDFramePage);
 		this.effectiveThemeChangeEventHandler = NDFramePage.OnEffectiveThemeChange.bind(NDFramePage);
 		this.availableThemesChangeEventHandler = NDFramePage.OnAvailableThemesChange.bind(NDFramePage);
+		this.keyDownEventHandler = NDFramePage.OnKeyDown.bind(NDFramePage);
+		this.messageEventHandler = NDFramePage.OnMessage.bind(NDFramePage);
 
 
 		// The default title of the page is the project title.  Save a copy before we mess with it.
@@ -84,7 +145,9 @@ var NDFramePage = new function ()
 			NDSummary: false, // UpdateLayout() will enable this if necessary
 			NDContent: true,
 			NDMenuSizer: true, // Needs to be visible, but is styled as transparent unless hovered over
-			NDSummarySizer: true // Needs to be visible, but is styled as transparent unless hovered over
+			NDSummarySizer: true, // Needs to be visible, but is styled as transparent unless hovered over
+			NDMenuToggle: true,
+			NDSummaryToggle: false // UpdateLayout() will enable this if necessary
 			};
 
 		// Update the layout.
@@ -97,10 +160,29 @@ var NDFramePage = new function ()
 				{  domElement.style.display = "block";  }
 			}
 
+		// Make the sizers focusable so they can be resized with the keyboard.
+		var sizers = [
+			{ id: "NDMenuSizer", label: $Locale{HTML.ResizeMenu} },
+			{ id: "NDSummarySizer", label: $Locale{HTML.ResizeSummary} }
+			];
+
+		for (var i = 0; i < sizers.length; i++)
+			{
+			var sizer = document.getElementById(sizers[i].id);
+
+			sizer.tabIndex = 0;
+			sizer.setAttribute("role", "separator");
+			sizer.setAttribute("aria-orientation", "vertical");
+			sizer.setAttribute("aria-label", sizers[i].label);
+			}
+
 		// this.desiredSearchWidth = undefined;
 		// this.desiredMenuWidth = undefined;
 		// this.desiredSummaryWidth = undefined;
+		// this.menuCollapsed = false;
+		// this.summaryCollapsed = false;
 
+		this.LoadPanelState();
 		this.UpdateLayout();
 
 
@@ -109,6 +191,18 @@ var NDFramePage = new function ()
 		window.addEventListener("resize", this.resizeEventHandler);
 		// window.addEventListener("hashchange", this.hashChangeEventHandler);  // Wait until OnLocationsLoaded
 		document.addEventListener("mousedown", this.mouseDownEventHandler);
+		document.addEventListener("keydown", this.keyDownEventHandler);
+		window.addEventListener("message", this.messageEventHandler);
+		document.getElementById("NDMenu").addEventListener("scroll", this.panelScrollEventHandler);
+		document.getElementById("NDSummary").addEventListener("scroll", this.panelScrollEventHandler);
+
+		for (var i = 0; i < sizers.length; i++)
+			{
+			var sizer = document.getElementById(sizers[i].id);
+
+			sizer.addEventListener("pointerdown", this.sizerPointerDownEventHandler);
+			sizer.addEventListener("keydown", this.sizerKeyDownEventHandler);
+			}
 
 		document.addEventListener("NDEffectiveThemeChange", this.effectiveThemeChangeEventHandler);
 		document.addEventListener("NDAvailableThemesChange", this.availableThemesChangeEventHandler);
@@ -145,6 +239,9 @@ var NDFramePage = new function ()
 
 		if (NDThemeSwitcher.MenuIsOpen())
 			{  NDThemeSwitcher.CloseMenu();  }
+
+		// This also happens when clicking on the content page, which should close any open drawer.
+		this.CloseDrawer();
 		};
 
 
@@ -161,12 +258,36 @@ var NDFramePage = new function ()
 		this.currentLocation = new NDLocation(location.hash);
 
 
+		// If we got here from the back or forward buttons, get the scroll positions saved with the history entry.  Any
+		// pending save is for the entry we just left so it has to be dropped.
+
+		var scrollState = this.scrollStateToRestore;
+		this.scrollStateToRestore = undefined;
+
+		if (scrollState == null || typeof scrollState != "object")
+			{  scrollState = undefined;  }
+
+		if (this.scrollStateTimeout != undefined)
+			{
+			clearTimeout(this.scrollStateTimeout);
+			this.scrollStateTimeout = undefined;
+			}
+
+		this.contentScrollPosition = undefined;
+
+
 		// Clear any search results since that may be the way we got here.
 
 		NDSearch.ClearResults();
 		NDSearch.DeactivateSearchField();
 
 
+		// Close any open drawer for the same reason, since clicking on a menu or summary entry would get us here.
+
+		var closedDrawer = (this.openDrawer != undefined);
+		this.openDrawer = undefined;
+
+
 		// If we're using a source file for the home page, substitute its location.  We don't have to worry about handling
 		// custom home pages based on HTML files here because they get resaved into the default location.
 
@@ -179,12 +300,12 @@ var NDFramePage = new function ()
 			}
 
 
-		// We need to update the layout if the location changes the visibility of the summary panel.
+		// We need to update the layout if we closed a drawer or the location changes the visibility of the summary panel.
 
 		var oldLocationHasSummary = (oldLocation != undefined && oldLocation.summaryFile != undefined);
 		var currentLocationHasSummary = (this.currentLocation.summaryFile != undefined);
 
-		if (oldLocationHasSummary != currentLocationHasSummary)
+		if (closedDrawer || oldLocationHasSummary != currentLocationHasSummary)
 			{  this.UpdateLayout();  }
 
 
@@ -192,9 +313,19 @@ var NDFramePage = new function ()
 
 		var frame = document.getElementById("CFrame");
 		var newLocation = this.currentLocation.contentPage;
+		var queryParams = [ ];
 
 		if (NDThemes.effectiveThemeID != undefined)
-			{  newLocation = NDCore.AddQueryParams(newLocation, "Theme=" + NDThemes.effectiveThemeID);  }
+			{  queryParams.push("Theme=" + NDThemes.effectiveThemeID);  }
+
+		if (this.contentOutlineIsNeeded)
+			{  queryParams.push("Outline=1");  }
+
+		if (scrollState != undefined && typeof scrollState.contentScroll == "number")
+			{  queryParams.push("Scroll=" + Math.round(scrollState.contentScroll));  }
+
+		if (queryParams.length > 0)
+			{  newLocation = NDCore.AddQueryParams(newLocation, queryParams.join(";"));  }
 
 		frame.contentWindow.location.replace(newLocation);
 
@@ -209,6 +340,14 @@ var NDFramePage = new function ()
 		NDMenu.OnLocationChange(oldLocation, this.currentLocation);
 		NDSummary.OnLocationChange(oldLocation, this.currentLocation);
 
+		if (scrollState != undefined)
+			{
+			if (typeof scrollState.menuScroll == "number")
+				{  NDMenu.RestoreScrollPosition(scrollState.menuScroll);  }
+			if (typeof scrollState.summaryScroll == "number")
+				{  NDSummary.RestoreScrollPosition(scrollState.summaryScroll);  }
+			}
+
 
 		// Normally the page title will be updated by the summary metadata file, but we have to do it manually if the new
 		// location won't have a summary, such as the home page.
@@ -218,6 +357,57 @@ var NDFramePage = new function ()
 		};
 
 
+	/* Function: OnPopState
+		Called when the browser moves to a different history entry, such as with the back and forward buttons.  This happens
+		before <OnHashChange()> so we save the entry's scroll positions for it to restore.
+	*/
+	this.OnPopState = function (event)
+		{
+		this.scrollStateToRestore = event.state;
+		};
+
+
+	/* Function: EnableHashSync
+		Makes the hash path follow the topic being read as the content page scrolls.  This is meant to be called from a
+		Frame OnLoad statement in <Style.txt>.
+	*/
+	this.EnableHashSync = function ()
+		{
+		this.hashSyncEnabled = true;
+		};
+
+
+	/* Function: SyncHashToMember
+		Replaces the member part of the hash path with the passed one without triggering <OnHashChange()>.  If the member is
+		an empty string it will be removed.  Does nothing if the current location isn't a page with topics.
+	*/
+	this.SyncHashToMember = function (member)
+		{
+		if (this.currentLocation == undefined ||
+			this.currentLocation.type == "Home" ||
+			this.currentLocation.path == undefined)
+			{  return;  }
+
+		var newHashString = this.currentLocation.path;
+
+		if (member != "")
+			{  newHashString += ":" + member;  }
+
+		if (newHashString == this.currentLocation.hashString)
+			{  return;  }
+
+		// replaceState() doesn't fire hashchange events, so OnHashChange() won't reload the content page.  Some browsers
+		// refuse it for file: URLs, in which case we just leave the hash alone.
+		try
+			{  history.replaceState(history.state, "", "#" + newHashString);  }
+		catch (e)
+			{  return;  }
+
+		// Update currentLocation so things like the summary shortcuts work from the new position.
+		this.currentLocation = new NDLocation(newHashString);
+		};
+
+
 	/* Function: OnLocationsLoaded
 	*/
 	this.OnLocationsLoaded = function (locationInfo, sourceFileHomePageHashPath)
@@ -232,9 +422,48 @@ var NDFramePage = new function ()
 
 		this.sourceFileHomePageHashPath = sourceFileHomePageHashPath;
 
-		// Now we can interpret the initial hash path and set the event handler for future ones.
+		// Now we can interpret the initial hash path and set the event handlers for future ones.  If the page was reloaded the
+		// history entry may still have the scroll positions from before, so restore them too.
 		window.addEventListener("hashchange", this.hashChangeEventHandler);
+		window.addEventListener("popstate", this.popStateEventHandler);
+
+		this.scrollStateToRestore = history.state;
 		this.OnHashChange();
+
+		this.StartSearchFromURL();
+		};
+
+
+	/* Function: StartSearchFromURL
+		If the URL has a <search link's at Search Links> query parameter, removes it and starts the search.
+	*/
+	this.StartSearchFromURL = function ()
+		{
+		var encodedSearchText = NDCore.GetQueryParam("Search");
+
+		if (encodedSearchText == undefined)
+			{  return;  }
+
+		var searchText;
+
+		try
+			{  searchText = decodeURIComponent(encodedSearchText.replace(/\+/g, " "));  }
+		catch (e)
+			{  return;  }
+
+		// Some browsers don't allow replaceState() on pages opened from the local hard drive.  The parameter will just stay
+		// in the URL then.
+		var queryString = location.search.replace(/([?;])Search=[^;]*;?/, "$1").replace(/[?;]$/, "");
+
+		try
+			{  history.replaceState(history.state, "", location.pathname + queryString + location.hash);  }
+		catch (e)
+			{  }
+
+		// OnHashChange() moved the focus to the content page, so wait until the blur events from that are handled or they
+		// would close the results again.
+		setTimeout(function ()
+			{  NDSearch.Search(searchText);  }, 0);
 		};
 
 
@@ -268,6 +497,57 @@ var NDFramePage = new function ()
 
 
 
+	// Group: Scroll State Functions
+	// ________________________________________________________________________
+
+
+	/* Function: OnPanelScroll
+		Called when the menu or summary panel scrolls.
+	*/
+	this.OnPanelScroll = function (event)
+		{
+		this.ScheduleScrollStateSave();
+		};
+
+
+	/* Function: ScheduleScrollStateSave
+		Calls <SaveScrollState()> after a short delay.  Scroll events fire rapidly and browsers may throttle
+		history.replaceState() if it's called too often, so this limits how often it's done.
+	*/
+	this.ScheduleScrollStateSave = function ()
+		{
+		if (this.scrollStateTimeout == undefined)
+			{
+			this.scrollStateTimeout = setTimeout(function ()
+				{
+				NDFramePage.scrollStateTimeout = undefined;
+				NDFramePage.SaveScrollState();
+				}, $ScrollStateDelay);
+			}
+		};
+
+
+	/* Function: SaveScrollState
+		Stores the scroll positions of the content page, menu, and summary in the current history entry so <OnHashChange()>
+		can restore them when the reader comes back to it.
+	*/
+	this.SaveScrollState = function ()
+		{
+		var state = {
+			contentScroll: this.contentScrollPosition,
+			menuScroll: document.getElementById("NDMenu").scrollTop,
+			summaryScroll: document.getElementById("NDSummary").scrollTop
+			};
+
+		// Some browsers refuse this for file: URLs, in which case we just won't be able to restore them.
+		try
+			{  history.replaceState(state, "");  }
+		catch (e)
+			{  }
+		};
+
+
+
 	// Group: Layout Functions
 	// ________________________________________________________________________
 
@@ -297,6 +577,46 @@ var NDFramePage = new function ()
 		var summary = document.getElementById("NDSummary");
 		var summarySizer = document.getElementById("NDSummarySizer");
 		var content = document.getElementById("NDContent");
+		var menuToggle = document.getElementById("NDMenuToggle");
+		var summaryToggle = document.getElementById("NDSummaryToggle");
+
+
+		// Layout mode
+
+		// This has to be done first because the NarrowLayout class changes the header's padding, which affects the
+		// measurements below.
+		var narrowLayout = (fullWidth < $NarrowLayoutWidth);
+		var restoredPanelWidths = false;
+
+		if (narrowLayout != this.narrowLayout)
+			{
+			this.narrowLayout = narrowLayout;
+
+			if (narrowLayout)
+				{  document.documentElement.classList.add("NarrowLayout");  }
+			else
+				{
+				document.documentElement.classList.remove("NarrowLayout");
+
+				this.openDrawer = undefined;
+				menu.classList.remove("DrawerOpen");
+				footer.classList.remove("DrawerOpen");
+				summary.classList.remove("DrawerOpen");
+
+				// The drawers may have been made narrower than the desired widths so restore them.
+				if (this.desiredMenuWidth != undefined)
+					{  menu.style.width = this.desiredMenuWidth + "px";  }
+				if (this.desiredSummaryWidth != undefined)
+					{  summary.style.width = this.desiredSummaryWidth + "px";  }
+
+				restoredPanelWidths = true;
+				}
+			}
+
+		if (!this.SummaryIsVisible() && this.openDrawer == "Summary")
+			{  this.openDrawer = undefined;  }
+
+		var maxDrawerWidth = Math.floor(fullWidth * $MaxDrawerWidthFactor);
 
 
 		// Header
@@ -329,6 +649,30 @@ var NDFramePage = new function ()
 		var headerRightEdge = Math.max(headerTitleRightEdge, headerSubTitleRightEdge);
 
 
+		// Panel toggles
+
+		menuToggle.style.display = "block";
+
+		var toggleSize = menuToggle.offsetHeight;
+		var toggleMargin = Math.floor((headerHeight - toggleSize) / 2);
+
+		menuToggle.style.left = toggleMargin + "px";
+		menuToggle.style.top = toggleMargin + "px";
+
+		this.UpdatePanelToggle(menuToggle, (narrowLayout ? this.openDrawer == "Menu" : !this.menuCollapsed));
+
+		// The summary toggle's horizontal position depends on the search field so it's set below.
+		if (this.SummaryIsVisible())
+			{
+			summaryToggle.style.display = "block";
+			summaryToggle.style.top = toggleMargin + "px";
+
+			this.UpdatePanelToggle(summaryToggle, (narrowLayout ? this.openDrawer == "Summary" : !this.summaryCollapsed));
+			}
+		else
+			{  summaryToggle.style.display = "none";  }
+
+
 		// Search field and theme switcher
 
 		if (this.desiredSearchWidth == undefined)
@@ -348,6 +692,9 @@ var NDFramePage = new function ()
 			maxSearchWidth -= themeSwitcherSize + searchMargin;
 			}
 
+		if (this.SummaryIsVisible())
+			{  maxSearchWidth -= toggleSize + searchMargin;  }
+
 		if (searchWidth > maxSearchWidth)
 			{  searchWidth = maxSearchWidth;  }
 		if (searchWidth < minSearchWidth)
@@ -367,6 +714,18 @@ var NDFramePage = new function ()
 			themeSwitcher.style.height = themeSwitcherSize + "px";
 			}
 
+		if (this.SummaryIsVisible())
+			{
+			var summaryToggleRightEdge;
+
+			if (NDThemeSwitcher.IsNeeded())
+				{  summaryToggleRightEdge = themeSwitcher.offsetLeft;  }
+			else
+				{  summaryToggleRightEdge = searchField.offsetLeft;  }
+
+			summaryToggle.style.left = (summaryToggleRightEdge - toggleSize - Math.floor(searchMargin / 2)) + "px";
+			}
+
 
 		// Menu and footer
 
@@ -375,46 +734,80 @@ var NDFramePage = new function ()
 		var currentX = 0;
 		var currentY = headerHeight;
 
-		// The order of operations below is very important.  Block has to be set before checking the offset width or it
-		// might return zero.  It also has to be set before setting the position or Firefox will sometimes not show
-		// scrollbars on the summary panel when navigating back and forth between the home page where it's hidden
-		// and regular pages where it's not.
+		// A collapsed menu is hidden completely.  It doesn't apply to the narrow layout since the drawer is hidden by default.
+		if (this.menuCollapsed && !narrowLayout)
+			{
+			menu.style.display = "none";
+			footer.style.display = "none";
+			menuSizer.style.display = "none";
+			}
+		else
+			{
+			// The order of operations below is very important.  Block has to be set before checking the offset width or it
+			// might return zero.  It also has to be set before setting the position or Firefox will sometimes not show
+			// scrollbars on the summary panel when navigating back and forth between the home page where it's hidden
+			// and regular pages where it's not.
+
+			menu.style.display = "block";
+			footer.style.display = "block";
+			menu.style.top = currentY + "px";
+
+			// The menu's default width might be set in something other than pixels, like ex, which might make it fractional
+			// when converted to pixels.  This can create black bars between panels in Firefox.  offsetWidth always returns
+			// pixels so re-set the width to guarantee whole pixels.
+			var menuWidth = menu.offsetWidth;
+
+			if (this.desiredMenuWidth == undefined)
+				{  this.desiredMenuWidth = menuWidth;  }
+
+			// As a drawer it uses the desired width unless that would cover too much of the screen.  It stays in the layout when
+			// closed, just positioned off the left edge, so the CSS can animate it sliding in and out.
+			if (narrowLayout)
+				{
+				menuWidth = Math.min(this.desiredMenuWidth, maxDrawerWidth);
 
-		menu.style.display = "block";
-		menu.style.left = currentX + "px";
-		menu.style.top = currentY + "px";
+				var menuIsOpen = (this.openDrawer == "Menu");
+				menu.classList.toggle("DrawerOpen", menuIsOpen);
+				footer.classList.toggle("DrawerOpen", menuIsOpen);
 
-		// The menu's default width might be set in something other than pixels, like ex, which might make it fractional
-		// when converted to pixels.  This can create black bars between panels in Firefox.  offsetWidth always returns
-		// pixels so re-set the width to guarantee whole pixels.
-		var menuWidth = menu.offsetWidth;
-		menu.style.width = menuWidth + "px";
+				if (!menuIsOpen)
+					{  currentX = 0 - menuWidth;  }
+				}
 
-		footer.style.left = currentX + "px";
-		footer.style.top = currentY + "px";
-		footer.style.width = menuWidth + "px";
-		var footerHeight = footer.offsetHeight;
+			menu.style.left = currentX + "px";
+			menu.style.width = menuWidth + "px";
 
-		menu.style.height = (remainingHeight - footerHeight) + "px";
-		footer.style.top = (currentY + remainingHeight - footerHeight) + "px";
+			footer.style.left = currentX + "px";
+			footer.style.top = currentY + "px";
+			footer.style.width = menuWidth + "px";
+			var footerHeight = footer.offsetHeight;
 
-		if (this.desiredMenuWidth == undefined)
-			{  this.desiredMenuWidth = menuWidth;  }
+			menu.style.height = (remainingHeight - footerHeight) + "px";
+			footer.style.top = (currentY + remainingHeight - footerHeight) + "px";
 
-		menuSizer.style.display = "block";
-		menuSizer.style.left = currentX + menuWidth + "px";
-		menuSizer.style.top = currentY + "px";
-		menuSizer.style.height = remainingHeight + "px";
+			if (narrowLayout)
+				{
+				menuSizer.style.display = "none";
+				currentX = 0;
+				}
+			else
+				{
+				menuSizer.style.display = "block";
+				menuSizer.style.left = currentX + menuWidth + "px";
+				menuSizer.style.top = currentY + "px";
+				menuSizer.style.height = remainingHeight + "px";
 
-		NDMenu.OnUpdateLayout();
+				currentX += menuWidth;
+				remainingWidth -= menuWidth;
+				}
 
-		currentX += menuWidth;
-		remainingWidth -= menuWidth;
+			NDMenu.OnUpdateLayout();
+			}
 
 
 		// Summary
 
-		if (this.SummaryIsVisible())
+		if (this.SummaryIsVisible() && (narrowLayout || !this.summaryCollapsed))
 			{
 			summary.style.display = "block";
 			summary.style.left = currentX + "px";
@@ -425,18 +818,35 @@ var NDFramePage = new function ()
 			// converted to pixels.  This can create black bars between panels in Firefox.  offsetWidth always returns pixels
 			// so re-set the width to guarantee whole pixels.
 			var summaryWidth = summary.offsetWidth;
-			summary.style.width = summaryWidth + "px";
 
 			if (this.desiredSummaryWidth == undefined)
 				{  this.desiredSummaryWidth = summaryWidth;  }
 
-			summarySizer.style.display = "block";
-			summarySizer.style.left = (currentX + summaryWidth - 1) + "px";
-			summarySizer.style.top = currentY + "px";
-			summarySizer.style.height = remainingHeight + "px";
+			if (narrowLayout)
+				{
+				summaryWidth = Math.min(this.desiredSummaryWidth, maxDrawerWidth);
+
+				var summaryIsOpen = (this.openDrawer == "Summary");
+				summary.classList.toggle("DrawerOpen", summaryIsOpen);
 
-			currentX += summaryWidth;
-			remainingWidth -= summaryWidth;
+				if (!summaryIsOpen)
+					{  summary.style.left = (0 - summaryWidth) + "px";  }
+
+				summary.style.width = summaryWidth + "px";
+				summarySizer.style.display = "none";
+				}
+			else
+				{
+				summary.style.width = summaryWidth + "px";
+
+				summarySizer.style.display = "block";
+				summarySizer.style.left = (currentX + summaryWidth - 1) + "px";
+				summarySizer.style.top = currentY + "px";
+				summarySizer.style.height = remainingHeight + "px";
+
+				currentX += summaryWidth;
+				remainingWidth -= summaryWidth;
+				}
 			}
 		else
 			{
@@ -451,6 +861,79 @@ var NDFramePage = new function ()
 
 		NDSearch.OnUpdateLayout();
 		NDThemeSwitcher.OnUpdateLayout();
+
+		// The content page shows its own outline when the summary is collapsed.  New pages get this via a query parameter
+		// in OnHashChange(), but the current one has to be told if it changed.
+		var contentOutlineIsNeeded = (!narrowLayout && this.summaryCollapsed == true);
+
+		if (contentOutlineIsNeeded != this.contentOutlineIsNeeded)
+			{
+			this.contentOutlineIsNeeded = contentOutlineIsNeeded;
+
+			document.getElementById("CFrame").contentWindow.postMessage(
+				(contentOutlineIsNeeded ? "ShowOutline" : "HideOutline"), "*");
+			}
+
+		// Let the summary expand to fit its content again now that it's a panel instead of a drawer.
+		if (restoredPanelWidths && this.SummaryIsVisible())
+			{  this.SizeSummaryToContent();  }
+		};
+
+
+	/* Function: UpdatePanelToggle
+		Updates the state of the passed panel toggle button in the header.  isShowing is whether its panel is expanded or,
+		in the narrow layout, whether its drawer is open.
+	*/
+	this.UpdatePanelToggle = function (toggle, isShowing)
+		{
+		toggle.classList.toggle("Active", isShowing);
+		toggle.setAttribute("aria-expanded", (isShowing ? "true" : "false"));
+		};
+
+
+	/* Function: TogglePanel
+		Called by the panel toggle buttons in the header.  The panel can be "Menu" or "Summary".  In the narrow layout
+		this opens or closes its drawer, otherwise it collapses or expands it.
+	*/
+	this.TogglePanel = function (panel)
+		{
+		if (this.narrowLayout)
+			{  this.ToggleDrawer(panel);  }
+		else if (panel == "Menu")
+			{  this.SetPanelCollapsed("Menu", !this.menuCollapsed);  }
+		else // "Summary"
+			{  this.SetPanelCollapsed("Summary", !this.summaryCollapsed);  }
+		};
+
+
+	/* Function: ToggleDrawer
+		Opens the passed drawer if it's closed or closes it if it's open.  The drawer can be "Menu" or "Summary".  This
+		only has an effect in the narrow layout.
+	*/
+	this.ToggleDrawer = function (drawer)
+		{
+		if (!this.narrowLayout)
+			{  return;  }
+
+		if (this.openDrawer == drawer)
+			{  this.openDrawer = undefined;  }
+		else
+			{  this.openDrawer = drawer;  }
+
+		this.UpdateLayout();
+		};
+
+
+	/* Function: CloseDrawer
+		Closes the open drawer, if there is one.
+	*/
+	this.CloseDrawer = function ()
+		{
+		if (this.openDrawer != undefined)
+			{
+			this.openDrawer = undefined;
+			this.UpdateLayout();
+			}
 		};
 
 
@@ -509,49 +992,33 @@ var NDFramePage = new function ()
 				}
 			}
 
-		if (target.id == "NDMenuSizer" || target.id == "NDSummarySizer")
+		if (this.openDrawer != undefined)
 			{
-			var panel;
-
-			if (target.id == "NDMenuSizer")
-				{  panel = document.getElementById("NDMenu");  }
-			else
-				{  panel = document.getElementById("NDSummary");  }
+			var targetIsPartOfDrawer = false;
 
-			this.sizerDragging =
+			for (var element = target; element != undefined; element = element.parentNode)
 				{
-				"sizer": target,
-				"panel": panel,
-				"originalSizerX": target.offsetLeft,
-				"originalPanelWidth": panel.offsetWidth,
-				"originalClientX": event.clientX
-				};
-
-			target.classList.add("Dragging");
-
-			document.addEventListener("mousemove", this.sizerMouseMoveEventHandler);
-			document.addEventListener("mouseup", this.sizerMouseUpEventHandler);
-
-			// We need a div to cover the content iframe or else some messages will be sent there instead and you'll have
-			// difficulty dragging the sizer over it.  The z-index is set in CSS to be between the sizers and everything else.
-			var contentCover = document.createElement("div");
-			contentCover.id = "NDContentCover";
-
-			contentCover.style.left = "0px";
-			contentCover.style.top = "0px";
-			contentCover.style.width = window.innerWidth + "px";
-			contentCover.style.height = window.innerHeight + "px";
-
-			document.body.appendChild(contentCover);
+				if (element.id == "NDMenu" ||
+					element.id == "NDFooter" ||
+					element.id == "NDSummary" ||
+					element.id == "NDMenuToggle" ||
+					element.id == "NDSummaryToggle" ||
+					element.id == "NDSearchResults")
+					{
+					targetIsPartOfDrawer = true;
+					break;
+					}
+				}
 
-			event.preventDefault();
+			if (!targetIsPartOfDrawer)
+				{  this.CloseDrawer();  }
 			}
 
 		// If we click a link in the summary, then scroll away, then click the same link, the view won't move back to the
 		// topic that was clicked on because the URL didn't change and therefore there's no onhashchange event.  Since
 		// we already have an onmousedown handler we can check for this and manually call it.
-		else if (target.tagName == "A" &&
-				  target.href == window.location)
+		if (target.tagName == "A" &&
+			target.href == window.location)
 			{
 			this.OnHashChange(event);
 			event.preventDefault();
@@ -559,58 +1026,160 @@ var NDFramePage = new function ()
 		};
 
 
-	/* Function: OnSizerMouseMove
+	/* Function: OnSizerPointerDown
+		Starts dragging a sizer.  This uses pointer events so it works with mice, pens, and touchscreens.  The pointer is
+		captured by the sizer so it keeps receiving the events even when it passes over the content iframe.
+	*/
+	this.OnSizerPointerDown = function (event)
+		{
+		// Only drag with the primary button, or with touch or a pen in contact with the screen.
+		if (event.button != 0 || this.sizerDragging != undefined)
+			{  return;  }
+
+		var sizer = event.currentTarget;
+		var panel = this.GetSizerPanel(sizer);
+
+		this.sizerDragging =
+			{
+			"sizer": sizer,
+			"panel": panel,
+			"pointerID": event.pointerId,
+			"originalSizerX": sizer.offsetLeft,
+			"originalPanelWidth": panel.offsetWidth,
+			"originalClientX": event.clientX
+			};
+
+		sizer.setPointerCapture(event.pointerId);
+		sizer.classList.add("Dragging");
+
+		sizer.addEventListener("pointermove", this.sizerPointerMoveEventHandler);
+		sizer.addEventListener("pointerup", this.sizerPointerUpEventHandler);
+		sizer.addEventListener("pointercancel", this.sizerPointerUpEventHandler);
+
+		// We don't call preventDefault() because that would suppress the mousedown event, and we still want OnMouseDown()
+		// to close the search results and theme menu.  Text selection and touch scrolling are turned off in the CSS instead.
+		};
+
+
+	/* Function: OnSizerPointerMove
+	*/
+	this.OnSizerPointerMove = function (event)
+		{
+		if (this.sizerDragging == undefined || event.pointerId != this.sizerDragging.pointerID)
+			{  return;  }
+
+		this.MoveSizer(this.sizerDragging.sizer, this.sizerDragging.originalSizerX, this.sizerDragging.originalPanelWidth,
+							  event.clientX - this.sizerDragging.originalClientX);
+		};
+
+
+	/* Function: OnSizerPointerUp
+		Stops dragging a sizer.  This also handles pointercancel events.
+	*/
+	this.OnSizerPointerUp = function (event)
+		{
+		if (this.sizerDragging == undefined || event.pointerId != this.sizerDragging.pointerID)
+			{  return;  }
+
+		var sizer = this.sizerDragging.sizer;
+
+		sizer.removeEventListener("pointermove", this.sizerPointerMoveEventHandler);
+		sizer.removeEventListener("pointerup", this.sizerPointerUpEventHandler);
+		sizer.removeEventListener("pointercancel", this.sizerPointerUpEventHandler);
+
+		if (sizer.hasPointerCapture(event.pointerId))
+			{  sizer.releasePointerCapture(event.pointerId);  }
+
+		sizer.classList.remove("Dragging");
+		this.sizerDragging = undefined;
+
+		this.SavePanelState();
+		};
+
+
+	/* Function: OnSizerKeyDown
+		Resizes the panel when the left or right arrow keys are pressed while a sizer has focus.  Holding shift moves it
+		further.
+	*/
+	this.OnSizerKeyDown = function (event)
+		{
+		if (event.altKey || event.ctrlKey || event.metaKey)
+			{  return;  }
+
+		var offset;
+
+		if (event.key == "ArrowLeft")
+			{  offset = 0 - $SizerKeyboardStep;  }
+		else if (event.key == "ArrowRight")
+			{  offset = $SizerKeyboardStep;  }
+		else
+			{  return;  }
+
+		if (event.shiftKey)
+			{  offset *= 5;  }
+
+		var sizer = event.currentTarget;
+
+		this.MoveSizer(sizer, sizer.offsetLeft, this.GetSizerPanel(sizer).offsetWidth, offset);
+		this.SavePanelState();
+
+		event.preventDefault();
+		};
+
+
+	/* Function: GetSizerPanel
+		Returns the DOM element of the panel the passed sizer resizes.
+	*/
+	this.GetSizerPanel = function (sizer)
+		{
+		if (sizer.id == "NDMenuSizer")
+			{  return document.getElementById("NDMenu");  }
+		else
+			{  return document.getElementById("NDSummary");  }
+		};
+
+
+	/* Function: MoveSizer
+		Moves the passed sizer by the offset from its original position, resizing its panel to match.  The offset will be
+		limited so the sizer stays within the window and doesn't pass the one before it.
 	*/
-	this.OnSizerMouseMove = function (event)
+	this.MoveSizer = function (sizer, originalSizerX, originalPanelWidth, offset)
 		{
-		var offset = event.clientX - this.sizerDragging.originalClientX;
 		var windowClientWidth = window.innerWidth;
 
 		// Sanity checks
-		if (this.sizerDragging.sizer.id == "NDMenuSizer")
+		if (sizer.id == "NDMenuSizer")
 			{
-			if (this.sizerDragging.originalSizerX + offset < 0)
-				{  offset = 0 - this.sizerDragging.originalSizerX;  }
-			else if (this.sizerDragging.originalSizerX + offset + this.sizerDragging.sizer.offsetWidth > windowClientWidth)
-				{  offset = windowClientWidth - this.sizerDragging.sizer.offsetWidth - this.sizerDragging.originalSizerX;  }
+			if (originalSizerX + offset < 0)
+				{  offset = 0 - originalSizerX;  }
+			else if (originalSizerX + offset + sizer.offsetWidth > windowClientWidth)
+				{  offset = windowClientWidth - sizer.offsetWidth - originalSizerX;  }
 			}
 		else // "NDSummarySizer"
 			{
 			var menuSizer = document.getElementById("NDMenuSizer");
 			var leftLimit = menuSizer.offsetLeft + menuSizer.offsetWidth;
 
-			if (this.sizerDragging.originalSizerX + offset < leftLimit)
-				{  offset = leftLimit - this.sizerDragging.originalSizerX;  }
-			else if (this.sizerDragging.originalSizerX + offset + this.sizerDragging.sizer.offsetWidth > windowClientWidth)
-				{  offset = windowClientWidth - this.sizerDragging.sizer.offsetWidth - this.sizerDragging.originalSizerX;  }
+			if (originalSizerX + offset < leftLimit)
+				{  offset = leftLimit - originalSizerX;  }
+			else if (originalSizerX + offset + sizer.offsetWidth > windowClientWidth)
+				{  offset = windowClientWidth - sizer.offsetWidth - originalSizerX;  }
 			}
 
-		this.sizerDragging.sizer.style.left = (this.sizerDragging.originalSizerX + offset) + "px";
-		this.sizerDragging.panel.style.width = (this.sizerDragging.originalPanelWidth + offset) + "px";
+		var panel = this.GetSizerPanel(sizer);
 
-		if (this.sizerDragging.sizer.id == "NDMenuSizer")
-			{  this.desiredMenuWidth = document.getElementById("NDMenu").offsetWidth;  }
+		sizer.style.left = (originalSizerX + offset) + "px";
+		panel.style.width = (originalPanelWidth + offset) + "px";
+
+		if (sizer.id == "NDMenuSizer")
+			{  this.desiredMenuWidth = panel.offsetWidth;  }
 		else // "NDSummarySizer
-			{  this.desiredSummaryWidth = document.getElementById("NDSummary").offsetWidth;  }
+			{  this.desiredSummaryWidth = panel.offsetWidth;  }
 
 		this.UpdateLayout();
 		};
 
 
-	/* Function: OnSizerMouseUp
-	*/
-	this.OnSizerMouseUp = function (event)
-		{
-		document.removeEventListener("mousemove", this.sizerMouseMoveEventHandler);
-		document.removeEventListener("mouseup", this.sizerMouseUpEventHandler);
-
-		document.body.removeChild(document.getElementById("NDContentCover"));
-
-		this.sizerDragging.sizer.classList.remove("Dragging");
-		this.sizerDragging = undefined;
-		};
-
-
 	/* Function: SizeSummaryToContent
 		Resizes the summary panel to try to show its content without a horizontal scrollbar.  The new width will have a
 		minimum of <desiredSummaryWidth> and a maximum of <desiredSummaryWidth> times <$ExpansionFactor>.  This
@@ -618,6 +1187,10 @@ var NDFramePage = new function ()
 	*/
 	this.SizeSummaryToContent = function ()
 		{
+		// Drawers always use the desired width, and a collapsed summary has no width to set.
+		if (this.narrowLayout || this.summaryCollapsed)
+			{  return;  }
+
 		this.SizePanelToContent(document.getElementById("NDSummary"), this.desiredSummaryWidth);
 		};
 
@@ -706,6 +1279,96 @@ var NDFramePage = new function ()
 
 
 
+	// Group: Panel State Functions
+	// ________________________________________________________________________
+
+
+	/* Function: SetPanelCollapsed
+		Collapses or expands the passed panel, which can be "Menu" or "Summary", and saves the new state.
+	*/
+	this.SetPanelCollapsed = function (panel, collapsed)
+		{
+		if (panel == "Menu")
+			{  this.menuCollapsed = collapsed;  }
+		else // "Summary"
+			{  this.summaryCollapsed = collapsed;  }
+
+		this.SavePanelState();
+		this.UpdateLayout();
+
+		// The summary's content may have changed while it was collapsed so it may need to be resized to fit it.
+		if (panel == "Summary" && !collapsed && this.SummaryIsVisible())
+			{  this.SizeSummaryToContent();  }
+		};
+
+
+	/* Function: LoadPanelState
+		Loads <desiredMenuWidth>, <desiredSummaryWidth>, <menuCollapsed>, and <summaryCollapsed> from the web
+		browser's local storage and applies the widths to the panels.  Any values that are missing or invalid are left alone.
+		This must be called before the first <UpdateLayout()>.
+	*/
+	this.LoadPanelState = function ()
+		{
+		var json = window.localStorage.getItem($PanelState_Key + ":" + window.location.pathname);
+
+		if (json == undefined)
+			{  return;  }
+
+		var state;
+
+		try
+			{  state = JSON.parse(json);  }
+		catch (e)
+			{  return;  }
+
+		if (state == null || typeof state != "object")
+			{  return;  }
+
+		// Don't restore widths that wouldn't fit in the window.  They might have been saved on a larger screen.
+		if (this.IsValidPanelWidth(state.menuWidth))
+			{
+			this.desiredMenuWidth = state.menuWidth;
+			document.getElementById("NDMenu").style.width = state.menuWidth + "px";
+			}
+
+		if (this.IsValidPanelWidth(state.summaryWidth))
+			{
+			this.desiredSummaryWidth = state.summaryWidth;
+			document.getElementById("NDSummary").style.width = state.summaryWidth + "px";
+			}
+
+		this.menuCollapsed = (state.menuCollapsed === true);
+		this.summaryCollapsed = (state.summaryCollapsed === true);
+		};
+
+
+	/* Function: SavePanelState
+		Saves <desiredMenuWidth>, <desiredSummaryWidth>, <menuCollapsed>, and <summaryCollapsed> to the web
+		browser's local storage.
+	*/
+	this.SavePanelState = function ()
+		{
+		var state = {
+			menuWidth: this.desiredMenuWidth,
+			summaryWidth: this.desiredSummaryWidth,
+			menuCollapsed: (this.menuCollapsed == true),
+			summaryCollapsed: (this.summaryCollapsed == true)
+			};
+
+		window.localStorage.setItem($PanelState_Key + ":" + window.location.pathname, JSON.stringify(state));
+		};
+
+
+	/* Function: IsValidPanelWidth
+		Returns whether the passed value loaded from local storage can be used as a panel width.
+	*/
+	this.IsValidPanelWidth = function (width)
+		{
+		return (typeof width == "number" && width > 0 && width < window.innerWidth);
+		};
+
+
+
 	// Group: Theme Functions
 	// ________________________________________________________________________
 
@@ -746,6 +1409,138 @@ var NDFramePage = new function ()
 
 
 
+	// Group: Offline Functions
+	// ________________________________________________________________________
+
+
+	/* Function: RegisterServiceWorker
+		Registers serviceworker.js so the documentation is cached for offline use.  This does nothing if the browser doesn't
+		support service workers or the documentation is being viewed from the local file system, where they aren't allowed.
+	*/
+	this.RegisterServiceWorker = function ()
+		{
+		if (!("serviceWorker" in navigator) || (location.protocol != "http:" && location.protocol != "https:"))
+			{  return;  }
+
+		// The frame page is always in the root output folder, so the service worker's scope covers all the documentation.  If
+		// registration fails the documentation still works, it just won't be available offline.
+		navigator.serviceWorker.register("serviceworker.js").catch( function () {  } );
+		};
+
+
+
+	// Group: Keyboard Functions
+	// ________________________________________________________________________
+
+
+	/* Function: OnKeyDown
+	*/
+	this.OnKeyDown = function (event)
+		{
+		var shortcut = NDCore.GetKeyboardShortcut(event);
+
+		if (shortcut != undefined && this.DoKeyboardShortcut(shortcut))
+			{  event.preventDefault();  }
+		};
+
+
+	/* Function: OnMessage
+
+		Event handler for messages sent to this page by the content page via postMessage().  Messages from any other
+		window are ignored.
+
+		Supported Commands:
+
+			Shortcut=[name] - Perform the passed keyboard shortcut as returned by <NDCore.GetKeyboardShortcut()>, or send back ShortcutNotHandled if it can't be.
+			CurrentTopic=[topic ID]:[member] - The reader has scrolled to a different topic.
+			Scroll=[position] - The content page has scrolled to the passed vertical position in pixels.
+			GetPermalinkBase - Send the content page the URL to build permalinks from in a PermalinkBase message.
+
+		The topic ID in CurrentTopic may be empty if it isn't known.  The member is what to use for it in the hash path, or
+		empty if it's at the top of the page.
+	*/
+	this.OnMessage = function (event)
+		{
+		var frame = document.getElementById("CFrame");
+
+		if (event.source != frame.contentWindow || typeof(event.data) != "string")
+			{  return;  }
+
+		var message = event.data;
+
+		if (message.startsWith("Shortcut="))
+			{
+			var shortcut = message.slice(9);
+
+			if (!this.DoKeyboardShortcut(shortcut))
+				{  frame.contentWindow.postMessage("ShortcutNotHandled=" + shortcut, "*");  }
+			}
+		else if (message.startsWith("CurrentTopic="))
+			{
+			var separatorIndex = message.indexOf(":", 13);
+
+			if (separatorIndex == -1)
+				{  return;  }
+
+			var topicID = message.slice(13, separatorIndex);
+			var member = message.slice(separatorIndex + 1);
+
+			if (topicID != "")
+				{  NDSummary.OnCurrentTopicChange(topicID);  }
+
+			if (this.hashSyncEnabled)
+				{  this.SyncHashToMember(member);  }
+			}
+		else if (message == "GetPermalinkBase")
+			{
+			if (this.currentLocation != undefined && this.currentLocation.path != undefined)
+				{
+				var permalinkBase = location.href.replace(/#.*$/, "") + "#" + this.currentLocation.path;
+				frame.contentWindow.postMessage("PermalinkBase=" + permalinkBase, "*");
+				}
+			}
+		else if (message.startsWith("Scroll="))
+			{
+			var position = parseInt(message.slice(7), 10);
+
+			if (!isNaN(position))
+				{
+				this.contentScrollPosition = position;
+				this.ScheduleScrollStateSave();
+				}
+			}
+		};
+
+
+	/* Function: DoKeyboardShortcut
+		Performs the passed keyboard shortcut, which is one of the names returned by <NDCore.GetKeyboardShortcut()>.  Returns
+		whether it was handled.
+	*/
+	this.DoKeyboardShortcut = function (shortcut)
+		{
+		if (shortcut == "FocusSearch")
+			{
+			NDSearch.FocusSearchField();
+			return true;
+			}
+		else if (shortcut == "PreviousSummaryEntry")
+			{  return NDSummary.GoToAdjacentEntry(-1);  }
+		else if (shortcut == "NextSummaryEntry")
+			{  return NDSummary.GoToAdjacentEntry(1);  }
+		else if (shortcut == "PreviousMenuFile")
+			{  return NDMenu.GoToAdjacentFile(-1);  }
+		else if (shortcut == "NextMenuFile")
+			{  return NDMenu.GoToAdjacentFile(1);  }
+		else if (shortcut == "ParentMenuFolder")
+			{  return NDMenu.GoToParentFolder();  }
+		else if (shortcut == "ChildMenuFolder")
+			{  return NDMenu.GoToChildFolder();  }
+		else
+			{  return false;  }
+		};
+
+
+
 	// Group: Event Handler Variables
 	// ________________________________________________________________________
 
@@ -765,12 +1560,20 @@ var NDFramePage = new function ()
 		A bound function to call <OnMouseDown()> with NDFramePage always as "this".
 	*/
 
-	/* var: sizerMouseMoveEventHandler
-		A bound function to call <OnSizerMouseMove()> with NDFramePage always as "this".
+	/* var: sizerPointerDownEventHandler
+		A bound function to call <OnSizerPointerDown()> with NDFramePage always as "this".
+	*/
+
+	/* var: sizerPointerMoveEventHandler
+		A bound function to call <OnSizerPointerMove()> with NDFramePage always as "this".
+	*/
+
+	/* var: sizerPointerUpEventHandler
+		A bound function to call <OnSizerPointerUp()> with NDFramePage always as "this".
 	*/
 
-	/* var: sizerMouseUpEventHandler
-		A bound function to call <OnSizerMouseUp()> with NDFramePage always as "this".
+	/* var: sizerKeyDownEventHandler
+		A bound function to call <OnSizerKeyDown()> with NDFramePage always as "this".
 	*/
 
 	/* var: effectiveThemeChangeEventHandler
@@ -781,6 +1584,22 @@ var NDFramePage = new function ()
 		A bound function to call <OnAvailableThemesChange()> with NDFramePage always as "this".
 	*/
 
+	/* var: keyDownEventHandler
+		A bound function to call <OnKeyDown()> with NDFramePage always as "this".
+	*/
+
+	/* var: messageEventHandler
+		A bound function to call <OnMessage()> with NDFramePage always as "this".
+	*/
+
+	/* var: popStateEventHandler
+		A bound function to call <OnPopState()> with NDFramePage always as "this".
+	*/
+
+	/* var: panelScrollEventHandler
+		A bound function to call <OnPanelScroll()> with NDFramePage always as "this".
+	*/
+
 
 
 	// Group: Variables
@@ -795,6 +1614,10 @@ var NDFramePage = new function ()
 		<OnLocationsLoaded()> hasn't been called yet.
 	*/
 
+	/* var: hashSyncEnabled
+		Whether <EnableHashSync()> was called.
+	*/
+
 	/* var: projectTitle
 		The project title in HTML.
 	*/
@@ -815,6 +1638,7 @@ var NDFramePage = new function ()
 
 		sizer - The sizer DOM element.
 		panel - The DOM element of the panel the sizer is stretching.
+		pointerID - The ID of the pointer doing the dragging.
 		originalSizerX - The sizer's original X position.
 		originalPanelWidth - The panel's original width.
 		originalClientX - The mouse's original X position.
@@ -835,10 +1659,72 @@ var NDFramePage = new function ()
 		can be slightly larger if needed to show the content without a horizontal scrollbar.
 	*/
 
+	/* var: menuCollapsed
+		Whether the user has collapsed the menu panel.  This doesn't apply to the narrow layout.
+	*/
+
+	/* var: summaryCollapsed
+		Whether the user has collapsed the summary panel.  This doesn't apply to the narrow layout.
+	*/
+
+	/* var: contentOutlineIsNeeded
+		Whether the content page should show its own outline because the summary is collapsed.
+	*/
+
+	/* var: narrowLayout
+		Whether the page is currently using the narrow layout, where the menu and summary are drawers.
+	*/
+
+	/* var: openDrawer
+		The drawer that's currently open in the narrow layout, either "Menu" or "Summary", or undefined if none.
+	*/
+
 	/* Constant: $ExpansionFactor
 		This substitution is the maximum amount the menu or summary panel may be automatically expanded by.
 		To allow a 15% expansion, set the value to 1.15.
 	*/
 	$ExpansionFactor = 1.333;
 
+	/* Constant: $SizerKeyboardStep
+		This substitution is how many pixels a sizer moves for each arrow key press when it has keyboard focus.  It moves
+		five times as far when shift is held down.
+	*/
+	$SizerKeyboardStep = 10;
+
+	/* Constant: $NarrowLayoutWidth
+		This substitution is the window width in pixels below which the page switches to the narrow layout.
+	*/
+	$NarrowLayoutWidth = 800;
+
+	/* Constant: $MaxDrawerWidthFactor
+		This substitution is the maximum fraction of the window width the menu or summary may take up when they're
+		drawers.  This keeps some of the content visible beside them so it's clear they can be closed.
+	*/
+	$MaxDrawerWidthFactor = 0.85;
+
+
+
+	// Group: Scroll State Variables
+	// ________________________________________________________________________
+
+	/* var: contentScrollPosition
+		The last vertical scroll position reported by the content page, or undefined if it hasn't reported one since the
+		location changed.
+	*/
+
+	/* var: scrollStateTimeout
+		The timeout for <ScheduleScrollStateSave()>, or undefined if one isn't pending.
+	*/
+
+	/* var: scrollStateToRestore
+		The history state saved by <SaveScrollState()> that the next call to <OnHashChange()> should restore, or undefined
+		if there isn't one.
+	*/
+
+	/* Constant: $ScrollStateDelay
+		This substitution is how many milliseconds to wait after scrolling before saving the scroll positions to the history
+		entry.
+	*/
+	$ScrollStateDelay = 200;
+
 	};
@@ -139,7 +139,8 @@ var NDMenu = new function ()
 
 		// Replace with this line to simulate latency:
 		// setTimeout("NDCore.LoadJavaScript(\"menu/tabs.js\", \"NDMenuTabsLoader\");", 1500);
-		NDCore.LoadJavaScript("menu/tabs.js", "NDMenuTabsLoader");
+		NDCore.LoadJavaScriptData("menu/tabs.js", "NDMenuTabsLoader").catch( function ()
+			{  NDMenu.OnTabsLoadFailed();  });
 		};
 
 
@@ -155,6 +156,8 @@ var NDMenu = new function ()
 	*/
 	this.OnLocationChange = function (oldLocation, newLocation)
 		{
+		this.scrollPositionToRestore = undefined;
+
 		// If we're on the Home tab and there's only one, automatically select it.
 		if (newLocation.type == "Home" && this.tabs != undefined && this.tabs.length == 1)
 			{
@@ -175,6 +178,19 @@ var NDMenu = new function ()
 		};
 
 
+	/* Function: RestoreScrollPosition
+		Scrolls the menu to the passed vertical position, such as when going back to a page in the browser history.  If the
+		menu is still being built it will be done once it's complete instead of scrolling the selected file into view.
+	*/
+	this.RestoreScrollPosition = function (position)
+		{
+		if (this.pathBeingBuilt != undefined)
+			{  this.scrollPositionToRestore = position;  }
+		else
+			{  document.getElementById("NDMenu").scrollTop = position;  }
+		};
+
+
 	/* Function: GoToOffsets
 		Changes the current page in the file menu to the passed array of offsets, which should be in the format used by
 		<NDMenuOffsetPath>.
@@ -198,6 +214,94 @@ var NDMenu = new function ()
 		};
 
 
+	/* Function: GoToAdjacentFile
+		Navigates to the file before or after the selected one in the current folder.  Offset should be -1 for the previous file
+		or 1 for the next one.  Returns whether there was a file to go to.
+	*/
+	this.GoToAdjacentFile = function (offset)
+		{
+		var files = document.getElementById("MContent").getElementsByClassName("MFile");
+		var selectedIndex = -1;
+
+		for (var i = 0; i < files.length; i++)
+			{
+			if (files[i].classList.contains("Selected"))
+				{
+				selectedIndex = i;
+				break;
+				}
+			}
+
+		var newIndex;
+
+		if (selectedIndex == -1)
+			{  newIndex = (offset > 0 ? 0 : files.length - 1);  }
+		else
+			{  newIndex = selectedIndex + offset;  }
+
+		if (newIndex < 0 || newIndex >= files.length)
+			{  return false;  }
+
+		this.ActivateEntry(files[newIndex]);
+		return true;
+		};
+
+
+	/* Function: GoToParentFolder
+		Opens the parent of the current folder.  Returns whether there was one to open.
+	*/
+	this.GoToParentFolder = function ()
+		{
+		var parents = document.getElementById("MContent").getElementsByClassName("Parent");
+
+		// Empty parent folders are divs rather than links, so find the closest one that can be opened.
+		for (var i = parents.length - 1; i >= 0; i--)
+			{
+			if (parents[i].tagName == "A")
+				{
+				this.ActivateEntry(parents[i]);
+				return true;
+				}
+			}
+
+		return false;
+		};
+
+
+	/* Function: GoToChildFolder
+		Opens the first subfolder of the current folder, or the first tab if the tabs are being shown as folders.  Returns
+		whether there was one to open.
+	*/
+	this.GoToChildFolder = function ()
+		{
+		var menuContent = document.getElementById("MContent");
+		var children = menuContent.getElementsByClassName("Child");
+
+		if (children.length == 0)
+			{  children = menuContent.getElementsByClassName("MTabAsFolder");  }
+
+		if (children.length == 0)
+			{  return false;  }
+
+		this.ActivateEntry(children[0]);
+		return true;
+		};
+
+
+	/* Function: ActivateEntry
+		Performs the action of the passed menu entry link as if it were clicked.
+	*/
+	this.ActivateEntry = function (domEntry)
+		{
+		var address = domEntry.getAttribute("href");
+
+		if (address.substring(0, 11) == "javascript:")
+			{  eval(address.substring(11));  }
+		else
+			{  location.href = address;  }
+		};
+
+
 	/* Function: Build
 
 		Generates the HTML for the menu.
@@ -240,9 +344,18 @@ var NDMenu = new function ()
 
 		if (!result.completed)
 			{
-			var htmlEntry = document.createElement("div");
-			htmlEntry.className = "MLoadingNotice";
-			newMenuContent.appendChild(htmlEntry);
+			if (this.tabsLoadFailed || (result.needToLoad != undefined && this.MenuSectionFailed(result.needToLoad)))
+				{
+				newMenuContent.appendChild(
+					NDCore.CreateLoadErrorNotice("MLoadError", $Locale{HTML.MenuLoadError}, "NDMenu.RetryLoading()")
+					);
+				}
+			else
+				{
+				var htmlEntry = document.createElement("div");
+				htmlEntry.className = "MLoadingNotice";
+				newMenuContent.appendChild(htmlEntry);
+				}
 			}
 
 		var oldMenuContent = document.getElementById("MContent");
@@ -252,7 +365,12 @@ var NDMenu = new function ()
 
 		if (result.completed)
 			{
-			if (result.selectedFile)
+			if (this.scrollPositionToRestore != undefined)
+				{
+				menuContainer.scrollTop = this.scrollPositionToRestore;
+				this.scrollPositionToRestore = undefined;
+				}
+			else if (result.selectedFile)
 				{
 				// Scroll the selected file into view.  Check if it's necessary first because scrollIntoView() may change the scroll
 				// position even if the element is already visible and we don't want it to be jumpy.
@@ -564,12 +682,14 @@ var NDMenu = new function ()
 			file: file,
 			contents: undefined,
 			ready: false,
+			failed: false,
 			domLoaderID: "NDMenuLoader_" + file.replace(/[^a-z0-9]/gi, "_")
 			};
 
 		this.menuSections.push(entry);
 
-		NDCore.LoadJavaScript("menu/" + file, entry.domLoaderID);
+		NDCore.LoadJavaScriptData("menu/" + file, entry.domLoaderID).catch( function ()
+			{  NDMenu.OnSectionLoadFailed(file);  });
 		};
 
 
@@ -598,6 +718,68 @@ var NDMenu = new function ()
 		};
 
 
+	/* Function: OnSectionLoadFailed
+		Called when the menu data file couldn't be loaded.  The section is left marked as failed so it isn't requested again
+		automatically.
+	*/
+	this.OnSectionLoadFailed = function (file)
+		{
+		for (var i = 0; i < this.menuSections.length; i++)
+			{
+			if (this.menuSections[i].file == file)
+				{
+				this.menuSections[i].failed = true;
+				break;
+				}
+			}
+
+		this.Build();
+		};
+
+
+	/* Function: MenuSectionFailed
+		Returns whether the menu data file with the passed file name couldn't be loaded.
+	*/
+	this.MenuSectionFailed = function (file)
+		{
+		for (var i = 0; i < this.menuSections.length; i++)
+			{
+			if (this.menuSections[i].file == file)
+				{  return this.menuSections[i].failed;  }
+			}
+
+		return false;
+		};
+
+
+	/* Function: RetryLoading
+		Tries again to load any menu data files that failed and rebuilds the menu.
+	*/
+	this.RetryLoading = function ()
+		{
+		// Remove the failed sections so Build() will request them again.
+		for (var i = 0; i < this.menuSections.length; /* no auto-increment */)
+			{
+			if (this.menuSections[i].failed)
+				{  this.menuSections.splice(i, 1);  }
+			else
+				{  i++;  }
+			}
+
+		if (this.tabsLoadFailed)
+			{
+			this.tabsLoadFailed = false;
+
+			NDCore.LoadJavaScriptData("menu/tabs.js", "NDMenuTabsLoader").catch( function ()
+				{  NDMenu.OnTabsLoadFailed();  });
+			}
+
+		// If the menu was waiting on a failed section, we need to build it again with the same path.
+		if (this.pathBeingBuilt != undefined)
+			{  this.Build();  }
+		};
+
+
 	/* Function: CleanUpMenuSections
 		Goes through <menuSections> and if there's more than $MaxMenuSections, removes the least recently accessed entries
 		that aren't being used.
@@ -612,7 +794,7 @@ var NDMenu = new function ()
 				{
 				// We don't want to remove an entry if data's being loaded for it.  The event handler could reasonably expect it
 				// to exist.
-				if (this.menuSections[i].ready == false)
+				if (this.menuSections[i].ready == false && this.menuSections[i].failed == false)
 					{  break;  }
 
 				this.menuSections.pop();
@@ -681,6 +863,21 @@ var NDMenu = new function ()
 		};
 
 
+	/* Function: OnTabsLoadFailed
+		Called when menu/tabs.js couldn't be loaded.
+	*/
+	this.OnTabsLoadFailed = function ()
+		{
+		this.tabsLoadFailed = true;
+
+		// The menu may not have had a path to build yet since NDFramePage can't interpret the location without tabs.js either.
+		if (this.pathBeingBuilt == undefined)
+			{  this.Build( new NDMenuOffsetPath() );  }
+		else
+			{  this.Build();  }
+		};
+
+
 	/* Function: UpdateTabs
 		Changes which tab is displayed in the tab bar, but does not do anything else like rebuild the menu underneath.  Will
 		replace <selectedTabType> with the parameter.
@@ -867,6 +1064,11 @@ var NDMenu = new function ()
 		has been completely built this will return to undefined.
 	*/
 
+	/* var: scrollPositionToRestore
+		The vertical scroll position <RestoreScrollPosition()> should apply once the menu has been completely built, or
+		undefined if none.
+	*/
+
 	/* var: menuSections
 		An array of <NDMenuSections> that have been loaded for the file menu or are in the process of being loaded.
 		The array is ordered from the most recently accessed to the least.
@@ -881,6 +1083,10 @@ var NDMenu = new function ()
 		An array of all the tab information.
 	*/
 
+	/* var: tabsLoadFailed
+		Whether menu/tabs.js couldn't be loaded.
+	*/
+
 	/* var: selectedTabType
 		The type string of the currently selected tab.
 	*/
@@ -905,6 +1111,9 @@ var NDMenu = new function ()
 		True if the data has been loaded and is ready to use.  False if the data has been requested but is not ready
 		yet.  If the data has not been requested it simply would not have a NDMenuSection object for it.
 
+		var: failed
+		True if the data file couldn't be loaded.  <ready> will be false.
+
 		var: domLoaderID
 		The ID of the DOM script object that's loading this file.
 
@@ -12,29 +12,22 @@
 */
 
 
-$PrefixObject_Prefix = 0;
-$PrefixObject_KeywordObjects = 1;
-$PrefixObject_Ready = 2;
-$PrefixObject_DOMLoaderID = 3;
-
-$KeywordObject_HTMLName = 0;
-$KeywordObject_SearchText = 1;
-$KeywordObject_MemberObjects = 2;
-
-$MemberObject_HTMLQualifier = 0;
-$MemberObject_HTMLName = 1;
-$MemberObject_HTMLLanguageName = 2;
-$MemberObject_SearchText = 3;
-$MemberObject_CommentType = 4;
-$MemberObject_FileHashPath = 5;
-$MemberObject_ClassHashPath = 6;
-
 $UpdateTimeout_Delay = 350;
 $InitialTimeout_Delay = 1250;
 
-$MaxAutoExpand = 10;
 $MoreResultsThreshold = 25;
 
+$RecentSearches_Count = 5;
+$RecentSearches_Key = "NDSearch.RecentSearches";
+$RecentTopics_Count = 5;
+$RecentTopics_Key = "NDSearch.RecentTopics";
+
+$GroupByClass_Key = "NDSearch.GroupByClass";
+
+$RecentTopic_Name = 0;
+$RecentTopic_HashPath = 1;
+$RecentTopic_CommentType = 2;
+
 $KeyCode_Enter = 13;
 $KeyCode_Escape = 27;
 $KeyCode_LeftArrow = 37;
@@ -46,6 +39,14 @@ $Results_TopSpacing = 5;
 $Results_BottomSpacing = 25;  /* leave space for link address pop-up */
 $Results_LeftSpacing = 25;
 
+$Preview_LoadDelay = 250;
+$Preview_Spacing = 5;
+$Preview_MinWidth = 200;
+
+// DEPENDENCY: These must match NDSummary's summary entry members.
+$SummaryEntry_TopicID = 0;
+$SummaryEntry_Symbol = 4;
+
 
 "use strict";
 
@@ -53,6 +54,35 @@ $Results_LeftSpacing = 25;
 /* Class: NDSearch
 	___________________________________________________________________________
 
+
+	Topic: Search History
+
+		The last few searches the user made and the topics they visited from the search results are stored in the web
+		browser so that they can be shown when the search field is activated but nothing has been typed yet.
+
+		A search is only added to the history when one of its results is opened, so partial searches from typing aren't
+		saved.  The recent searches are stored in window.localStorage with $RecentSearches_Key as the key and apply
+		across documentation sets, like <NDThemes' theme history at NDThemes.Theme History>.  The recent topics are
+		stored with $RecentTopics_Key plus the page's path as the key since hash paths only apply to the documentation
+		set they came from.  Both values are JSON arrays.
+
+
+	Topic: Search Worker
+
+		The search data is stored and matched by <NDSearchWorker>, which runs in a web worker when the browser allows it so
+		that large documentation sets don't stall typing in the search field.  <Update()> sends it a <search request at
+		NDSearchWorker.Search Requests> and <OnSearchResults()> builds the HTML for the results it sends back, so they always
+		arrive after <Update()> returns.  Keyboard navigation only uses what was last built so it doesn't need to wait for it.
+
+
+	Topic: Preview
+
+		When an entry is selected with the keyboard, its prototype and summary are shown in <domPreview> beside the results.
+		This is the same tooltip that appears when hovering over the entry in <NDSummary>, so it uses the same
+		-Summary.js and -SummaryToolTips.js data files.  The summary file is needed to find the entry's topic ID from the
+		member in its hash path.  <NDSummary> receives all of these files since they call its functions, so it passes them
+		along to <OnPreviewSummaryLoaded()> and <OnPreviewToolTipsLoaded()>.
+
 */
 var NDSearch = new function ()
 	{
@@ -70,6 +100,9 @@ var NDSearch = new function ()
 		this.searchFieldFocusEventHandler = NDSearch.OnSearchFieldFocus.bind(NDSearch);
 		this.searchFieldKeyEventHandler = NDSearch.OnSearchFieldKey.bind(NDSearch);
 		this.searchFieldChangeEventHandler = NDSearch.OnSearchFieldChange.bind(NDSearch);
+		this.resultsClickEventHandler = NDSearch.OnResultsClick.bind(NDSearch);
+		this.workerMessageEventHandler = NDSearch.OnWorkerMessage.bind(NDSearch);
+		this.workerErrorEventHandler = NDSearch.OnWorkerError.bind(NDSearch);
 
 
 		// DOM elements
@@ -86,12 +119,20 @@ var NDSearch = new function ()
 		this.domResults.appendChild(this.domResultsContent);
 		document.body.appendChild(this.domResults);
 
+		this.domPreview = document.createElement("div");
+		this.domPreview.id = "NDSearchPreview";
+		this.domPreview.style.display = "none";
+		this.domPreview.style.position = "fixed";
+
+		document.body.appendChild(this.domPreview);
+
 
 		// Timers
 
 		// this.updateTimeout = undefined;
 		// this.initialTimeout = undefined;
 		this.initialTimeoutStatus = $InitialTimeoutStatus_NotStarted;
+		// this.previewTimeout = undefined;
 
 
 		// UI variables
@@ -101,6 +142,12 @@ var NDSearch = new function ()
 		this.openParents = [ ];
 		this.keyboardSelectionIndex = -1;
 		this.moreResultsThreshold = $MoreResultsThreshold;
+		this.topLevelEntryKeys = [ ];
+		this.visibleEntryKeys = [ ];
+		this.preferredCommentTypes = [ "Class", "Interface", "Struct" ];
+		this.groupByClass = (window.localStorage.getItem($GroupByClass_Key) == "true");
+		this.showingHistory = false;
+		// this.toggledParent = undefined;
 
 
 		// Search data variables
@@ -108,7 +155,24 @@ var NDSearch = new function ()
 		// We delay loading search/index.js until the search field is activated
 		// this.allPrefixes = undefined;
 		this.allPrefixesStatus = $AllPrefixesStatus_NotLoaded;
-		this.prefixObjects = { };
+		this.fuzzyMatching = true;
+		this.bodySearch = true;
+		this.abbreviationSearch = true;
+		this.searchFilters = { commentTypes: [ ], languages: [ ] };
+
+
+		// Worker variables
+
+		this.requestID = 0;
+		this.StartWorker();
+
+
+		// Preview variables
+
+		// this.previewLocation = undefined;
+		// this.previewDataPath = undefined;
+		// this.previewSummaryEntries = undefined;
+		// this.previewToolTips = undefined;
 
 
 		// Attach event handlers
@@ -116,6 +180,7 @@ var NDSearch = new function ()
 		this.domSearchField.addEventListener("focus", this.searchFieldFocusEventHandler);
 		this.domSearchField.addEventListener("keydown", this.searchFieldKeyEventHandler);
 		this.domSearchField.addEventListener("input", this.searchFieldChangeEventHandler);
+		this.domResults.addEventListener("click", this.resultsClickEventHandler);
 
 
 		// Initialization
@@ -125,10 +190,15 @@ var NDSearch = new function ()
 
 
 	/* Function: Update
+		Sends the search field's contents to <NDSearchWorker> as a <search request at NDSearchWorker.Search Requests>.  The
+		results will be built by <OnSearchResults()> when they come back, so they won't be visible yet when this returns.
 	*/
 	this.Update = function ()
 		{
-		// This may be called by prefix data loaders after the field was deactivated so we have to check.
+		// Any results that are still on their way are for an older request now.
+		this.requestID++;
+
+		// This may be called by the prefix index loader after the field was deactivated so we have to check.
 		if (!this.SearchFieldIsActive())
 			{  return;  }
 
@@ -136,55 +206,46 @@ var NDSearch = new function ()
 
 		if (searchInterpretations.length == 0)
 			{
-			this.ClearResults();
+			this.ShowHistory();
 			return;
 			}
 
-		if (this.allPrefixesStatus != $AllPrefixesStatus_Ready)
+		this.showingHistory = false;
+
+		if (this.allPrefixesStatus == $AllPrefixesStatus_Failed)
 			{
 			this.ClearResults(true);
-			this.domResultsContent.innerHTML = this.BuildSearchingStatus();
+			this.domResultsContent.innerHTML = this.BuildLoadErrorStatus();
 			this.ShowResults();
 			return;
 			}
-
-		var searchInterpretationPrefixes = this.GetMatchingPrefixes(searchInterpretations);
-
-		this.RemoveUnusedPrefixObjects(searchInterpretationPrefixes);
-
-		if (searchInterpretationPrefixes.length == 0)
+		else if (this.allPrefixesStatus != $AllPrefixesStatus_Ready)
 			{
 			this.ClearResults(true);
-			this.domResultsContent.innerHTML = this.BuildNoMatchesStatus();
+			this.domResultsContent.innerHTML = this.BuildSearchingStatus();
 			this.ShowResults();
 			return;
 			}
 
-		var location = new NDLocation(window.location.hash);
-		var favorClasses = (location.type != "File");
-
-		// Don't fonce expansion if it returns undefined because more needs to be loaded.
-		var forceExpansion = (this.TotalMatchesGreaterThan(searchInterpretations, searchInterpretationPrefixes, $MaxAutoExpand) === false);
-
-		var buildResults = this.BuildResults(searchInterpretations, searchInterpretationPrefixes, favorClasses, forceExpansion);
-
-		var oldScrollTop = this.domResults.scrollTop;
-
-		this.domResultsContent.innerHTML = buildResults.html;
-		this.ShowResults();
-
-		this.domResults.scrollTop = oldScrollTop;
-
-		if (this.keyboardSelectionIndex != -1)
-			{
-			var domSelectedEntry = document.getElementById("SeSelectedEntry");
-
-			if (domSelectedEntry != undefined)
-				{  this.ScrollEntryIntoView(domSelectedEntry, false);  }
-			}
-
-		if (buildResults.prefixDataToLoad != undefined)
-			{  this.LoadPrefixData(buildResults.prefixDataToLoad);  }
+		var location = NDFramePage.currentLocation;
+
+		this.PostToWorker({
+			action: "Search",
+			request: {
+				id: this.requestID,
+				interpretations: searchInterpretations,
+				prefixes: this.GetMatchingPrefixes(searchInterpretations),
+				searchFilters: this.searchFilters,
+				openParents: this.openParents.slice(),
+				moreResultsThreshold: this.moreResultsThreshold,
+				preferredCommentTypes: this.preferredCommentTypes,
+				locationPath: (location != undefined ? location.path : undefined),
+				fuzzyMatching: this.fuzzyMatching,
+				bodySearch: this.bodySearch,
+				abbreviationSearch: this.abbreviationSearch,
+				groupByClass: this.groupByClass
+				}
+			});
 		};
 
 
@@ -217,6 +278,9 @@ var NDSearch = new function ()
 		if (!internalOnly)
 			{  this.HideResults();  }
 
+		// The keyboard selection is being cleared so there's nothing to preview either way.
+		this.HidePreview();
+
 
 		// UI variables
 
@@ -225,11 +289,17 @@ var NDSearch = new function ()
 		this.openParents = [ ];
 		this.keyboardSelectionIndex = -1;
 		this.moreResultsThreshold = $MoreResultsThreshold;
+		this.topLevelEntryKeys = [ ];
+		this.visibleEntryKeys = [ ];
+		this.showingHistory = false;
+		this.toggledParent = undefined;
 
 
-		// Search data variables
+		// Worker variables
 
-		this.prefixObjects = { };
+		// Ignore any results that are still on their way and let the worker discard its prefix data.
+		this.requestID++;
+		this.PostToWorker({ action: "Clear" });
 		};
 
 
@@ -237,11 +307,12 @@ var NDSearch = new function ()
 	*/
 	this.ToggleParent = function (topLevelIndex, fromKeyboard)
 		{
-		var openParentsIndex = this.openParents.indexOf(topLevelIndex);
+		var key = this.topLevelEntryKeys[topLevelIndex];
+		var openParentsIndex = this.openParents.indexOf(key);
 		var opening = (openParentsIndex == -1);
 
 		if (opening)
-			{  this.openParents.push(topLevelIndex);  }
+			{  this.openParents.push(key);  }
 		else // closing
 			{  this.openParents.splice(openParentsIndex, 1);  }
 
@@ -251,58 +322,140 @@ var NDSearch = new function ()
 			this.domSearchField.focus();
 			}
 
+		// The results are rebuilt asynchronously so OnParentToggled() will finish up when they are.
+		this.toggledParent = { key: key, opening: opening };
 		this.Update();
+		};
 
-		// Update() will scroll the selected entry into view, but if the parent was opened we want to make sure all the children are
-		// in view as well.
-		if (opening)
+
+	/* Function: LoadMoreResults
+	*/
+	this.LoadMoreResults = function ()
+		{
+		this.moreResultsThreshold = this.visibleEntryCount + $MoreResultsThreshold;
+
+		this.domSearchField.focus();
+		this.Update();
+		};
+
+
+	/* Function: RetryLoading
+		Tries to load any search data that failed before and updates the results.  This is what the link in
+		<BuildLoadErrorStatus()> calls.
+	*/
+	this.RetryLoading = function ()
+		{
+		if (this.allPrefixesStatus == $AllPrefixesStatus_Failed)
 			{
-			// Find the DOM element by the top level index.  We can't just use it as an index into ResultsContent.children
-			// because SeEntryChildren count towards that but not topLevelIndex.
+			this.allPrefixesStatus = $AllPrefixesStatus_NotLoaded;
+			this.LoadPrefixIndex();
+			}
 
-			var children = this.domResultsContent.children;
-			var topLevelCount = 0;
-			var domToggledElement = undefined;
+		this.PostToWorker({ action: "Retry" });
 
-			for (var i = 0; i < children.length; i++)
+		this.domSearchField.focus();
+		this.Update();
+
+		// Update() resets the initial timeout, so make sure OnPrefixIndexLoaded() still updates the results if they're waiting
+		// on it.
+		this.initialTimeoutStatus = $InitialTimeoutStatus_Finished;
+		};
+
+
+	/* Function: ToggleSearchFilter
+
+		Adds or removes a filter such as "type:function" from the search field and updates the results.  This is what the
+		filter bar entries call when clicked.
+
+		Parameters:
+
+			filterType - "type" or "lang".
+			value - The comment type or language simple identifier.
+	*/
+	this.ToggleSearchFilter = function (filterType, value)
+		{
+		var normalizedValue = this.NormalizeSearchFilterValue(value);
+		var searchText = this.domSearchField.value;
+		var removed = false;
+
+		// Remove the value from any matching filters, and remove the filters entirely if there's nothing left in them.
+		searchText = searchText.replace(/(^|\s)(type|lang):(\S*)/gi,
+			function (match, whitespace, matchFilterType, values)
 				{
-				if (children[i].classList.contains("SeEntry"))
+				if (matchFilterType.toLowerCase() != filterType)
+					{  return match;  }
+
+				var valueArray = values.split(",");
+
+				for (var i = 0; i < valueArray.length; /* no auto-increment */)
 					{
-					if (topLevelCount == topLevelIndex)
+					if (NDSearch.NormalizeSearchFilterValue(valueArray[i]) == normalizedValue)
 						{
-						domToggledElement = children[i];
-						break;
+						valueArray.splice(i, 1);
+						removed = true;
 						}
 					else
-						{  topLevelCount++;  }
+						{  i++;  }
 					}
+
+				if (valueArray.length == 0)
+					{  return whitespace;  }
+				else
+					{  return whitespace + matchFilterType + ":" + valueArray.join(",");  }
 				}
+			);
 
-			if (domToggledElement != undefined)
-				{  this.ScrollEntryIntoView(domToggledElement, true);  }
-			}
+		if (removed)
+			{  searchText = searchText.replace(/\s+/g, " ").replace(/^ /, "");  }
+		else
+			{  searchText = filterType + ":" + normalizedValue + " " + searchText;  }
 
-		// Chrome 28 has a weird bug where if you open or close a parent and the scroll level wasn't at the top, all the swatches
-		// and icons will be wrong.  They jump back into place as soon as you scroll some more, so do that automatically.
-		if (navigator.userAgent.indexOf("KHTML") != -1 && this.domResults.scrollTop > 0)
-			{
-			// Have to scroll up instead of down or it won't work reliably when scrolled all the way to the bottom.
-			this.domResults.scrollTop--;
-			}
+		this.domSearchField.value = searchText;
+		this.keyboardSelectionIndex = -1;
+
+		this.domSearchField.focus();
+		this.Update();
 		};
 
 
-	/* Function: LoadMoreResults
+	/* Function: ToggleGroupByClass
+		Switches <groupByClass> on or off, saves it to the web browser's local storage, and updates the results.  This is what
+		the grouping toggle in the filter bar calls when clicked.
 	*/
-	this.LoadMoreResults = function ()
+	this.ToggleGroupByClass = function ()
 		{
-		this.moreResultsThreshold = this.visibleEntryCount + $MoreResultsThreshold;
+		this.groupByClass = !this.groupByClass;
+		window.localStorage.setItem($GroupByClass_Key, (this.groupByClass ? "true" : "false"));
+
+		// The open parents are keywords in one mode and groups in the other so they don't carry over.
+		this.openParents = [ ];
+		this.keyboardSelectionIndex = -1;
 
 		this.domSearchField.focus();
 		this.Update();
 		};
 
 
+	/* Function: CopySearchLink
+		Copies a <link which opens the documentation with the current search at NDFramePage.Search Links> to the clipboard.
+		This is what the link in the filter bar calls when clicked.
+	*/
+	this.CopySearchLink = function ()
+		{
+		var link = location.href.replace(/[?#].*$/, "") + "?Search=" + encodeURIComponent(this.domSearchField.value) +
+					location.hash;
+
+		NDCore.CopyToClipboard(link).then(
+			function ()
+				{  NDCore.ShowToast($Locale{HTML.PermalinkCopied});  },
+			function ()
+				{  NDCore.ShowToast($Locale{HTML.CopyFailed});  }
+			);
+
+		this.domSearchField.focus();
+		};
+
+
 	/* Function: ActivateLinkFromKeyboard
 		Performs the action of the DOM href element from the keyboard.
 	*/
@@ -315,13 +468,32 @@ var NDSearch = new function ()
 			address = address.substring(11);
 
 			// Change false to true to let ToggleParent() know we're doing it from the keyboard.
-			// DEPENDENCY: This depends on the exact JavaScript BuildKeyword() generates for parents.
+			// DEPENDENCY: This depends on the exact JavaScript BuildKeyword() and BuildGroup() generate for parents.
 			address = address.replace(/^(NDSearch.ToggleParent\([0-9]+,)false(.*)$/, "$1true$2");
 
 			eval(address);
 			}
 		else
-			{  location.href = address;  }
+			{
+			this.AddToHistory(domLink);
+			location.href = address;
+			}
+		};
+
+
+	/* Function: UseRecentSearch
+		Replaces the search field's contents with the passed entry from <recentSearches> and updates the results.
+	*/
+	this.UseRecentSearch = function (index)
+		{
+		if (this.recentSearches == undefined || index >= this.recentSearches.length)
+			{  return;  }
+
+		this.domSearchField.value = this.recentSearches[index];
+		this.keyboardSelectionIndex = -1;
+
+		this.domSearchField.focus();
+		this.Update();
 		};
 
 
@@ -338,14 +510,11 @@ var NDSearch = new function ()
 		if (!this.SearchFieldIsActive())
 			{
 			this.ActivateSearchField();
+			this.ShowHistory();
 
 			// Start loading the prefix index as soon as the search field is first activated.  We don't want to wait
 			// until they start typing.
-			if (this.allPrefixesStatus == $AllPrefixesStatus_NotLoaded)
-				{
-				this.allPrefixesStatus = $AllPrefixesStatus_Loading;
-				NDCore.LoadJavaScript("search/index.js");
-				}
+			this.LoadPrefixIndex();
 			}
 		};
 
@@ -438,9 +607,13 @@ var NDSearch = new function ()
 			if (this.keyboardSelectionIndex != -1)
 				{  domSelectedEntry = document.getElementById("SeSelectedEntry");  }
 
+			// If we're showing the history instead of results, don't activate anything automatically.
+			else if (this.showingHistory)
+				{  }
+
 			// If not, was there only one entry left in the results?
 			else if (this.visibleEntryCount == 1)
-				{  domSelectedEntry = this.domResultsContent.firstChild;  }
+				{  domSelectedEntry = this.domResultsContent.getElementsByClassName("SeEntry")[0];  }
 
 			// If not, wer there only two entries left in the results and the first was a group?  This will happen in
 			// this scenario:
@@ -448,8 +621,13 @@ var NDSearch = new function ()
 			// Search: [CSS]
 			// > CSS
 			//     [] CSS Structure
-			else if (this.visibleEntryCount == 2 && this.domResultsContent.firstChild.classList.contains("SeParent"))
-				{  domSelectedEntry = this.domResultsContent.childNodes[1].firstChild;  }
+			else if (this.visibleEntryCount == 2)
+				{
+				var domEntries = this.domResultsContent.getElementsByClassName("SeEntry");
+
+				if (domEntries[0].classList.contains("SeParent"))
+					{  domSelectedEntry = domEntries[1];  }
+				}
 
 			// If we found something we can activate it.
 			if (domSelectedEntry != undefined)
@@ -542,6 +720,26 @@ var NDSearch = new function ()
 		};
 
 
+	/* Function: OnResultsClick
+		Called whenever the search results are clicked so that opening an entry with the mouse can add it to the history.
+	*/
+	this.OnResultsClick = function (event)
+		{
+		for (var element = event.target; element != undefined && element != this.domResults; element = element.parentNode)
+			{
+			if (element.tagName == "A" && element.classList.contains("SeEntry"))
+				{
+				var address = element.getAttribute("href");
+
+				if (address != undefined && address.charAt(0) == "#")
+					{  this.AddToHistory(element);  }
+
+				break;
+				}
+			}
+		};
+
+
 	/* Function: OnUpdateLayout
 	*/
 	this.OnUpdateLayout = function ()
@@ -562,97 +760,273 @@ var NDSearch = new function ()
 		};
 
 
-
-	// Group: Search Functions
-	// ________________________________________________________________________
-
-
-	/* Function: GetSearchInterpretations
-		Reads the contents of <domSearchField> and returns it as an array of normalized interpretations compatible with
-		the search text Natural Docs generates for the data files .  Usually there will only be one, but there may be more
-		if the search text is ambiguous.  There may also be none, in which case it will return an empty array.
+	/* Function: OnSearchResults
+		Called with the <search results at NDSearchWorker.Search Results> for a request sent by <Update()>.  They will be
+		ignored if they're for an older request.
 	*/
-	this.GetSearchInterpretations = function ()
+	this.OnSearchResults = function (results)
 		{
-		// DEPENDENCY: This must match what is done in Engine.SearchIndex.Entry.Normalize().
+		if (results.id != this.requestID || !this.SearchFieldIsActive())
+			{  return;  }
 
-		var interpretations = [ ];
-		var normalizedSearchText = this.domSearchField.value.toLowerCase();
+		var location = new NDLocation(window.location.hash);
+		var favorClasses = (location.type != "File");
 
-		// Trim and condense whitespace
-		normalizedSearchText = normalizedSearchText.replace(/\s+/g, " ");
-		normalizedSearchText = normalizedSearchText.replace(/^ /, "");
-		normalizedSearchText = normalizedSearchText.replace(/ $/, "");
+		// Remember which entry the keyboard selection was on since the results are ranked and newly loaded data may
+		// move it to a different position.
+		var keyboardSelectionKey = undefined;
 
-		// Remove spaces unless between two alphanumeric/underscore characters
-		normalizedSearchText = normalizedSearchText.replace(/([^a-z0-9_]) /g, "$1");  // Substitution because JavaScript has no (?<=) for lookbehinds
-		normalizedSearchText = normalizedSearchText.replace(/ (?=[^a-z0-9_])/g, "");
+		if (this.keyboardSelectionIndex != -1)
+			{  keyboardSelectionKey = this.visibleEntryKeys[this.keyboardSelectionIndex];  }
 
-		// Normalize separators
-		normalizedSearchText = normalizedSearchText.replace(/::|->/g, ".");
-		normalizedSearchText = normalizedSearchText.replace(/\\/g, "/");
+		var html = this.BuildResults(results, favorClasses);
 
-		// Remove leading separators.  We don't have to worry about whitespace between them and the rest.
-		normalizedSearchText = normalizedSearchText.replace(/^[./]+/, "");
+		var oldScrollTop = this.domResults.scrollTop;
 
-		if (normalizedSearchText == "")
-			{  return interpretations;  }
+		this.domResultsContent.innerHTML = html;
+		this.ShowResults();
 
-		interpretations.push(normalizedSearchText);
+		this.domResults.scrollTop = oldScrollTop;
 
+		if (this.keyboardSelectionIndex != -1)
+			{
+			var newKeyboardSelectionIndex = this.visibleEntryKeys.indexOf(keyboardSelectionKey);
 
-		// If the search text ends with : or - it's possible that it's the first character of :: or ->.  Provide an alternate
-		// search string so relevant results don't disappear until the second character is added.
+			if (keyboardSelectionKey != undefined && newKeyboardSelectionIndex != -1 &&
+				newKeyboardSelectionIndex != this.keyboardSelectionIndex)
+				{
+				// UpdateSelection() will scroll it into view.
+				this.keyboardSelectionIndex = newKeyboardSelectionIndex;
+				this.UpdateSelection();
+				}
+			else
+				{
+				var domSelectedEntry = document.getElementById("SeSelectedEntry");
 
-		var lastChar = normalizedSearchText.charAt(normalizedSearchText.length - 1);
+				if (domSelectedEntry != undefined)
+					{  this.ScrollEntryIntoView(domSelectedEntry, false);  }
+				}
+			}
 
-		if (lastChar == ":" || lastChar == "-")
-			{  interpretations.push(normalizedSearchText.substring(0, normalizedSearchText.length - 1) + ".");  }
+		if (this.toggledParent != undefined)
+			{
+			var toggledParent = this.toggledParent;
+			this.toggledParent = undefined;
 
+			this.OnParentToggled(toggledParent.key, toggledParent.opening);
+			}
 
-		return interpretations;
+		this.UpdatePreview();
 		};
 
 
-	/* Function: GetMatchingPrefixes
-		Returns an array of prefixes from <allPrefixes> that apply to the passed search text array.
+	/* Function: OnParentToggled
+		Called by <OnSearchResults()> once the results are rebuilt after <ToggleParent()>.
 	*/
-	this.GetMatchingPrefixes = function (searchTextArray)
+	this.OnParentToggled = function (key, opening)
 		{
-		var matchingPrefixes = [ ];
-
-		if (this.allPrefixesStatus != $AllPrefixesStatus_Ready)
-			{  return matchingPrefixes;  }
-
+		// The selected entry was already scrolled into view, but if the parent was opened we want to make sure all the children
+		// are in view as well.
+		if (opening)
+			{
+			// The new results may have changed its position.
+			var topLevelIndex = this.topLevelEntryKeys.indexOf(key);
 
-		// Add each prefix to the array
+			// Find the DOM element by the top level index.  We can't just use it as an index into ResultsContent.children
+			// because SeEntryChildren count towards that but not topLevelIndex.
 
-		for (var i = 0; i < searchTextArray.length; i++)
-			{
-			var searchText = searchTextArray[i];
-			var searchPrefix = this.MakePrefix(searchText);
+			var children = this.domResultsContent.children;
+			var topLevelCount = 0;
+			var domToggledElement = undefined;
 
-			if (searchPrefix != undefined && searchPrefix != "")
+			for (var i = 0; i < children.length; i++)
 				{
-				var prefixIndex = this.GetAllPrefixesIndex(searchPrefix);
-
-				while (prefixIndex < this.allPrefixes.length)
+				if (children[i].classList.contains("SeEntry"))
 					{
-					if (this.allPrefixes[prefixIndex].length >= searchPrefix.length &&
-						this.allPrefixes[prefixIndex].substring(0, searchPrefix.length) == searchPrefix)
+					if (topLevelCount == topLevelIndex)
 						{
-						matchingPrefixes.push(this.allPrefixes[prefixIndex]);
-						prefixIndex++;
+						domToggledElement = children[i];
+						break;
 						}
 					else
-						{  break;  }
+						{  topLevelCount++;  }
 					}
 				}
-			}
-
-
-		if (searchTextArray.length <= 1)
-			{  return matchingPrefixes;  }
+
+			if (domToggledElement != undefined)
+				{  this.ScrollEntryIntoView(domToggledElement, true);  }
+			}
+
+		// Chrome 28 has a weird bug where if you open or close a parent and the scroll level wasn't at the top, all the swatches
+		// and icons will be wrong.  They jump back into place as soon as you scroll some more, so do that automatically.
+		if (navigator.userAgent.indexOf("KHTML") != -1 && this.domResults.scrollTop > 0)
+			{
+			// Have to scroll up instead of down or it won't work reliably when scrolled all the way to the bottom.
+			this.domResults.scrollTop--;
+			}
+		};
+
+
+	/* Function: OnWorkerMessage
+		Called when <worker> posts <search results at NDSearchWorker.Search Results>, or a message saying it couldn't load a
+		data file, which is handled like <OnWorkerError()>.
+	*/
+	this.OnWorkerMessage = function (event)
+		{
+		if (event.data.action == "LoadFailed")
+			{  this.OnWorkerError();  }
+		else
+			{  this.OnSearchResults(event.data);  }
+		};
+
+
+	/* Function: OnWorkerError
+		Called if <worker> fails, such as when its script can't be loaded, or if it couldn't load a data file.  <NDSearchWorker>
+		will be used on the main thread from then on, where it loads the data files with script elements instead.
+	*/
+	this.OnWorkerError = function (event)
+		{
+		this.worker.removeEventListener("message", this.workerMessageEventHandler);
+		this.worker.removeEventListener("error", this.workerErrorEventHandler);
+		this.worker.terminate();
+		this.worker = undefined;
+
+		if (this.allPrefixesStatus == $AllPrefixesStatus_Ready)
+			{  this.PostToWorker({ action: "SetPrefixIndex", prefixes: this.allPrefixes });  }
+
+		this.Update();
+		};
+
+
+
+	// Group: Search Functions
+	// ________________________________________________________________________
+
+
+	/* Function: GetSearchInterpretations
+
+		Reads the contents of <domSearchField> and returns it as an array of normalized interpretations compatible with
+		the search text Natural Docs generates for the data files .  Usually there will only be one, but there may be more
+		if the search text is ambiguous.  There may also be none, in which case it will return an empty array.
+
+		Filters such as "type:function" or "lang:csharp" are removed from the search text and stored in <searchFilters>
+		instead.  Each one can have multiple values separated by commas, such as "type:class,interface".
+	*/
+	this.GetSearchInterpretations = function ()
+		{
+		var interpretations = [ ];
+		var normalizedSearchText = this.domSearchField.value.toLowerCase();
+
+
+		// Extract the filters.  Use NDSearch instead of this in the replacement function.
+
+		this.searchFilters = { commentTypes: [ ], languages: [ ] };
+
+		normalizedSearchText = normalizedSearchText.replace(/(^|\s)(type|lang):(\S*)/g,
+			function (match, whitespace, filterType, values)
+				{
+				var filterArray = (filterType == "type" ? NDSearch.searchFilters.commentTypes : NDSearch.searchFilters.languages);
+				var valueArray = values.split(",");
+
+				for (var i = 0; i < valueArray.length; i++)
+					{
+					var value = NDSearch.NormalizeSearchFilterValue(valueArray[i]);
+
+					if (value != "" && filterArray.indexOf(value) == -1)
+						{  filterArray.push(value);  }
+					}
+
+				return whitespace;
+				}
+			);
+
+
+		// DEPENDENCY: This must match what is done in Engine.SearchIndex.Entry.Normalize().
+
+		// Trim and condense whitespace
+		normalizedSearchText = normalizedSearchText.replace(/\s+/g, " ");
+		normalizedSearchText = normalizedSearchText.replace(/^ /, "");
+		normalizedSearchText = normalizedSearchText.replace(/ $/, "");
+
+		// Remove spaces unless between two alphanumeric/underscore characters
+		normalizedSearchText = normalizedSearchText.replace(/([^a-z0-9_]) /g, "$1");  // Substitution because JavaScript has no (?<=) for lookbehinds
+		normalizedSearchText = normalizedSearchText.replace(/ (?=[^a-z0-9_])/g, "");
+
+		// Normalize separators
+		normalizedSearchText = normalizedSearchText.replace(/::|->/g, ".");
+		normalizedSearchText = normalizedSearchText.replace(/\\/g, "/");
+
+		// Remove leading separators.  We don't have to worry about whitespace between them and the rest.
+		normalizedSearchText = normalizedSearchText.replace(/^[./]+/, "");
+
+		if (normalizedSearchText == "")
+			{  return interpretations;  }
+
+		interpretations.push(normalizedSearchText);
+
+
+		// If the search text ends with : or - it's possible that it's the first character of :: or ->.  Provide an alternate
+		// search string so relevant results don't disappear until the second character is added.
+
+		var lastChar = normalizedSearchText.charAt(normalizedSearchText.length - 1);
+
+		if (lastChar == ":" || lastChar == "-")
+			{  interpretations.push(normalizedSearchText.substring(0, normalizedSearchText.length - 1) + ".");  }
+
+
+		return interpretations;
+		};
+
+
+	/* Function: NormalizeSearchFilterValue
+		Converts a filter value from the search text to a form that can be compared to comment type and language simple
+		identifiers, so "lang:C#" will be "csharp" and "lang:C++" will be "c".
+	*/
+	this.NormalizeSearchFilterValue = function (value)
+		{
+		return value.toLowerCase().replace(/#/g, "sharp").replace(/[^a-z0-9]/g, "");
+		};
+
+
+	/* Function: GetMatchingPrefixes
+		Returns an array of prefixes from <allPrefixes> that apply to the passed search text array.
+	*/
+	this.GetMatchingPrefixes = function (searchTextArray)
+		{
+		var matchingPrefixes = [ ];
+
+		if (this.allPrefixesStatus != $AllPrefixesStatus_Ready)
+			{  return matchingPrefixes;  }
+
+
+		// Add each prefix to the array
+
+		for (var i = 0; i < searchTextArray.length; i++)
+			{
+			var searchText = searchTextArray[i];
+			var searchPrefix = this.MakePrefix(searchText);
+
+			if (searchPrefix != undefined && searchPrefix != "")
+				{
+				var prefixIndex = this.GetAllPrefixesIndex(searchPrefix);
+
+				while (prefixIndex < this.allPrefixes.length)
+					{
+					if (this.allPrefixes[prefixIndex].length >= searchPrefix.length &&
+						this.allPrefixes[prefixIndex].substring(0, searchPrefix.length) == searchPrefix)
+						{
+						matchingPrefixes.push(this.allPrefixes[prefixIndex]);
+						prefixIndex++;
+						}
+					else
+						{  break;  }
+					}
+				}
+			}
+
+
+		if (searchTextArray.length <= 1)
+			{  return matchingPrefixes;  }
 
 
 		// If there was more than one, sort the combined array and remove duplicates.
@@ -715,310 +1089,600 @@ var NDSearch = new function ()
 		};
 
 
-	/* Function: KeywordMatchesInterpretations
-		Returns whether the keyword matches any of the passed interpretations.
+	// Group: Build Functions
+	// ________________________________________________________________________
+
+
+	/* Function: BuildResults
+
+		Builds the HTML for the <search results at NDSearchWorker.Search Results> from <NDSearchWorker>.  This will also set
+		<topLevelEntryCount>, <visibleEntryCount>, <topLevelEntryKeys>, and <visibleEntryKeys>.
+
+		If favorClasses is set, links will use the class/database view whenever possible.
 	*/
-	this.KeywordMatchesInterpretations = function (keywordObject, interpretations)
+	this.BuildResults = function (results, favorClasses)
 		{
-		for (var i = 0; i < interpretations.length; i++)
+		var html = "";
+
+		this.topLevelEntryCount = 0;
+		this.visibleEntryCount = 0;
+		this.topLevelEntryKeys = [ ];
+		this.visibleEntryKeys = [ ];
+
+		for (var i = 0; i < results.keywords.length; i++)
+			{  html += this.BuildKeyword(results.keywords[i], results.interpretations, favorClasses);  }
+
+		for (var i = 0; i < results.groups.length; i++)
+			{  html += this.BuildGroup(results.groups[i], results.interpretations, favorClasses);  }
+
+		var showGroupingToggle = (html != "");
+
+		if (results.moreResults)
+			{  html += this.BuildMoreResultsEntry();  }
+
+		html += this.BuildBodyResults(results.bodyTopics, results.bodySearchWords, favorClasses);
+
+		if (results.fuzzyMatchingActive && html != "")
+			{  html = this.BuildFuzzyMatchesStatus() + html;  }
+
+		if (results.searching)
+			{  html += this.BuildSearchingStatus();  }
+		else if (results.loadFailed)
+			{  html += this.BuildLoadErrorStatus();  }
+		else if (html == "")
+			{  html += this.BuildNoMatchesStatus();  }
+
+		return this.BuildSearchFilters(results.filterChoices, showGroupingToggle) + html;
+		};
+
+
+	/* Function: BuildSearchFilters
+
+		Builds the filter bar from the passed filter choices object and returns the HTML.  The choices for comment types or
+		languages will only appear if there's more than one or one of them is active.  If showGroupingToggle is set it will
+		also have a toggle for <groupByClass>.  It always has a link for <CopySearchLink()>.
+
+		The entries use SeFilter instead of SeEntry so they're not included in <visibleEntryCount> and keyboard navigation.
+	*/
+	this.BuildSearchFilters = function (filterChoices, showGroupingToggle)
+		{
+		var html = "<a class=\"SeFilter SeCopySearchLink\" href=\"javascript:NDSearch.CopySearchLink()\">" +
+							$Locale{HTML.CopySearchLink} +
+						"</a>";
+
+		if (showGroupingToggle)
 			{
-			var interpretation = interpretations[i];
+			html += "<a class=\"SeFilter SeGroupingToggle" + (this.groupByClass ? " Active" : "") + "\" " +
+							"href=\"javascript:NDSearch.ToggleGroupByClass()\">" +
+							$Locale{HTML.GroupByClassOrFile} +
+						"</a>";
+			}
 
-			// Searching for "acc" in keyword "Access"...
-			if (interpretation.length <= keywordObject[$KeywordObject_SearchText].length)
-				{
-				if (keywordObject[$KeywordObject_SearchText].indexOf(interpretation) != -1)
-					{  return true;  }
-				}
+		var filterTypes = [ "type", "lang" ];
+		var choiceArrays = [ filterChoices.commentTypes, filterChoices.languages ];
+		var activeArrays = [ this.searchFilters.commentTypes, this.searchFilters.languages ];
 
-			// Reverse it to search for "access levels" under keyword "Access"...
-			else
+		for (var f = 0; f < filterTypes.length; f++)
+			{
+			var choices = choiceArrays[f];
+			var active = activeArrays[f];
+
+			if (choices.length < 2 && active.length == 0)
+				{  continue;  }
+
+			choices.sort();
+
+			for (var c = 0; c < choices.length; c++)
 				{
-				if (interpretation.indexOf(keywordObject[$KeywordObject_SearchText]) != -1)
-					{  return true;  }
+				// These are all simple identifiers so they don't need to be escaped for HTML or JavaScript.
+				html += "<a class=\"SeFilter" + (active.indexOf(choices[c]) != -1 ? " Active" : "") + "\" " +
+								"href=\"javascript:NDSearch.ToggleSearchFilter('" + filterTypes[f] + "','" + choices[c] + "')\">" +
+								filterTypes[f] + ":" + choices[c] +
+							"</a>";
 				}
 			}
 
-		return false;
+		return "<div class=\"SeFilters\">" + html + "</div>";
 		};
 
 
-	/* Function: MemberMatchesInterpretations
-		Returns whether the keyword member matches any of the passed interpretations.
+	/* Function: BuildKeyword
+		Builds a keyword result from the <search results at NDSearchWorker.Search Results> and returns the HTML.  The parts
+		of the names which match the search interpretations are highlighted with <HighlightName()>.  If favorClasses is set,
+		links will use the class/database view whenever possible.
 	*/
-	this.MemberMatchesInterpretations = function (memberObject, interpretations)
+	this.BuildKeyword = function (keywordResult, interpretations, favorClasses)
 		{
-		for (var i = 0; i < interpretations.length; i++)
+		if (keywordResult.isSingleEntry)
 			{
-			var interpretation = interpretations[i];
+			var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+
+			var html = this.BuildMember(keywordResult.members[0], keywordResult.abbreviationSearchText, interpretations,
+														  favorClasses, selected);
+
+			this.topLevelEntryKeys.push(keywordResult.key);
+			this.visibleEntryKeys.push(keywordResult.key);
+
+			this.topLevelEntryCount++;
+			this.visibleEntryCount++;
 
-			if (memberObject[$MemberObject_SearchText].indexOf(interpretation) != -1)
-				{  return true;  }
+			return html;
 			}
 
-		return false;
-		};
+		else
+			{
+			var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+			var openClosed = (keywordResult.open ? "open" : "closed");
+
+			// DEPENDENCY: ActivateLinkFromKeyboard depends on the exact ToggleParent JavaScript generated.
+			var html = "<a class=\"SeEntry SeParent " + openClosed + "\" " + (selected ? "id=\"SeSelectedEntry\" " : "") +
+								"href=\"javascript:NDSearch.ToggleParent(" + this.topLevelEntryCount + ",false)\">" +
+								"<div class=\"SeEntryIcon\"></div>" +
+								this.HighlightName(keywordResult.htmlName, keywordResult.abbreviationSearchText, interpretations) +
+								" <span class=\"SeChildCount\">(" + keywordResult.memberCount + ")</span>" +
+							"</a>";
+
+			this.topLevelEntryKeys.push(keywordResult.key);
+			this.visibleEntryKeys.push(keywordResult.key);
+
+			this.topLevelEntryCount++;
+			this.visibleEntryCount++;
+
+			if (keywordResult.open)
+				{
+				html += "<div class=\"SeChildren\">";
+
+				for (var i = 0; i < keywordResult.members.length; i++)
+					{
+					var memberResult = keywordResult.members[i];
+					var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+
+					html += this.BuildMember(memberResult, keywordResult.abbreviationSearchText, interpretations, favorClasses,
+														 selected);
+
+					this.visibleEntryKeys.push(keywordResult.key + ">" + memberResult.fileHashPath);
+					this.visibleEntryCount++;
+					}
+
+				html += "</div>";
+				}
 
+			return html;
+			}
+		};
 
-	/* Function: TotalMatchesGreaterThan
 
-		Returns whether the total number of entries that match the search interpretations is greater than the
-		passed maximum.  It will return true or false, or undefined if more data needs to be loaded in order
-		to find out.
+	/* Function: BuildGroup
+		Builds a group result from the <search results at NDSearchWorker.Search Results> and returns the HTML.  These are
+		used instead of keyword results when <groupByClass> is set.  If favorClasses is set, links will use the class/database
+		view whenever possible.
 	*/
-	this.TotalMatchesGreaterThan = function (searchInterpretations, searchInterpretationPrefixes, maximum)
+	this.BuildGroup = function (groupResult, interpretations, favorClasses)
 		{
-		var totalMatches = 0;
+		var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+		var openClosed = (groupResult.open ? "open" : "closed");
+
+		// DEPENDENCY: ActivateLinkFromKeyboard depends on the exact ToggleParent JavaScript generated.
+		var html = "<a class=\"SeEntry SeParent SeGroup " + openClosed + "\" " + (selected ? "id=\"SeSelectedEntry\" " : "") +
+							"href=\"javascript:NDSearch.ToggleParent(" + this.topLevelEntryCount + ",false)\">" +
+							"<div class=\"SeEntryIcon\"></div>" +
+							groupResult.htmlName +
+							" <span class=\"SeChildCount\">(" + groupResult.memberCount + ")</span>" +
+						"</a>";
+
+		this.topLevelEntryKeys.push(groupResult.key);
+		this.visibleEntryKeys.push(groupResult.key);
+
+		this.topLevelEntryCount++;
+		this.visibleEntryCount++;
 
-		for (var p = 0; p < searchInterpretationPrefixes.length; p++)
+		if (groupResult.open)
 			{
-			var prefix = searchInterpretationPrefixes[p];
+			html += "<div class=\"SeChildren\">";
 
-			if (this.prefixObjects[prefix] == undefined ||
-				this.prefixObjects[prefix][$PrefixObject_Ready] == false)
+			for (var i = 0; i < groupResult.members.length; i++)
 				{
-				return undefined;
+				var memberResult = groupResult.members[i];
+				var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+
+				html += this.BuildMember(memberResult, memberResult.abbreviationSearchText, interpretations, favorClasses,
+													 selected);
+
+				this.visibleEntryKeys.push(groupResult.key + ">" + memberResult.fileHashPath);
+				this.visibleEntryCount++;
 				}
 
-			var keywordObjects = this.prefixObjects[prefix][$PrefixObject_KeywordObjects];
+			html += "</div>";
+			}
 
-			for (var k = 0; k < keywordObjects.length; k++)
-				{
-				var keywordObject = keywordObjects[k];
+		return html;
+		};
 
-				if (this.KeywordMatchesInterpretations(keywordObject, searchInterpretations))
-					{
-					var memberObjects = keywordObject[$KeywordObject_MemberObjects];
 
-					for (var m = 0; m < memberObjects.length; m++)
-						{
-						var memberObject = memberObjects[m];
+	/* Function: BuildMember
+		Builds the entry for a member result and returns the HTML.  abbreviationSearchText is passed to <HighlightName()>.
+		It does not update any of the entry counts or keys.
+	*/
+	this.BuildMember = function (memberResult, abbreviationSearchText, interpretations, favorClasses, selected)
+		{
+		var target;
 
-						if (this.MemberMatchesInterpretations(memberObject, searchInterpretations))
-							{
-							totalMatches++;
+		if (favorClasses && memberResult.classHashPath != undefined)
+			{  target = memberResult.classHashPath;  }
+		else
+			{  target = memberResult.fileHashPath;  }
 
-							if (totalMatches > maximum)
-								{  return true;  }
-							}
-						}
-					}
+		var html = "<a class=\"SeEntry T" + memberResult.commentType + "\" " + (selected ? "id=\"SeSelectedEntry\" " : "") +
+							"href=\"#" + target + "\">" +
+							"<div class=\"SeEntryIcon\"></div>" +
+							this.HighlightName(memberResult.htmlName, abbreviationSearchText, interpretations);
+
+		if (memberResult.htmlQualifier != undefined ||
+			memberResult.htmlLanguageName != undefined)
+			{
+			html += "<span class=\"SeQualifier\">";
 
-				}  // keywordObjects
-			}  // searchInterpretationPrefixes
+			if (memberResult.htmlQualifier != undefined)
+				{  html += ", " + memberResult.htmlQualifier;  }
+			if (memberResult.htmlLanguageName != undefined)
+				{  html += ", " + memberResult.htmlLanguageName;  }
 
-		return false;
+			html += "</span>";
+			}
+
+		html += "</a>";
+
+		return html;
 		};
 
 
+	/* Function: BuildBodyResults
+		Builds the body topic results from the <search results at NDSearchWorker.Search Results> and returns the HTML, or
+		an empty string if there aren't any.  This also updates <topLevelEntryCount>, <visibleEntryCount>,
+		<topLevelEntryKeys>, and <visibleEntryKeys>.
+	*/
+	this.BuildBodyResults = function (bodyTopics, bodySearchWords, favorClasses)
+		{
+		if (bodyTopics.length == 0)
+			{  return "";  }
 
-	// Group: Build Functions
-	// ________________________________________________________________________
+		var html = "<div class=\"SeHeading\">" + $Locale{HTML.BodyMatchesHeading} + "</div>";
 
+		for (var i = 0; i < bodyTopics.length; i++)
+			{  html += this.BuildBodyTopic(bodyTopics[i], bodySearchWords, favorClasses);  }
 
-	/* Function: BuildResults
+		return html;
+		};
 
-		Builds the search results in HTML.  If a prefix data it needs is not loaded yet it will build what it can and return
-		the next one that needs in the results.  This will also set <topLevelEntryCount> and <visibleEntryCount>.
 
-		Flags:
+	/* Function: BuildBodyTopic
+		Builds the HTML for a single body topic result, highlighting the search words in its snippet.
+	*/
+	this.BuildBodyTopic = function (bodyTopicResult, bodySearchWords, favorClasses)
+		{
+		var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+		var target;
+
+		if (favorClasses && bodyTopicResult.classHashPath != undefined)
+			{  target = bodyTopicResult.classHashPath;  }
+		else
+			{  target = bodyTopicResult.fileHashPath;  }
 
-			favorClasses - If set, links will use the class/database view whenever possible.
-			forceExpansion - If set, all parent entries will be expanded regardless of <openParents>.
+		// Skip over entities so we don't highlight "amp" in "&amp;".  The words can't contain regular expression
+		// characters because NDSearchWorker.GetBodySearchWords() splits on them.
+		var highlightRegex = new RegExp("(&[^;]*;)|(" + bodySearchWords.join("|") + ")", "gi");
 
-		Returns:
+		var htmlSnippet = bodyTopicResult.htmlSnippet.replace(highlightRegex,
+			function (match, entity, word)
+				{
+				if (entity)
+					{  return entity;  }
+				else
+					{  return "<span class=\"SeSnippetMatch\">" + word + "</span>";  }
+				}
+			);
+
+		var html = "<a class=\"SeEntry SeBodyEntry T" + bodyTopicResult.commentType + "\" " +
+							(selected ? "id=\"SeSelectedEntry\" " : "") +
+							"href=\"#" + target + "\">" +
+							"<div class=\"SeEntryIcon\"></div>" +
+							bodyTopicResult.htmlName +
+							"<div class=\"SeSnippet\">" + htmlSnippet + "</div>" +
+						"</a>";
+
+		// Keyword search text is always lowercase so this can't conflict with them.
+		var key = "Body>" + bodyTopicResult.fileHashPath;
+
+		this.topLevelEntryKeys.push(key);
+		this.visibleEntryKeys.push(key);
+
+		this.topLevelEntryCount++;
+		this.visibleEntryCount++;
 
-			{ html, prefixDataToLoad }
+		return html;
+		};
+
+
+	/* Function: HighlightName
+		Returns the passed HTML name from a keyword result or one of its members with the matching parts highlighted.  This
+		is <HighlightInitials()> if the keyword matched abbreviationSearchText as an abbreviation and <HighlightMatches()>
+		if it's undefined.
 	*/
-	this.BuildResults = function (searchInterpretations, searchInterpretationPrefixes, favorClasses, forceExpansion)
+	this.HighlightName = function (htmlName, abbreviationSearchText, interpretations)
 		{
-		var results = {
-			// prefixDataToLoad: undefined,
-			html: ""
-			};
+		if (abbreviationSearchText != undefined)
+			{  return this.HighlightInitials(htmlName, abbreviationSearchText);  }
+		else
+			{  return this.HighlightMatches(htmlName, interpretations);  }
+		};
 
-		this.topLevelEntryCount = 0;
-		this.visibleEntryCount = 0;
 
-		var addSearchingStatus = false;
+	/* Function: HighlightInitials
+		Returns the passed HTML name with the initials that match the abbreviation wrapped in SeMatch spans, so "gs" will
+		highlight the G and S in "GetSearchInterpretations".  It's decoded with <String.EntityDecode()> like
+		<HighlightMatches()>, and if it can't be decoded and reencoded without changing or the initials don't match it will be
+		returned as is.
+	*/
+	this.HighlightInitials = function (htmlName, abbreviation)
+		{
+		var text = htmlName.EntityDecode();
+
+		if (text.EntityEncode() != htmlName)
+			{  return htmlName;  }
 
-		for (var p = 0; p < searchInterpretationPrefixes.length; p++)
+		var initialIndexes = this.GetInitialIndexes(text);
+
+		if (initialIndexes.length < abbreviation.length)
+			{  return htmlName;  }
+
+		for (var i = 0; i < abbreviation.length; i++)
 			{
-			var prefix = searchInterpretationPrefixes[p];
+			if (text.charAt(initialIndexes[i]).toLowerCase() != abbreviation.charAt(i))
+				{  return htmlName;  }
+			}
 
-			if (this.prefixObjects[prefix] == undefined)
-				{
-				if (this.visibleEntryCount < this.moreResultsThreshold)
-					{
-					results.prefixDataToLoad = prefix;
-					addSearchingStatus = true;
-					}
-				else
-					{
-					results.html += this.BuildMoreResultsEntry();
-					}
+		var html = "";
+		var textIndex = 0;
 
-				break;
-				}
-			else if (this.prefixObjects[prefix][$PrefixObject_Ready] == false)
+		for (var i = 0; i < abbreviation.length; i++)
+			{
+			var index = initialIndexes[i];
+
+			html += text.substring(textIndex, index).EntityEncode() +
+						"<span class=\"SeMatch\">" + text.charAt(index).EntityEncode() + "</span>";
+			textIndex = index + 1;
+			}
+
+		html += text.substring(textIndex).EntityEncode();
+
+		return html;
+		};
+
+
+	/* Function: GetInitialIndexes
+		Returns an array of the indexes of the first character of each word in the passed text, using the same rules Natural
+		Docs uses to generate abbreviations.  Letters that don't have case, such as those in Chinese and Japanese, are not
+		treated as letters so they won't line up with the generated abbreviations.
+	*/
+	this.GetInitialIndexes = function (text)
+		{
+		// DEPENDENCY: This must match what is done in Engine.SearchIndex.Entry.GetAbbreviation().
+
+		var initialIndexes = [ ];
+
+		for (var i = 0; i < text.length; i++)
+			{
+			var char = text.charAt(i);
+
+			if (!this.IsLetterOrDigit(char))
+				{  continue;  }
+
+			var isInitial;
+
+			if (i == 0 || !this.IsLetterOrDigit(text.charAt(i - 1)))
+				{  isInitial = true;  }
+			else if (this.IsUppercase(char))
 				{
-				addSearchingStatus = true;
-				break;
-				}
+				var previousChar = text.charAt(i - 1);
 
-			var keywordObjects = this.prefixObjects[prefix][$PrefixObject_KeywordObjects];
+				isInitial = ( this.IsLowercase(previousChar) ||
+								 this.IsDigit(previousChar) ||
+								 (this.IsUppercase(previousChar) && i + 1 < text.length && this.IsLowercase(text.charAt(i + 1))) );
+				}
+			else if (this.IsDigit(char))
+				{  isInitial = !this.IsDigit(text.charAt(i - 1));  }
+			else
+				{  isInitial = false;  }
 
-			for (var k = 0; k < keywordObjects.length; k++)
-				{  results.html += this.BuildKeyword(keywordObjects[k], searchInterpretations, favorClasses, forceExpansion);  }
+			if (isInitial)
+				{  initialIndexes.push(i);  }
 			}
 
-		if (addSearchingStatus)
-			{  results.html += this.BuildSearchingStatus();  }
-		else if (results.html == "")
-			{  results.html += this.BuildNoMatchesStatus();  }
+		return initialIndexes;
+		};
+
+
+	/* Function: IsUppercase
+		Returns whether the passed character is an uppercase letter.
+	*/
+	this.IsUppercase = function (char)
+		{
+		return (char != char.toLowerCase());
+		};
+
 
-		return results;
+	/* Function: IsLowercase
+		Returns whether the passed character is a lowercase letter.
+	*/
+	this.IsLowercase = function (char)
+		{
+		return (char != char.toUpperCase());
 		};
 
 
-	/* Function: BuildKeyword
+	/* Function: IsDigit
+		Returns whether the passed character is a digit.
+	*/
+	this.IsDigit = function (char)
+		{
+		return (char >= "0" && char <= "9");
+		};
+
 
-		Builds the results for a keyword and returns the HTML.  The results will be filtered based on <searchText>.
+	/* Function: IsLetterOrDigit
+		Returns whether the passed character is a letter with case or a digit.
+	*/
+	this.IsLetterOrDigit = function (char)
+		{
+		return (this.IsUppercase(char) || this.IsLowercase(char) || this.IsDigit(char));
+		};
 
-		Flags:
 
-			favorClasses - If set, links will use the class/database view whenever possible.
-			forceExpansion - If set, all parent entries will be expanded regardless of <openParents>.
+	/* Function: HighlightMatches
+		Returns the passed HTML name with every part that matches one of the interpretations wrapped in a SeMatch span.
+		The name is decoded with <String.EntityDecode()> before matching so "&lt;" can't match "lt" and "operator<" can
+		match "operator&lt;".  If it can't be decoded and reencoded without changing it will be returned as is.
 	*/
-	this.BuildKeyword = function (keywordObject, searchInterpretations, favorClasses, forceExpansion)
+	this.HighlightMatches = function (htmlName, interpretations)
 		{
-		if (this.KeywordMatchesInterpretations(keywordObject, searchInterpretations) == false)
-			{  return "";  }
+		var text = htmlName.EntityDecode();
 
-		var memberMatches = 0;
-		var lastMatchingMemberObject;
+		// Also give up if lowercasing changes the length, which can happen with a few Unicode characters, since the
+		// indexes wouldn't line up anymore.
+		if (text.EntityEncode() != htmlName || text.toLowerCase().length != text.length)
+			{  return htmlName;  }
 
-		for (var i = 0; i < keywordObject[$KeywordObject_MemberObjects].length; i++)
+		var map = this.GetNormalizedTextMap(text);
+		var ranges = [ ];
+
+		for (var i = 0; i < interpretations.length; i++)
 			{
-			var memberObject = keywordObject[$KeywordObject_MemberObjects][i];
+			var interpretation = interpretations[i];
+
+			// Searching for "access levels" matches keyword "Access", so the whole thing matches.
+			if (interpretation.length > map.normalizedText.length)
+				{
+				if (map.normalizedText.length > 0 && interpretation.indexOf(map.normalizedText) != -1)
+					{  ranges.push([ 0, text.length ]);  }
+
+				continue;
+				}
+
+			var index = map.normalizedText.indexOf(interpretation);
 
-			if (this.MemberMatchesInterpretations(memberObject, searchInterpretations))
+			while (index != -1)
 				{
-				lastMatchingMemberObject = memberObject;
-				memberMatches++;
+				var endIndex = index + interpretation.length;
+				ranges.push([ map.starts[index], map.ends[endIndex - 1] ]);
+
+				index = map.normalizedText.indexOf(interpretation, endIndex);
 				}
 			}
 
-		if (memberMatches == 0)
-			{  return "";  }
+		if (ranges.length == 0)
+			{  return htmlName;  }
 
-		else if (memberMatches == 1 &&
-				   lastMatchingMemberObject[$MemberObject_SearchText] == keywordObject[$KeywordObject_SearchText])
-			{
-			var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
-			var commentType = lastMatchingMemberObject[$MemberObject_CommentType];
-			var target;
 
-			if (favorClasses && lastMatchingMemberObject[$MemberObject_ClassHashPath] != undefined)
-				{  target = lastMatchingMemberObject[$MemberObject_ClassHashPath];  }
-			else
-				{  target = lastMatchingMemberObject[$MemberObject_FileHashPath];  }
+		// Sort and merge the ranges since the interpretations may overlap.
 
-			var html = "<a class=\"SeEntry T" + commentType + "\" " + (selected ? "id=\"SeSelectedEntry\" " : "") +
-								"href=\"#" + target + "\">" +
-								"<div class=\"SeEntryIcon\"></div>" +
-								lastMatchingMemberObject[$MemberObject_HTMLName];
+		ranges.sort(function (a, b) {  return a[0] - b[0];  });
 
-			if (lastMatchingMemberObject[$MemberObject_HTMLQualifier] != undefined ||
-				lastMatchingMemberObject[$MemberObject_HTMLLanguageName] != undefined)
-				{
-				html += "<span class=\"SeQualifier\">";
+		var html = "";
+		var textIndex = 0;
+		var r = 0;
+
+		while (r < ranges.length)
+			{
+			var start = ranges[r][0];
+			var end = ranges[r][1];
+			r++;
 
-				if (lastMatchingMemberObject[$MemberObject_HTMLQualifier] != undefined)
-					{  html += ", " + lastMatchingMemberObject[$MemberObject_HTMLQualifier];  }
-				if (lastMatchingMemberObject[$MemberObject_HTMLLanguageName] != undefined)
-					{  html += ", " + lastMatchingMemberObject[$MemberObject_HTMLLanguageName];  }
+			while (r < ranges.length && ranges[r][0] <= end)
+				{
+				if (ranges[r][1] > end)
+					{  end = ranges[r][1];  }
 
-				html += "</span>";
+				r++;
 				}
 
-			html += "</a>";
+			html += text.substring(textIndex, start).EntityEncode() +
+						"<span class=\"SeMatch\">" + text.substring(start, end).EntityEncode() + "</span>";
+			textIndex = end;
+			}
 
-			this.topLevelEntryCount++;
-			this.visibleEntryCount++;
+		html += text.substring(textIndex).EntityEncode();
 
-			return html;
-			}
+		return html;
+		};
 
-		else
-			{
-			var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
-			var openClosed;
 
-			if (forceExpansion || this.openParents.indexOf(this.topLevelEntryCount) != -1)
-				{  openClosed = "open";  }
-			else
-				{  openClosed = "closed";  }
+	/* Function: GetNormalizedTextMap
 
-			// DEPENDENCY: ActivateLinkFromKeyboard depends on the exact ToggleParent JavaScript generated.
-			var html = "<a class=\"SeEntry SeParent " + openClosed + "\" " + (selected ? "id=\"SeSelectedEntry\" " : "") +
-								"href=\"javascript:NDSearch.ToggleParent(" + this.topLevelEntryCount + ",false)\">" +
-								"<div class=\"SeEntryIcon\"></div>" +
-								keywordObject[$KeywordObject_HTMLName] +
-								" <span class=\"SeChildCount\">(" + memberMatches + ")</span>" +
-							"</a>";
+		Normalizes the passed text the same way <GetSearchInterpretations()> does and returns it along with where each
+		normalized character came from in the original text.
 
-			this.topLevelEntryCount++;
-			this.visibleEntryCount++;
+		Returns:
 
-			if (openClosed == "open")
-				{
-				html += "<div class=\"SeChildren\">";
+			{ normalizedText, starts, ends }
 
-				for (var i = 0; i < keywordObject[$KeywordObject_MemberObjects].length; i++)
-					{
-					var memberObject = keywordObject[$KeywordObject_MemberObjects][i];
+			starts and ends are arrays with an entry for each character in normalizedText.  They contain the start and end
+			indexes of the text it was generated from, so "::" converted to "." would have an end two past its start.
+	*/
+	this.GetNormalizedTextMap = function (text)
+		{
+		// DEPENDENCY: This must match what is done in GetSearchInterpretations().
 
-					if (this.MemberMatchesInterpretations(memberObject, searchInterpretations))
-						{
-						var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
-						var commentType = memberObject[$MemberObject_CommentType];
-						var target;
-
-						if (favorClasses && memberObject[$MemberObject_ClassHashPath] != undefined)
-							{  target = memberObject[$MemberObject_ClassHashPath];  }
-						else
-							{  target = memberObject[$MemberObject_FileHashPath];  }
-
-						html += "<a class=\"SeEntry T" + commentType + "\" " + (selected ? "id=\"SeSelectedEntry\" " : "") +
-										"href=\"#" + target + "\">" +
-										"<div class=\"SeEntryIcon\"></div>" +
-										memberObject[$MemberObject_HTMLName];
-
-						if (memberObject[$MemberObject_HTMLQualifier] != undefined ||
-							memberObject[$MemberObject_HTMLLanguageName] != undefined)
-							{
-							html += "<span class=\"SeQualifier\">";
+		var map = {
+			normalizedText: "",
+			starts: [ ],
+			ends: [ ]
+			};
 
-							if (memberObject[$MemberObject_HTMLQualifier] != undefined)
-								{  html += ", " + memberObject[$MemberObject_HTMLQualifier];  }
-							if (memberObject[$MemberObject_HTMLLanguageName] != undefined)
-								{  html += ", " + memberObject[$MemberObject_HTMLLanguageName];  }
+		var lowercaseText = text.toLowerCase();
+		var i = 0;
 
-							html += "</span>";
-							}
+		while (i < lowercaseText.length)
+			{
+			var char = lowercaseText.charAt(i);
+			var twoChars = lowercaseText.substr(i, 2);
 
-						html += "</a>";
+			if (twoChars == "::" || twoChars == "->")
+				{
+				map.normalizedText += ".";
+				map.starts.push(i);
+				map.ends.push(i + 2);
+				i += 2;
+				}
 
-						this.visibleEntryCount++;
-						}
-					}
+			else if (/\s/.test(char))
+				{
+				var whitespaceStart = i;
 
-				html += "</div>";
+				do
+					{  i++;  }
+				while (i < lowercaseText.length && /\s/.test(lowercaseText.charAt(i)));
+
+				// Keep a single space only if it's between two alphanumeric/underscore characters.
+				if (whitespaceStart > 0 && i < lowercaseText.length &&
+					/[a-z0-9_]/.test(lowercaseText.charAt(whitespaceStart - 1)) &&
+					/[a-z0-9_]/.test(lowercaseText.charAt(i)))
+					{
+					map.normalizedText += " ";
+					map.starts.push(whitespaceStart);
+					map.ends.push(i);
+					}
 				}
 
-			return html;
+			else
+				{
+				map.normalizedText += (char == "\\" ? "/" : char);
+				map.starts.push(i);
+				map.ends.push(i + 1);
+				i++;
+				}
 			}
+
+		return map;
 		};
 
 
@@ -1030,6 +1694,16 @@ var NDSearch = new function ()
 		};
 
 
+	/* Function: BuildLoadErrorStatus
+		Builds the status that appears when some of the search data couldn't be loaded, which includes a link to
+		<RetryLoading()>.
+	*/
+	this.BuildLoadErrorStatus = function ()
+		{
+		return NDCore.CreateLoadErrorNotice("SeStatus LoadError", $Locale{HTML.SearchLoadError}, "NDSearch.RetryLoading()").outerHTML;
+		};
+
+
 	/* Function: BuildNoMatchesStatus
 	*/
 	this.BuildNoMatchesStatus = function ()
@@ -1038,6 +1712,16 @@ var NDSearch = new function ()
 		};
 
 
+	/* Function: BuildFuzzyMatchesStatus
+		Builds the status that appears above the results when they were found with
+		<NDSearchWorker.FuzzyMatches()>.
+	*/
+	this.BuildFuzzyMatchesStatus = function ()
+		{
+		return "<div class=\"SeStatus FuzzyMatches\">" + $Locale{HTML.FuzzyMatchesStatus} + "</div>";
+		};
+
+
 	/* Function: BuildMoreResultsEntry
 	*/
 	this.BuildMoreResultsEntry = function ()
@@ -1050,6 +1734,10 @@ var NDSearch = new function ()
 							$Locale{HTML.MoreResults} +
 						 "</a>";
 
+		// Keyword search text is always lowercase so this can't conflict with them.
+		this.topLevelEntryKeys.push("MoreResults");
+		this.visibleEntryKeys.push("MoreResults");
+
 		this.visibleEntryCount++;
 		this.topLevelEntryCount++;
 
@@ -1058,6 +1746,238 @@ var NDSearch = new function ()
 
 
 
+	// Group: History Functions
+	// ________________________________________________________________________
+
+
+	/* Function: ShowHistory
+		Replaces the results with <recentSearches> and <recentTopics>, or hides them if there aren't any.
+	*/
+	this.ShowHistory = function ()
+		{
+		this.ClearResults(true);
+
+		var html = this.BuildHistory();
+
+		if (html == "")
+			{  this.HideResults();  }
+		else
+			{
+			this.showingHistory = true;
+			this.domResultsContent.innerHTML = html;
+			this.ShowResults();
+			}
+		};
+
+
+	/* Function: BuildHistory
+		Builds the HTML for <recentSearches> and <recentTopics>.  It will return an empty string if there aren't any.  This
+		will also set <topLevelEntryCount>, <visibleEntryCount>, <topLevelEntryKeys>, and <visibleEntryKeys>.
+	*/
+	this.BuildHistory = function ()
+		{
+		if (this.recentSearches == undefined || this.recentTopics == undefined)
+			{  this.LoadHistory();  }
+
+		var html = "";
+
+		if (this.recentSearches.length > 0)
+			{
+			html += "<div class=\"SeHeading\">" + $Locale{HTML.RecentSearchesHeading} + "</div>";
+
+			for (var i = 0; i < this.recentSearches.length; i++)
+				{
+				var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+
+				html += "<a class=\"SeEntry SeRecentSearch\" " + (selected ? "id=\"SeSelectedEntry\" " : "") +
+								"href=\"javascript:NDSearch.UseRecentSearch(" + i + ")\">" +
+								"<div class=\"SeEntryIcon\"></div>" +
+								this.recentSearches[i].EntityEncode() +
+							"</a>";
+
+				this.topLevelEntryKeys.push("RecentSearch>" + i);
+				this.visibleEntryKeys.push("RecentSearch>" + i);
+
+				this.topLevelEntryCount++;
+				this.visibleEntryCount++;
+				}
+			}
+
+		if (this.recentTopics.length > 0)
+			{
+			html += "<div class=\"SeHeading\">" + $Locale{HTML.RecentTopicsHeading} + "</div>";
+
+			for (var i = 0; i < this.recentTopics.length; i++)
+				{
+				var recentTopic = this.recentTopics[i];
+				var selected = (this.keyboardSelectionIndex == this.visibleEntryCount);
+
+				// The history comes from local storage so it could have been altered.  Make sure the comment type is a simple
+				// identifier before putting it in the class attribute.
+				var commentType = recentTopic[$RecentTopic_CommentType];
+				var commentTypeClass = "";
+
+				if (typeof(commentType) == "string" && /^[A-Za-z0-9_]+$/.test(commentType))
+					{  commentTypeClass = " T" + commentType;  }
+
+				html += "<a class=\"SeEntry SeRecentTopic" + commentTypeClass + "\" " +
+									(selected ? "id=\"SeSelectedEntry\" " : "") +
+									"href=\"#" + recentTopic[$RecentTopic_HashPath].EntityEncode() + "\">" +
+								"<div class=\"SeEntryIcon\"></div>" +
+								recentTopic[$RecentTopic_Name].EntityEncode() +
+							"</a>";
+
+				this.topLevelEntryKeys.push("RecentTopic>" + recentTopic[$RecentTopic_HashPath]);
+				this.visibleEntryKeys.push("RecentTopic>" + recentTopic[$RecentTopic_HashPath]);
+
+				this.topLevelEntryCount++;
+				this.visibleEntryCount++;
+				}
+			}
+
+		return html;
+		};
+
+
+	/* Function: AddToHistory
+		Adds the current search text and the topic of the passed result entry to the history and saves it.  This should be
+		called whenever a result entry linking to a topic is opened.
+	*/
+	this.AddToHistory = function (domEntry)
+		{
+		if (this.recentSearches == undefined || this.recentTopics == undefined)
+			{  this.LoadHistory();  }
+
+
+		// Search text
+
+		if (!this.showingHistory && this.SearchFieldIsActive())
+			{
+			var searchText = this.domSearchField.value.replace(/\s+/g, " ").replace(/^ /, "").replace(/ $/, "");
+
+			if (searchText != "")
+				{
+				var index = this.recentSearches.indexOf(searchText);
+
+				if (index != -1)
+					{  this.recentSearches.splice(index, 1);  }
+
+				this.recentSearches.unshift(searchText);
+
+				if (this.recentSearches.length > $RecentSearches_Count)
+					{  this.recentSearches.splice($RecentSearches_Count);  }
+				}
+			}
+
+
+		// Topic
+
+		var hashPath = domEntry.getAttribute("href").substring(1);
+		var name = "";
+
+		// Use the entry's text without the snippet or child count.
+		for (var domChild = domEntry.firstChild; domChild != undefined; domChild = domChild.nextSibling)
+			{
+			if (domChild.nodeType == Node.TEXT_NODE ||
+				(domChild.nodeType == Node.ELEMENT_NODE &&
+				 !domChild.classList.contains("SeSnippet") && !domChild.classList.contains("SeChildCount")))
+				{  name += domChild.textContent;  }
+			}
+
+		var commentTypeMatch = domEntry.className.match(/(?:^| )T([A-Za-z0-9]+)(?: |$)/);
+		var commentType = (commentTypeMatch != undefined ? commentTypeMatch[1] : "");
+
+		for (var i = 0; i < this.recentTopics.length; i++)
+			{
+			if (this.recentTopics[i][$RecentTopic_HashPath] == hashPath)
+				{
+				this.recentTopics.splice(i, 1);
+				break;
+				}
+			}
+
+		var recentTopic = [ ];
+		recentTopic[$RecentTopic_Name] = name;
+		recentTopic[$RecentTopic_HashPath] = hashPath;
+		recentTopic[$RecentTopic_CommentType] = commentType;
+
+		this.recentTopics.unshift(recentTopic);
+
+		if (this.recentTopics.length > $RecentTopics_Count)
+			{  this.recentTopics.splice($RecentTopics_Count);  }
+
+		this.SaveHistory();
+		};
+
+
+	/* Function: LoadHistory
+		Loads <recentSearches> and <recentTopics> from the web browser's local storage.  They will be set to empty
+		arrays if there isn't any history or it can't be read.  Any entries that aren't in the expected format are dropped.
+	*/
+	this.LoadHistory = function ()
+		{
+		// The history comes from local storage so it could have been altered.  Make sure everything <BuildHistory()> encodes
+		// is a string.
+
+		var recentSearches = this.LoadHistoryArray($RecentSearches_Key);
+		var recentTopics = this.LoadHistoryArray($RecentTopics_Key + ":" + window.location.pathname);
+
+		this.recentSearches = [ ];
+		this.recentTopics = [ ];
+
+		for (var i = 0; i < recentSearches.length; i++)
+			{
+			if (typeof(recentSearches[i]) == "string")
+				{  this.recentSearches.push(recentSearches[i]);  }
+			}
+
+		for (var i = 0; i < recentTopics.length; i++)
+			{
+			var recentTopic = recentTopics[i];
+
+			if (Array.isArray(recentTopic) &&
+				typeof(recentTopic[$RecentTopic_Name]) == "string" &&
+				typeof(recentTopic[$RecentTopic_HashPath]) == "string")
+				{  this.recentTopics.push(recentTopic);  }
+			}
+		};
+
+
+	/* Function: LoadHistoryArray
+		Returns the JSON array stored in local storage under the passed key, or an empty array if there isn't one.
+	*/
+	this.LoadHistoryArray = function (key)
+		{
+		var json = window.localStorage.getItem(key);
+
+		if (json != undefined)
+			{
+			try
+				{
+				var array = JSON.parse(json);
+
+				if (Array.isArray(array))
+					{  return array;  }
+				}
+			catch (e)
+				{  }
+			}
+
+		return [ ];
+		};
+
+
+	/* Function: SaveHistory
+		Saves <recentSearches> and <recentTopics> to the web browser's local storage.
+	*/
+	this.SaveHistory = function ()
+		{
+		window.localStorage.setItem($RecentSearches_Key, JSON.stringify(this.recentSearches));
+		window.localStorage.setItem($RecentTopics_Key + ":" + window.location.pathname, JSON.stringify(this.recentTopics));
+		};
+
+
+
 	// Group: Prefix Functions
 	// ________________________________________________________________________
 
@@ -1067,6 +1987,8 @@ var NDSearch = new function ()
 	*/
 	this.MakePrefix = function (searchText)
 		{
+		// DEPENDENCY: This must match NDSearchWorker.MakePrefix().
+
 		var prefix = "";
 
 		for (var i = 0; i < 3; i++)
@@ -1089,33 +2011,48 @@ var NDSearch = new function ()
 		};
 
 
-	/* Function: PrefixToHex
+	// Group: UI Functions
+	// ________________________________________________________________________
+
+
+	/* Function: FocusSearchField
+		Moves the keyboard focus to the search field.  If it's already active its contents will be selected so typing replaces
+		them.
 	*/
-	this.PrefixToHex = function (prefix)
+	this.FocusSearchField = function ()
 		{
-		var hex = "";
-
-		for (var i = 0; i < prefix.length; i++)
-			{
-			var charValue = "0000" + prefix.charCodeAt(i).toString(16);
-			hex += charValue.substring(charValue.length - 4, charValue.length);
-			}
+		this.domSearchField.focus();
 
-		return hex;
+		if (this.SearchFieldIsActive())
+			{  this.domSearchField.select();  }
 		};
 
 
-	/* Function: PrefixToDataFile
+	/* Function: Search
+		Activates the search field if it isn't already, replaces its contents with the passed text, and shows the results
+		without waiting for the usual typing delay.  This is used for <search links at NDFramePage.Search Links>.
 	*/
-	this.PrefixToDataFile = function (prefix)
+	this.Search = function (searchText)
 		{
-		return "search/keywords/" + this.PrefixToHex(prefix) + ".js";
-		};
+		if (!this.SearchFieldIsActive())
+			{  this.OnSearchFieldFocus();  }
 
+		if (this.initialTimeout != undefined)
+			{
+			clearTimeout(this.initialTimeout);
+			this.initialTimeout = undefined;
+			}
 
+		this.domSearchField.value = searchText;
+		this.keyboardSelectionIndex = -1;
 
-	// Group: UI Functions
-	// ________________________________________________________________________
+		this.domSearchField.focus();
+		this.Update();
+
+		// Set this after Update() because showing the searching status resets it.  If the prefix index is still loading this
+		// lets OnPrefixIndexLoaded() update the results when it's done.
+		this.initialTimeoutStatus = $InitialTimeoutStatus_Finished;
+		};
 
 
 	/* Function: ActivateSearchField
@@ -1158,6 +2095,7 @@ var NDSearch = new function ()
 	this.HideResults = function ()
 		{
 		this.domResults.style.display = "none";
+		this.HidePreview();
 		};
 
 
@@ -1216,6 +2154,10 @@ var NDSearch = new function ()
 
 		this.domResults.scrollTop = oldScrollTop;
 		this.domResults.style.visibility = "visible";
+
+		// The preview is positioned relative to the results so it has to move with them.
+		if (this.domPreview.style.display == "block")
+			{  this.PositionPreview();  }
 		};
 
 
@@ -1238,6 +2180,8 @@ var NDSearch = new function ()
 			domNewSelection.id = "SeSelectedEntry";
 			this.ScrollEntryIntoView(domNewSelection, false);
 			}
+
+		this.UpdatePreview();
 		};
 
 
@@ -1276,111 +2220,385 @@ var NDSearch = new function ()
 
 
 
-	// Group: Search Data Functions
+	// Group: Preview Functions
 	// ________________________________________________________________________
 
 
-	/* Function: OnPrefixIndexLoaded
+	/* Function: UpdatePreview
+		Shows the <preview at Preview> for the keyboard selection, or hides it if there isn't one or it doesn't link to a
+		topic.  The data files it needs will be loaded if they aren't already.
 	*/
-	this.OnPrefixIndexLoaded = function (prefixes)
+	this.UpdatePreview = function ()
 		{
-		this.allPrefixes = prefixes;
-		this.allPrefixesStatus = $AllPrefixesStatus_Ready;
+		var href = undefined;
 
-		if (this.initialTimeoutStatus == $InitialTimeoutStatus_Finished)
-			{  this.Update();  }
-		};
+		if (this.keyboardSelectionIndex != -1)
+			{
+			var domSelectedEntry = document.getElementById("SeSelectedEntry");
 
+			if (domSelectedEntry != undefined)
+				{  href = domSelectedEntry.getAttribute("href");  }
+			}
 
-	/* Function: LoadPrefixData
-		Starts loading the prefix data file associated with the passed prefix if it isn't already loaded or in the process of loading.
-	*/
-	this.LoadPrefixData = function (prefix)
-		{
-		if (this.prefixObjects[prefix] == undefined)
+		// Parents, recent searches, and the more results entry use JavaScript links instead of hash paths.
+		if (href == undefined || href.charAt(0) != "#")
+			{
+			this.HidePreview();
+			return;
+			}
+
+		this.previewLocation = new NDLocation(href);
+
+		if (this.previewLocation.path != this.previewDataPath)
 			{
-			var prefixObject = [ ];
+			this.previewDataPath = this.previewLocation.path;
+			this.previewSummaryEntries = undefined;
+			this.previewToolTips = undefined;
 
-			prefixObject[$PrefixObject_Prefix] = prefix;
-			// prefixObject[$PrefixObject_KeywordObjects] = undefined;
-			prefixObject[$PrefixObject_Ready] = false;
-			prefixObject[$PrefixObject_DOMLoaderID] = "NDPrefixLoader_" + this.PrefixToHex(prefix);
+			if (this.previewTimeout != undefined)
+				{
+				clearTimeout(this.previewTimeout);
+				this.previewTimeout = undefined;
+				}
 
-			this.prefixObjects[prefix] = prefixObject;
+			// NDSummary already loads the data files for the current location and passes them along, so we only need to
+			// take them from it if it's done.
+			if (this.previewDataPath == NDFramePage.currentLocation.path)
+				{
+				this.previewSummaryEntries = NDSummary.summaryEntries;
+				this.previewToolTips = NDSummary.summaryToolTips;
+				}
+			else if (this.previewLocation.summaryFile != undefined)
+				{
+				var location = this.previewLocation;
 
-			NDCore.LoadJavaScript(this.PrefixToDataFile(prefix), prefixObject[$PrefixObject_DOMLoaderID]);
+				this.previewTimeout = setTimeout( function ()
+					{
+					NDSearch.previewTimeout = undefined;
+					NDSearch.LoadPreviewSummary(location);
+					}, $Preview_LoadDelay);
+				}
 			}
+
+		this.ShowPreview();
 		};
 
 
-	/* Function: OnPrefixDataLoaded
-		Called by the prefix data file when it has finished loading.
+	/* Function: LoadPreviewSummary
+		Starts loading the summary data file for the passed <NDLocation>.  The tooltips are loaded after it by
+		<OnPreviewSummaryLoaded()>.
 	*/
-	this.OnPrefixDataLoaded = function (prefix, commentTypes, keywordObjects)
+	this.LoadPreviewSummary = function (location)
 		{
-		var prefixObject = this.prefixObjects[prefix];
+		NDCore.RemoveScriptElement("NDSearchPreviewLoader");
 
-		// The data file might have been requested but then purged as no longer needed before it came in.  If that's the
-		// case then we can just discard the data.
-		if (prefixObject == undefined)
+		// The preview is optional so there's nothing to do if it fails.
+		NDCore.LoadJavaScriptData(location.summaryFile, "NDSearchPreviewLoader").catch( function () {  } );
+		};
+
+
+	/* Function: OnPreviewSummaryLoaded
+		Called by <NDSummary.OnSummaryLoaded()> whenever a summary data file is loaded, whether it was for the preview or
+		not.
+	*/
+	this.OnPreviewSummaryLoaded = function (hashPath, summaryEntries)
+		{
+		if (hashPath != this.previewDataPath || this.previewSummaryEntries != undefined)
 			{  return;  }
 
-		// Undo the data deduplication that was applied to the content.
-		for (var k = 0; k < keywordObjects.length; k++)
+		this.previewSummaryEntries = summaryEntries;
+
+		// NDSummary loads the tooltips itself for the current location.  It may have become the current location since we
+		// started loading it.
+		if (hashPath != NDFramePage.currentLocation.path)
 			{
-			var keywordObject = keywordObjects[k];
+			var location = new NDLocation(hashPath);
+
+			NDCore.RemoveScriptElement("NDSearchPreviewToolTipsLoader");
+			NDCore.LoadJavaScriptData(location.summaryTTFile, "NDSearchPreviewToolTipsLoader").catch( function () {  } );
+			}
+		};
 
-			if (keywordObject[$KeywordObject_SearchText] == undefined)
-				{  keywordObject[$KeywordObject_SearchText] = keywordObject[$KeywordObject_HTMLName].toLowerCase();  }
 
-			for (var m = 0; m < keywordObject[$KeywordObject_MemberObjects].length; m++)
-				{
-				var memberObject = keywordObject[$KeywordObject_MemberObjects][m];
+	/* Function: OnPreviewToolTipsLoaded
+		Called by <NDSummary.OnToolTipsLoaded()> whenever a summary tooltips data file is loaded, whether it was for the
+		preview or not.
+	*/
+	this.OnPreviewToolTipsLoaded = function (hashPath, summaryToolTips)
+		{
+		if (hashPath != this.previewDataPath)
+			{  return;  }
+
+		this.previewToolTips = summaryToolTips;
+		this.ShowPreview();
+		};
+
 
-				var commentTypeIndex = memberObject[$MemberObject_CommentType];
-				memberObject[$MemberObject_CommentType] = commentTypes[commentTypeIndex];
+	/* Function: ShowPreview
+		Shows the tooltip for <previewLocation> in <domPreview>.  It will be hidden instead if its data files aren't loaded yet
+		or it doesn't have a tooltip.
+	*/
+	this.ShowPreview = function ()
+		{
+		var toolTipHTML = undefined;
+
+		if (this.previewLocation != undefined &&
+			this.previewLocation.path == this.previewDataPath &&
+			this.previewSummaryEntries != undefined &&
+			this.previewToolTips != undefined)
+			{
+			for (var i = 0; i < this.previewSummaryEntries.length; i++)
+				{
+				var entry = this.previewSummaryEntries[i];
 
-				if (memberObject[$MemberObject_HTMLName] == undefined)
-					{  memberObject[$MemberObject_HTMLName] = keywordObject[$KeywordObject_HTMLName];  }
-				if (memberObject[$MemberObject_SearchText] == undefined)
-					{  memberObject[$MemberObject_SearchText] = memberObject[$MemberObject_HTMLName].toLowerCase();  }
+				if (entry[$SummaryEntry_Symbol] == this.previewLocation.member)
+					{
+					toolTipHTML = this.previewToolTips[ entry[$SummaryEntry_TopicID] ];
+					break;
+					}
 				}
 			}
 
-		prefixObject[$PrefixObject_KeywordObjects] = keywordObjects;
-		prefixObject[$PrefixObject_Ready] = true;
+		if (toolTipHTML == undefined)
+			{
+			this.domPreview.style.display = "none";
+			return;
+			}
 
-		// We don't need the loader anymore.
-		NDCore.RemoveScriptElement(prefixObject[$PrefixObject_DOMLoaderID]);
+		this.domPreview.innerHTML = toolTipHTML;
+		this.domPreview.style.display = "block";
+		this.PositionPreview();
+		};
 
-		//	Replace with this line to simulate latency:
-		// setTimeout("NDSearch.Update()", 3000);
-		this.Update();
+
+	/* Function: HidePreview
+		Hides <domPreview> and forgets <previewLocation>.  The data files that were loaded for it are kept in case the next
+		entry is in the same file.
+	*/
+	this.HidePreview = function ()
+		{
+		this.domPreview.style.display = "none";
+		this.previewLocation = undefined;
 		};
 
 
-	/* Function: RemoveUnusedPrefixObjects
-		Removes all entries from <prefixObjects> that are not in the passed prefix list.
+	/* Function: PositionPreview
+		Sizes and positions <domPreview> to the left of <domResults>.  It will be left invisible if there isn't enough room for it.
 	*/
-	this.RemoveUnusedPrefixObjects = function (usedPrefixes)
+	this.PositionPreview = function ()
 		{
-		if (usedPrefixes.length == 0)
+		this.domPreview.style.visibility = "hidden";
+
+
+		// First set the position to 0,0 and the width and height back to auto so it will be sized naturally to its content
+
+		this.domPreview.style.left = "0px";
+		this.domPreview.style.top = "0px";
+		this.domPreview.style.width = "auto";
+		this.domPreview.style.height = "auto";
+
+
+		// Figure out our desired upper right coordinates.  The results are aligned to the right side of the search field so
+		// there's only room on the left.
+
+		var urX = this.domResults.offsetLeft - $Preview_Spacing;
+		var urY = this.domResults.offsetTop;
+
+
+		// Figure out our maximum width/height so we don't go off the screen.
+
+		var maxWidth = urX - $Results_LeftSpacing;
+		var maxHeight = window.innerHeight - urY - $Results_BottomSpacing;
+
+		// Don't squeeze it in if there isn't enough room, such as with the mobile layout.  It stays display: block so
+		// PositionResults() will try again if the layout changes.
+		if (maxWidth < $Preview_MinWidth)
+			{  return;  }
+
+
+		// Resize
+
+		if (this.domPreview.offsetWidth > maxWidth)
+			{  this.domPreview.style.width = maxWidth + "px";  }
+
+		// Switch prototype styles if it's getting clipped.
+		var prototypes = this.domPreview.getElementsByClassName("NDPrototype");
+
+		if (prototypes.length > 0 && prototypes[0].classList.contains("WideForm") &&
+			prototypes[0].scrollWidth > prototypes[0].offsetWidth)
 			{
-			this.prefixObjects = { };
-			return;
+			NDCore.ChangePrototypeToNarrowForm(prototypes[0]);
 			}
 
-		for (var prefix in this.prefixObjects)
+		// We do this in a separate step because setting the width may have changed the height due to wrapping.
+		if (this.domPreview.offsetHeight > maxHeight)
+			{  this.domPreview.style.height = maxHeight + "px";  }
+
+
+		// Reposition
+
+		this.domPreview.style.left = (urX - this.domPreview.offsetWidth) + "px";
+		this.domPreview.style.top = urY + "px";
+
+		this.domPreview.style.visibility = "visible";
+		};
+
+
+
+	// Group: Worker Functions
+	// ________________________________________________________________________
+
+
+	/* Function: StartWorker
+		Starts <NDSearchWorker> in a web worker and sets <worker>.  If the browser doesn't allow it, <worker> will be left
+		undefined and <NDSearchWorker> will be used on the main thread instead.
+	*/
+	this.StartWorker = function ()
+		{
+		this.worker = undefined;
+
+		if (typeof Worker == "undefined")
+			{  return;  }
+
+		// NDSearchWorker.js is also linked to the frame page so it's there for the main thread, which lets us find its URL.
+		var domScripts = document.getElementsByTagName("script");
+		var workerURL = undefined;
+
+		for (var i = 0; i < domScripts.length; i++)
 			{
-			if (usedPrefixes.indexOf(prefix) == -1)
+			if (/\/NDSearchWorker\.js$/.test(domScripts[i].src))
 				{
-				// Set it to undefined instead of using delete so we don't potentially screw up the for..in iteration.
-				this.prefixObjects[prefix] = undefined;
+				workerURL = domScripts[i].src;
+				break;
 				}
 			}
+
+		if (workerURL == undefined)
+			{  return;  }
+
+		// Some browsers don't allow workers for pages opened from the local hard drive and throw an exception instead.
+		try
+			{  this.worker = new Worker(workerURL);  }
+		catch (exception)
+			{  return;  }
+
+		this.worker.addEventListener("message", this.workerMessageEventHandler);
+		this.worker.addEventListener("error", this.workerErrorEventHandler);
+
+		this.worker.postMessage({ action: "Start", baseURL: document.URL });
+		};
+
+
+	/* Function: PostToWorker
+		Sends one of <NDSearchWorker's messages at NDSearchWorker.Messages> to <worker>, or directly to <NDSearchWorker>
+		if it's running on the main thread.
+	*/
+	this.PostToWorker = function (message)
+		{
+		if (this.worker != undefined)
+			{  this.worker.postMessage(message);  }
+		else
+			{  NDSearchWorker.OnMessage(message);  }
+		};
+
+
+
+
+	// Group: Search Data Functions
+	// ________________________________________________________________________
+
+
+	/* Function: LoadPrefixIndex
+		Starts loading search/index.js if it isn't already loaded or in the process of loading.
+	*/
+	this.LoadPrefixIndex = function ()
+		{
+		if (this.allPrefixesStatus == $AllPrefixesStatus_NotLoaded)
+			{
+			this.allPrefixesStatus = $AllPrefixesStatus_Loading;
+
+			NDCore.LoadJavaScriptData("search/index.js").catch( function ()
+				{  NDSearch.OnPrefixIndexLoadFailed();  });
+			}
+		};
+
+
+	/* Function: OnPrefixIndexLoaded
+	*/
+	this.OnPrefixIndexLoaded = function (prefixes)
+		{
+		this.allPrefixes = prefixes;
+		this.allPrefixesStatus = $AllPrefixesStatus_Ready;
+
+		this.PostToWorker({ action: "SetPrefixIndex", prefixes: prefixes });
+
+		if (this.initialTimeoutStatus == $InitialTimeoutStatus_Finished)
+			{  this.Update();  }
+		};
+
+
+	/* Function: OnPrefixIndexLoadFailed
+		Called when search/index.js couldn't be loaded.
+	*/
+	this.OnPrefixIndexLoadFailed = function ()
+		{
+		this.allPrefixesStatus = $AllPrefixesStatus_Failed;
+
+		// Unlike OnPrefixIndexLoaded() we don't wait for the initial timeout since there's nothing left to load, and
+		// "Searching..." may already be showing.
+		this.Update();
+		};
+
+
+	/* Function: OnPrefixDataLoaded
+		Called by the prefix data file when <NDSearchWorker> loaded it on the main thread.  Passes it along to
+		<NDSearchWorker.OnPrefixDataLoaded()>.
+	*/
+	this.OnPrefixDataLoaded = function (prefix, commentTypes, languages, keywordObjects)
+		{
+		NDSearchWorker.OnPrefixDataLoaded(prefix, commentTypes, languages, keywordObjects);
 		};
 
 
+	/* Function: OnBodyPrefixIndexLoaded
+		Called by search/body/index.js when <NDSearchWorker> loaded it on the main thread.  Passes it along to
+		<NDSearchWorker.OnBodyPrefixIndexLoaded()>.
+	*/
+	this.OnBodyPrefixIndexLoaded = function (prefixes)
+		{
+		NDSearchWorker.OnBodyPrefixIndexLoaded(prefixes);
+		};
+
+
+	/* Function: OnBodyPrefixDataLoaded
+		Called by the body prefix data file when <NDSearchWorker> loaded it on the main thread.  Passes it along to
+		<NDSearchWorker.OnBodyPrefixDataLoaded()>.
+	*/
+	this.OnBodyPrefixDataLoaded = function (prefix, commentTypes, bodyTopicObjects)
+		{
+		NDSearchWorker.OnBodyPrefixDataLoaded(prefix, commentTypes, bodyTopicObjects);
+		};
+
+
+	/* Function: OnAbbreviationPrefixIndexLoaded
+		Called by search/abbreviations/index.js when <NDSearchWorker> loaded it on the main thread.  Passes it along to
+		<NDSearchWorker.OnAbbreviationPrefixIndexLoaded()>.
+	*/
+	this.OnAbbreviationPrefixIndexLoaded = function (prefixes)
+		{
+		NDSearchWorker.OnAbbreviationPrefixIndexLoaded(prefixes);
+		};
+
+
+	/* Function: OnAbbreviationPrefixDataLoaded
+		Called by the abbreviation prefix data file when <NDSearchWorker> loaded it on the main thread.  Passes it along to
+		<NDSearchWorker.OnAbbreviationPrefixDataLoaded()>.
+	*/
+	this.OnAbbreviationPrefixDataLoaded = function (prefix, commentTypes, languages, keywordObjects)
+		{
+		NDSearchWorker.OnAbbreviationPrefixDataLoaded(prefix, commentTypes, languages, keywordObjects);
+		};
+
 
 	// Group: DOM Elements
 	// ________________________________________________________________________
@@ -1398,6 +2616,11 @@ var NDSearch = new function ()
 		The SeContent section of <domResults>.
 	*/
 
+	/* var: domPreview
+		The DOM element which shows the <preview at Preview> of the keyboard selection.  If there's nothing to preview it
+		will exist but be set to display: none.
+	*/
+
 
 
 	// Group: Timers
@@ -1430,6 +2653,11 @@ var NDSearch = new function ()
 	$InitialTimeoutStatus_Waiting = 2;
 	$InitialTimeoutStatus_Finished = 3;
 
+	/* var: previewTimeout
+		A timeout to delay loading the <preview's at Preview> data files so moving the keyboard selection quickly doesn't
+		load a file for every entry it passes.
+	*/
+
 
 
 	// Group: Event Handler Variables
@@ -1443,10 +2671,22 @@ var NDSearch = new function ()
 		A bound function to call <OnSearchFieldKey()> with NDSearch always as "this".
 	*/
 
+	/* var: resultsClickEventHandler
+		A bound function to call <OnResultsClick()> with NDSearch always as "this".
+	*/
+
 	/* var: searchFieldChangeEventHandler
 		A bound function to call <OnSearchFieldChange()> with NDSearch always as "this".
 	*/
 
+	/* var: workerMessageEventHandler
+		A bound function to call <OnWorkerMessage()> with NDSearch always as "this".
+	*/
+
+	/* var: workerErrorEventHandler
+		A bound function to call <OnWorkerError()> with NDSearch always as "this".
+	*/
+
 
 
 	// Group: UI Variables
@@ -1464,8 +2704,19 @@ var NDSearch = new function ()
 	*/
 
 	/* var: openParents
-		An array of indexes for all the SeParents which are open, in no particular order.  These indexes are based on
-		<topLevelEntryCount>, not <visibleEntryCount>.
+		An array of keys for all the SeParents which are open, in no particular order.  These are the keys from
+		<NDSearchWorker.RankKeyword()>, or <NDSearchWorker.GetMemberGroup()> if <groupByClass> is set, rather than
+		indexes so they stay open if newly loaded data changes their position.
+	*/
+
+	/* var: topLevelEntryKeys
+		An array of the keys of all the top-level entries in the search results, in the order they appear.  This maps the
+		indexes passed to <ToggleParent()> to keys for <openParents>.
+	*/
+
+	/* var: visibleEntryKeys
+		An array of keys for all the visible entries in the search results, in the order they appear.  This is used to keep
+		<keyboardSelectionIndex> on the same entry when the results are rebuilt.
 	*/
 
 	/* var: keyboardSelectionIndex
@@ -1478,6 +2729,25 @@ var NDSearch = new function ()
 		upwards every time Load More is clicked.
 	*/
 
+	/* var: preferredCommentTypes
+		An array of comment type simple identifiers, such as "Class", which will be ranked higher in the results than
+		other comment types with the same relevance.
+	*/
+
+	/* var: groupByClass
+		Whether the results are grouped by the class or file of each member instead of by keyword.  It's stored in
+		window.localStorage with $GroupByClass_Key as the key so it applies across documentation sets.
+	*/
+
+	/* var: showingHistory
+		Whether the results are currently showing the <search history> from <BuildHistory()> instead of search results.
+	*/
+
+	/* var: toggledParent
+		Set by <ToggleParent()> to an object with key and opening properties so <OnParentToggled()> can be called once the
+		results are rebuilt.  It's undefined otherwise.
+	*/
+
 
 
 	// Group: Search Data Variables
@@ -1497,13 +2767,92 @@ var NDSearch = new function ()
 		$AllPrefixesStatus_NotLoaded - search/index.js has not been loaded yet, or even had it's script element added.
 		$AllPrefixesStatus_Loading - search/index.js has had a script element added but the data hasn't returned yet.
 		$AllPrefixesStatus_Ready - search/index.js has been loaded and <allPrefixes> is ready to use.
+		$AllPrefixesStatus_Failed - search/index.js couldn't be loaded.  <RetryLoading()> can try again.
 	*/
 	$AllPrefixesStatus_NotLoaded = 1;
 	$AllPrefixesStatus_Loading = 2;
 	$AllPrefixesStatus_Ready = 3;
+	$AllPrefixesStatus_Failed = 4;
+
+	/* var: bodySearch
+		Whether topic bodies are searched when there aren't many keyword results.  This defaults to true, but can be set
+		to false after <NDFramePage.Start()> to disable it.
+	*/
+
+	/* var: abbreviationSearch
+		Whether searches like "gsi" also find names with those initials, like "GetSearchInterpretations".  This defaults to true,
+		but can be set to false after <NDFramePage.Start()> to disable it.
+	*/
+
+	/* var: searchFilters
+
+		The filters that were included in the search text, as set by <GetSearchInterpretations()>.  This is an object with
+		these properties:
+
+		commentTypes - An array of lowercase comment type simple identifiers, or an empty array if it's not being filtered
+								 by comment type.
+		languages - An array of lowercase language simple identifiers, or an empty array if it's not being filtered by
+						   language.
+	*/
+
+	/* var: fuzzyMatching
+		Whether typo-tolerant matching is used when a search has no exact matches.  This defaults to true, but can be set
+		to false after <NDFramePage.Start()> to disable it.
+	*/
+
+
+
+	// Group: Worker Variables
+	// ________________________________________________________________________
+
+
+	/* var: worker
+		The web worker running <NDSearchWorker>, or undefined if it's being run on the main thread instead.
+	*/
+
+	/* var: requestID
+		A number which is incremented every time the results change so <OnSearchResults()> can ignore results for older
+		requests.
+	*/
+
+
+
+	// Group: Preview Variables
+	// ________________________________________________________________________
+
+
+	/* var: previewLocation
+		The <NDLocation> of the entry being previewed, or undefined if there isn't one.
+	*/
+
+	/* var: previewDataPath
+		The hash path of the file or class <previewSummaryEntries> and <previewToolTips> are for.  It stays set after the
+		preview is hidden so they can be reused.
+	*/
+
+	/* var: previewSummaryEntries
+		The summary entries for <previewDataPath>, or undefined if they haven't been loaded yet.
+	*/
+
+	/* var: previewToolTips
+		A hash mapping topic IDs to tooltip HTML for <previewDataPath>, or undefined if they haven't been loaded yet.
+	*/
+
+
+
+	// Group: History Variables
+	// ________________________________________________________________________
+
+
+	/* var: recentSearches
+		An array of the most recent search strings that led to a result being opened, with the most recent first.  It will
+		be undefined until <LoadHistory()> is called.  See <Search History>.
+	*/
 
-	/* var: prefixObjects
-		A hash mapping prefixes to prefix data objects.
+	/* var: recentTopics
+		An array of the most recently opened search results, with the most recent first.  Each one is an array with
+		$RecentTopic_Name, $RecentTopic_HashPath, and $RecentTopic_CommentType members.  The name is plain text
+		rather than HTML.  It will be undefined until <LoadHistory()> is called.  See <Search History>.
 	*/
 
 	};
@@ -0,0 +1,2081 @@
+﻿/*
+	Include in output:
+
+	This file is part of Natural Docs, which is Copyright © 2003-2025 Code Clear LLC.
+	Natural Docs is licensed under version 3 of the GNU Affero General Public
+	License (AGPL).  Refer to License.txt or www.naturaldocs.org for the
+	complete details.
+
+	This file may be distributed with documentation files generated by Natural Docs.
+	Such documentation is not covered by Natural Docs' copyright and licensing,
+	and may have its own copyright and distribution terms as decided by its author.
+*/
+
+
+$PrefixObject_Prefix = 0;
+$PrefixObject_KeywordObjects = 1;
+$PrefixObject_Ready = 2;
+$PrefixObject_DOMLoaderID = 3;
+$PrefixObject_BodyTopicObjects = 1;  // Replaces KeywordObjects in body prefix objects
+$PrefixObject_Failed = 4;
+
+$KeywordObject_HTMLName = 0;
+$KeywordObject_SearchText = 1;
+$KeywordObject_MemberObjects = 2;
+$KeywordObject_Abbreviation = 3;  // Only in abbreviation prefix objects
+
+$MemberObject_HTMLQualifier = 0;
+$MemberObject_HTMLName = 1;
+$MemberObject_HTMLLanguageName = 2;
+$MemberObject_SearchText = 3;
+$MemberObject_CommentType = 4;
+$MemberObject_FileHashPath = 5;
+$MemberObject_ClassHashPath = 6;
+$MemberObject_Language = 7;
+
+$BodyTopicObject_HTMLName = 0;
+$BodyTopicObject_CommentType = 1;
+$BodyTopicObject_Words = 2;
+$BodyTopicObject_HTMLSnippet = 3;
+$BodyTopicObject_FileHashPath = 4;
+$BodyTopicObject_ClassHashPath = 5;
+
+$MaxAutoExpand = 10;
+
+$FuzzyMatch_MinLength = 4;
+$FuzzyMatch_LongLength = 8;
+$FuzzyMatch_MaxNeighborPrefixes = 8;
+
+$BodySearch_MinWordLength = 3;
+$BodySearch_KeywordThreshold = 10;
+$BodySearch_MaxResults = 20;
+
+$AbbreviationSearch_MinLength = 2;
+
+$Score_ExactMatch = 300;
+$Score_PrefixMatch = 200;
+$Score_SubstringMatch = 100;
+$Score_AbbreviationMatch = 250;
+$Score_AbbreviationPrefixMatch = 150;
+$Score_CurrentLocation = 20;
+$Score_PreferredCommentType = 10;
+
+// DEPENDENCY: These must match NDCore's data file loading constants.
+$DataFile_Timeout = 15000;
+$DataFile_Retries = 2;
+$DataFile_RetryDelay = 1000;
+
+
+"use strict";
+
+
+/* Class: NDSearchWorker
+	___________________________________________________________________________
+
+	Stores the search data and finds the results for <NDSearch>, which only has to build the HTML for them and handle
+	the keyboard.  It runs in a web worker whenever the browser allows it so that ranking thousands of keywords doesn't
+	stall typing in the search field.  If it can't, such as when some browsers open the documentation from a local hard
+	drive, NDSearch uses it directly on the main thread instead.  It works the same way either way: NDSearch sends it
+	<messages> and gets back <search results>.
+
+	The search data files call functions like NDSearch.OnPrefixDataLoaded().  In a web worker NDSearch is just another
+	name for NDSearchWorker, and on the main thread NDSearch passes the calls along to it.
+
+
+	Topic: Messages
+
+		Messages are objects with an action property and sometimes more data.  They're sent with <OnMessage()>.
+
+		{ action: "Start", baseURL } - Sets <baseURL>.  This is only sent when it's running in a web worker.
+		{ action: "SetPrefixIndex", prefixes } - Sets <allPrefixes>.  NDSearch loads search/index.js itself since it needs it
+																 to decide when to search.
+		{ action: "Search", request } - Finds the results for a <search request>.  If it needs to load more data it will post
+													 results again each time some comes in.
+		{ action: "Clear" } - Forgets the current request and discards all the prefix data it loaded for it.
+		{ action: "Retry" } - Forgets which data files couldn't be loaded so they'll be tried again when they're needed.
+
+		It posts <search results> back.  When it's running in a web worker it may also post { action: "LoadFailed" } if it
+		couldn't load a data file with fetch(), which some browsers don't allow for pages opened from the local hard drive.
+		NDSearch will stop the worker and use NDSearchWorker on the main thread instead, which loads them with script
+		elements.
+
+
+	Topic: Search Requests
+
+		A search request is an object with these properties:
+
+		id - A number identifying the request which will be returned with its results.
+		interpretations - The array from <NDSearch.GetSearchInterpretations()>.
+		prefixes - The array from <NDSearch.GetMatchingPrefixes()>.
+		searchFilters - <NDSearch.searchFilters>.
+		openParents - <NDSearch.openParents>.
+		moreResultsThreshold - <NDSearch.moreResultsThreshold>.
+		preferredCommentTypes - <NDSearch.preferredCommentTypes>.
+		locationPath - The hash path of the page being viewed, or undefined if there isn't one.
+		fuzzyMatching - <NDSearch.fuzzyMatching>.
+		bodySearch - <NDSearch.bodySearch>.
+		abbreviationSearch - <NDSearch.abbreviationSearch>.
+		groupByClass - <NDSearch.groupByClass>.
+
+
+	Topic: Search Results
+
+		Search results are objects made of plain data so they can be posted between threads.  They have these properties:
+
+		id - The ID of the <search request> they're for.
+		interpretations - The interpretations of the search request, for highlighting.
+		keywords - An array of keyword results, in the order they should appear.  It will be empty if the request's
+						groupByClass was set.
+		groups - An array of group results, in the order they should appear.  It will be empty unless the request's
+					  groupByClass was set.
+		moreResults - Whether there are more keyword results that weren't loaded because there were already more than
+							  the request's moreResultsThreshold.
+		bodyTopics - An array of body topic results, in the order they should appear.
+		bodySearchWords - The words from <GetBodySearchWords()>, for highlighting.
+		filterChoices - An object with commentTypes and languages arrays for <NDSearch.BuildSearchFilters()>.
+		fuzzyMatchingActive - Whether the keywords were matched with <FuzzyMatches()>.
+		searching - Whether more data is being loaded.
+		loadFailed - Whether some of the data couldn't be loaded, so the results may be incomplete.
+
+		Keyword results have these properties:
+
+		key - The key from <RankKeyword()>.
+		htmlName - The keyword's name in HTML.
+		isSingleEntry - Whether it should be built as a single entry instead of a parent.
+		open - Whether it's a parent that should be expanded.
+		memberCount - The number of members that matched.
+		members - An array of member results if it's a single entry or an open parent, or undefined otherwise.
+		abbreviationSearchText - The search text it matched as an abbreviation, or undefined if it didn't.
+
+		Group results have these properties:
+
+		key - The key from <GetMemberGroup()>.
+		htmlName - The group's name in HTML.
+		open - Whether it should be expanded.
+		memberCount - The number of members in it.
+		members - An array of member results if it's open, or undefined otherwise.
+
+		Member results have htmlName, htmlQualifier, htmlLanguageName, commentType, fileHashPath, and classHashPath
+		properties taken from the member object.  htmlQualifier, htmlLanguageName, and classHashPath may be undefined.
+		htmlQualifier will also be undefined for members of class groups since it would just repeat the group's name.  Members
+		of groups also have the abbreviationSearchText of the keyword they came from, since they may come from more than one.
+
+		Body topic results have htmlName, htmlSnippet, commentType, fileHashPath, and classHashPath properties taken from
+		the body topic object.  classHashPath may be undefined.
+
+*/
+var NDSearchWorker = new function ()
+	{
+
+	// Group: Message Functions
+	// ________________________________________________________________________
+
+
+	/* Function: OnMessage
+		Handles one of the <messages> from <NDSearch>.
+	*/
+	this.OnMessage = function (message)
+		{
+		if (message.action == "Start")
+			{  this.baseURL = message.baseURL;  }
+		else if (message.action == "SetPrefixIndex")
+			{  this.allPrefixes = message.prefixes;  }
+		else if (message.action == "Search")
+			{
+			this.request = message.request;
+			this.Update();
+			}
+		else if (message.action == "Clear")
+			{  this.Clear();  }
+		else if (message.action == "Retry")
+			{  this.Retry();  }
+		};
+
+
+	/* Function: Update
+		Finds the results for <request> with what's loaded and posts them.  If it needs more data it starts loading it, and
+		this will be called again when it comes in.
+	*/
+	this.Update = function ()
+		{
+		// This may be called by data loaders after the request was cleared so we have to check.
+		if (this.request == undefined)
+			{  return;  }
+
+		var searchInterpretations = this.request.interpretations;
+		var searchInterpretationPrefixes = this.request.prefixes;
+
+		this.fuzzyMatchingActive = false;
+
+		// If there are no exact matches, either because there's no data file for the prefix or because everything was loaded
+		// and nothing matched, fall back to fuzzy matching.  We don't do this when the result is undefined because that means
+		// we still have to load more data to find out.
+		if (this.request.fuzzyMatching &&
+			(searchInterpretationPrefixes.length == 0 ||
+			 this.TotalMatchesGreaterThan(searchInterpretations, searchInterpretationPrefixes, 0) === false))
+			{
+			var fuzzyPrefixes = this.GetFuzzyPrefixes(searchInterpretations, searchInterpretationPrefixes);
+
+			if (fuzzyPrefixes.length > 0)
+				{
+				this.fuzzyMatchingActive = true;
+				searchInterpretationPrefixes = fuzzyPrefixes;
+				}
+			}
+
+		this.RemoveUnusedPrefixObjects(searchInterpretationPrefixes);
+
+		// Don't fonce expansion if it returns undefined because more needs to be loaded.
+		var forceExpansion = (this.TotalMatchesGreaterThan(searchInterpretations, searchInterpretationPrefixes, $MaxAutoExpand) === false);
+
+		var results = this.FindResults(searchInterpretations, searchInterpretationPrefixes, forceExpansion);
+
+		this.PostResults(results);
+
+		if (results.prefixDataToLoad != undefined)
+			{  this.LoadPrefixData(results.prefixDataToLoad);  }
+		else if (results.abbreviationPrefixIndexToLoad)
+			{  this.LoadAbbreviationPrefixIndex();  }
+		else if (results.abbreviationPrefixDataToLoad != undefined)
+			{  this.LoadAbbreviationPrefixData(results.abbreviationPrefixDataToLoad);  }
+		else if (results.bodyPrefixIndexToLoad)
+			{  this.LoadBodyPrefixIndex();  }
+		else if (results.bodyPrefixDataToLoad != undefined)
+			{  this.LoadBodyPrefixData(results.bodyPrefixDataToLoad);  }
+		};
+
+
+	/* Function: Clear
+		Forgets <request> and discards all the prefix data that was loaded for it.
+	*/
+	this.Clear = function ()
+		{
+		this.request = undefined;
+
+		this.prefixObjects = { };
+		this.bodyPrefixObjects = { };
+		this.abbreviationPrefixObjects = { };
+		};
+
+
+	/* Function: Retry
+		Forgets which data files couldn't be loaded so they'll be requested again the next time they're needed.
+	*/
+	this.Retry = function ()
+		{
+		if (this.allBodyPrefixesStatus == $AllPrefixesStatus_Failed)
+			{  this.allBodyPrefixesStatus = $AllPrefixesStatus_NotLoaded;  }
+		if (this.allAbbreviationPrefixesStatus == $AllPrefixesStatus_Failed)
+			{  this.allAbbreviationPrefixesStatus = $AllPrefixesStatus_NotLoaded;  }
+
+		this.RemoveFailedPrefixObjects(this.prefixObjects);
+		this.RemoveFailedPrefixObjects(this.bodyPrefixObjects);
+		this.RemoveFailedPrefixObjects(this.abbreviationPrefixObjects);
+		};
+
+
+	/* Function: PostResults
+		Sends the passed <search results> for <request> to <NDSearch.OnSearchResults()>.
+	*/
+	this.PostResults = function (results)
+		{
+		results.id = this.request.id;
+		results.interpretations = this.request.interpretations;
+
+		if (this.runningInWorker)
+			{  self.postMessage(results);  }
+		else
+			{  NDSearch.OnSearchResults(results);  }
+		};
+
+
+
+	// Group: Search Functions
+	// ________________________________________________________________________
+
+
+	/* Function: GetFuzzyPrefixes
+
+		Returns an array of prefixes from <allPrefixes> to use for fuzzy matching the passed search text array.  This will be
+		the exact matching prefixes, which should be passed to it since they were already calculated, followed by neighboring
+		prefixes that are within one edit of the search text's.  The neighbors are ordered by how many leading characters they
+		share with it since typos are less likely at the beginning of a word, and are limited to $FuzzyMatch_MaxNeighborPrefixes.
+
+		Search text shorter than $FuzzyMatch_MinLength does not get neighboring prefixes because there would be too many
+		false positives.
+	*/
+	this.GetFuzzyPrefixes = function (searchTextArray, matchingPrefixes)
+		{
+		var fuzzyPrefixes = matchingPrefixes.slice();
+
+		if (this.allPrefixes == undefined)
+			{  return fuzzyPrefixes;  }
+
+		var neighbors = [ ];
+		var sharedCharacterCounts = { };
+
+		for (var i = 0; i < searchTextArray.length; i++)
+			{
+			var searchText = searchTextArray[i];
+
+			if (searchText.length < $FuzzyMatch_MinLength)
+				{  continue;  }
+
+			var searchPrefix = this.MakePrefix(searchText);
+
+			if (searchPrefix == undefined || searchPrefix.length < 3)
+				{  continue;  }
+
+			for (var p = 0; p < this.allPrefixes.length; p++)
+				{
+				var prefix = this.allPrefixes[p];
+
+				if (fuzzyPrefixes.indexOf(prefix) == -1 &&
+					neighbors.indexOf(prefix) == -1 &&
+					this.GetEditDistance(searchPrefix, prefix, false) <= 1)
+					{
+					var sharedCharacters = 0;
+
+					while (sharedCharacters < prefix.length &&
+							 prefix.charAt(sharedCharacters) == searchPrefix.charAt(sharedCharacters))
+						{  sharedCharacters++;  }
+
+					neighbors.push(prefix);
+					sharedCharacterCounts[prefix] = sharedCharacters;
+					}
+				}
+			}
+
+		neighbors.sort(
+			function (a, b)
+				{
+				if (sharedCharacterCounts[a] != sharedCharacterCounts[b])
+					{  return sharedCharacterCounts[b] - sharedCharacterCounts[a];  }
+				else if (a < b)
+					{  return -1;  }
+				else if (a > b)
+					{  return 1;  }
+				else
+					{  return 0;  }
+				}
+			);
+
+		for (var i = 0; i < neighbors.length && i < $FuzzyMatch_MaxNeighborPrefixes; i++)
+			{  fuzzyPrefixes.push(neighbors[i]);  }
+
+		return fuzzyPrefixes;
+		};
+
+
+	/* Function: KeywordMatchesInterpretations
+		Returns whether the keyword matches any of the passed interpretations.
+	*/
+	this.KeywordMatchesInterpretations = function (keywordObject, interpretations)
+		{
+		for (var i = 0; i < interpretations.length; i++)
+			{
+			var interpretation = interpretations[i];
+
+			if (this.fuzzyMatchingActive)
+				{
+				if (this.FuzzyMatches(keywordObject[$KeywordObject_SearchText], interpretation) ||
+					this.FuzzyMatches(interpretation, keywordObject[$KeywordObject_SearchText]))
+					{  return true;  }
+				else
+					{  continue;  }
+				}
+
+			// Searching for "acc" in keyword "Access"...
+			if (interpretation.length <= keywordObject[$KeywordObject_SearchText].length)
+				{
+				if (keywordObject[$KeywordObject_SearchText].indexOf(interpretation) != -1)
+					{  return true;  }
+				}
+
+			// Reverse it to search for "access levels" under keyword "Access"...
+			else
+				{
+				if (interpretation.indexOf(keywordObject[$KeywordObject_SearchText]) != -1)
+					{  return true;  }
+				}
+			}
+
+		return false;
+		};
+
+
+	/* Function: MemberMatchesInterpretations
+		Returns whether the keyword member matches any of the passed interpretations and all of the request's searchFilters.  If
+		ignoreFilters is set it will only check the interpretations.
+	*/
+	this.MemberMatchesInterpretations = function (memberObject, interpretations, ignoreFilters)
+		{
+		if (!ignoreFilters && !this.MemberMatchesSearchFilters(memberObject))
+			{  return false;  }
+
+		for (var i = 0; i < interpretations.length; i++)
+			{
+			var interpretation = interpretations[i];
+
+			if (memberObject[$MemberObject_SearchText].indexOf(interpretation) != -1)
+				{  return true;  }
+
+			if (this.fuzzyMatchingActive &&
+				this.FuzzyMatches(memberObject[$MemberObject_SearchText], interpretation))
+				{  return true;  }
+			}
+
+		return false;
+		};
+
+
+	/* Function: MemberMatchesSearchFilters
+		Returns whether the keyword member matches the request's searchFilters.  If a filter has more than one value it only has to
+		match one of them.
+	*/
+	this.MemberMatchesSearchFilters = function (memberObject)
+		{
+		if (this.request.searchFilters.commentTypes.length > 0 &&
+			this.request.searchFilters.commentTypes.indexOf(memberObject[$MemberObject_CommentType].toLowerCase()) == -1)
+			{  return false;  }
+
+		if (this.request.searchFilters.languages.length > 0 &&
+			this.request.searchFilters.languages.indexOf(memberObject[$MemberObject_Language].toLowerCase()) == -1)
+			{  return false;  }
+
+		return true;
+		};
+
+
+	/* Function: FuzzyMatches
+
+		Returns whether the pattern appears anywhere in the text while allowing for typos.  Patterns shorter than
+		$FuzzyMatch_MinLength must match exactly.  Otherwise it allows one insertion, deletion, substitution, or transposition,
+		or two if the pattern is at least $FuzzyMatch_LongLength characters long.  This means "recieve" will match "receive"
+		and "getusr" will match "getuser".
+	*/
+	this.FuzzyMatches = function (text, pattern)
+		{
+		if (text.indexOf(pattern) != -1)
+			{  return true;  }
+
+		if (pattern.length < $FuzzyMatch_MinLength)
+			{  return false;  }
+
+		var maxDistance = (pattern.length >= $FuzzyMatch_LongLength ? 2 : 1);
+
+		return (this.GetEditDistance(pattern, text, true) <= maxDistance);
+		};
+
+
+	/* Function: GetEditDistance
+
+		Returns the number of insertions, deletions, substitutions, and transpositions of adjacent characters it would take to
+		turn the pattern into the text.  This is the optimal string alignment variant of the Damerau-Levenshtein distance.
+
+		If anywhereInText is set it returns the distance to the closest substring of the text instead of the entire text, so
+		"recieve" and "onreceivedata" will have a distance of one.
+	*/
+	this.GetEditDistance = function (pattern, text, anywhereInText)
+		{
+		// Each row holds the distances between the pattern up to a certain length and the text up to each length.  We only
+		// need to keep the last two for transpositions.  If we're searching anywhere in the text, the first row is all zeroes
+		// since the match can start at any point without cost.
+
+		var previousPreviousRow = undefined;
+		var previousRow = [ ];
+
+		for (var t = 0; t <= text.length; t++)
+			{  previousRow[t] = (anywhereInText ? 0 : t);  }
+
+		for (var p = 1; p <= pattern.length; p++)
+			{
+			var row = [ p ];
+			var patternChar = pattern.charAt(p - 1);
+
+			for (var t = 1; t <= text.length; t++)
+				{
+				var textChar = text.charAt(t - 1);
+
+				var distance = Math.min(previousRow[t] + 1,  // deletion
+												  row[t - 1] + 1,  // insertion
+												  previousRow[t - 1] + (patternChar == textChar ? 0 : 1));  // substitution
+
+				if (p > 1 && t > 1 &&
+					patternChar == text.charAt(t - 2) &&
+					pattern.charAt(p - 2) == textChar)
+					{
+					distance = Math.min(distance, previousPreviousRow[t - 2] + 1);  // transposition
+					}
+
+				row[t] = distance;
+				}
+
+			previousPreviousRow = previousRow;
+			previousRow = row;
+			}
+
+		if (anywhereInText)
+			{  return Math.min.apply(Math, previousRow);  }
+		else
+			{  return previousRow[text.length];  }
+		};
+
+
+	/* Function: RankKeyword
+
+		Determines which of the keyword's members match the passed interpretations and scores them by relevance.  Returns
+		undefined if none of them match.  Otherwise it returns an object with these properties:
+
+		keywordObject - The keyword object.
+		memberObjects - An array of only the matching member objects, sorted by their scores.
+		score - The keyword's score, which is the highest of its own and its members' scores.
+		key - A string which identifies it in <NDSearch.openParents>, <NDSearch.topLevelEntryKeys>, and
+			   <NDSearch.visibleEntryKeys>.
+		isSingleEntry - Whether it should be built as a single entry instead of a parent.
+	*/
+	this.RankKeyword = function (keywordObject, interpretations)
+		{
+		if (this.KeywordMatchesInterpretations(keywordObject, interpretations) == false)
+			{  return undefined;  }
+
+		var keywordSearchText = keywordObject[$KeywordObject_SearchText];
+		var memberObjects = keywordObject[$KeywordObject_MemberObjects];
+		var rankedMembers = [ ];
+
+		for (var i = 0; i < memberObjects.length; i++)
+			{
+			if (this.MemberMatchesInterpretations(memberObjects[i], interpretations))
+				{
+				rankedMembers.push({
+					memberObject: memberObjects[i],
+					score: this.GetMemberScore(memberObjects[i], interpretations),
+					order: i
+					});
+				}
+			}
+
+		if (rankedMembers.length == 0)
+			{  return undefined;  }
+
+		rankedMembers.sort(this.CompareRankedObjects);
+
+		var rankedKeyword = {
+			keywordObject: keywordObject,
+			memberObjects: [ ],
+			score: this.GetTextScore(keywordSearchText, interpretations),
+			key: keywordSearchText,
+			isSingleEntry: (rankedMembers.length == 1 &&
+									rankedMembers[0].memberObject[$MemberObject_SearchText] == keywordSearchText)
+			};
+
+		for (var i = 0; i < rankedMembers.length; i++)
+			{
+			rankedKeyword.memberObjects.push(rankedMembers[i].memberObject);
+
+			if (rankedMembers[i].score > rankedKeyword.score)
+				{  rankedKeyword.score = rankedMembers[i].score;  }
+			}
+
+		return rankedKeyword;
+		};
+
+
+	/* Function: GetMemberScore
+
+		Returns the relevance score of a member object that matches the passed interpretations.  It starts with
+		<GetTextScore()> of either its full search text or just its name, whichever is higher, so searching for "update"
+		treats "NDSearch.Update" as an exact match.  Then it adds $Score_CurrentLocation if it's in the file or class
+		being viewed and $Score_PreferredCommentType if its comment type is in the request's preferredCommentTypes.
+	*/
+	this.GetMemberScore = function (memberObject, interpretations)
+		{
+		var searchText = memberObject[$MemberObject_SearchText];
+		var score = this.GetTextScore(searchText, interpretations);
+
+		var nameIndex = Math.max(searchText.lastIndexOf("."), searchText.lastIndexOf("/")) + 1;
+
+		if (nameIndex > 0)
+			{
+			var nameScore = this.GetTextScore(searchText.substring(nameIndex), interpretations);
+
+			if (nameScore > score)
+				{  score = nameScore;  }
+			}
+
+		var locationPath = this.request.locationPath;
+
+		if (locationPath != undefined)
+			{
+			var fileHashPath = memberObject[$MemberObject_FileHashPath];
+			var classHashPath = memberObject[$MemberObject_ClassHashPath];
+
+			if (fileHashPath == locationPath || fileHashPath.startsWith(locationPath + ":") ||
+				(classHashPath != undefined && (classHashPath == locationPath || classHashPath.startsWith(locationPath + ":"))))
+				{  score += $Score_CurrentLocation;  }
+			}
+
+		if (this.request.preferredCommentTypes.indexOf(memberObject[$MemberObject_CommentType]) != -1)
+			{  score += $Score_PreferredCommentType;  }
+
+		return score;
+		};
+
+
+	/* Function: GetTextScore
+
+		Returns how closely the passed search text matches the interpretations, using the best one if there's more than
+		one.  It will be $Score_ExactMatch, $Score_PrefixMatch, $Score_SubstringMatch, or zero if it only matched in
+		reverse or with <FuzzyMatches()>.
+	*/
+	this.GetTextScore = function (searchText, interpretations)
+		{
+		var score = 0;
+
+		for (var i = 0; i < interpretations.length; i++)
+			{
+			var interpretation = interpretations[i];
+
+			if (searchText == interpretation)
+				{  return $Score_ExactMatch;  }
+			else if (searchText.startsWith(interpretation))
+				{  score = Math.max(score, $Score_PrefixMatch);  }
+			else if (searchText.indexOf(interpretation) != -1)
+				{  score = Math.max(score, $Score_SubstringMatch);  }
+			}
+
+		return score;
+		};
+
+
+	/* Function: CompareRankedObjects
+		A sort function for objects with score and order properties, such as the ones created by <RankKeyword()>.  Higher
+		scores come first, and objects with the same score stay in their original order.
+	*/
+	this.CompareRankedObjects = function (a, b)
+		{
+		if (a.score != b.score)
+			{  return b.score - a.score;  }
+		else
+			{  return a.order - b.order;  }
+		};
+
+
+	/* Function: TotalMatchesGreaterThan
+
+		Returns whether the total number of entries that match the search interpretations is greater than the
+		passed maximum.  It will return true or false, or undefined if more data needs to be loaded in order
+		to find out or some of it couldn't be loaded.
+	*/
+	this.TotalMatchesGreaterThan = function (searchInterpretations, searchInterpretationPrefixes, maximum)
+		{
+		var totalMatches = 0;
+
+		for (var p = 0; p < searchInterpretationPrefixes.length; p++)
+			{
+			var prefix = searchInterpretationPrefixes[p];
+
+			// We can't know the total if a prefix couldn't be loaded.  Returning false would make it fall back to fuzzy
+			// matching as if there were no exact matches.
+			if (this.prefixObjects[prefix] == undefined ||
+				this.prefixObjects[prefix][$PrefixObject_Failed] ||
+				this.prefixObjects[prefix][$PrefixObject_Ready] == false)
+				{
+				return undefined;
+				}
+
+			var keywordObjects = this.prefixObjects[prefix][$PrefixObject_KeywordObjects];
+
+			for (var k = 0; k < keywordObjects.length; k++)
+				{
+				var keywordObject = keywordObjects[k];
+
+				if (this.KeywordMatchesInterpretations(keywordObject, searchInterpretations))
+					{
+					var memberObjects = keywordObject[$KeywordObject_MemberObjects];
+
+					for (var m = 0; m < memberObjects.length; m++)
+						{
+						var memberObject = memberObjects[m];
+
+						if (this.MemberMatchesInterpretations(memberObject, searchInterpretations))
+							{
+							totalMatches++;
+
+							if (totalMatches > maximum)
+								{  return true;  }
+							}
+						}
+					}
+
+				}  // keywordObjects
+			}  // searchInterpretationPrefixes
+
+		return false;
+		};
+
+
+	/* Function: GetBodySearchWords
+		Returns an array of the individual words in the passed search interpretations that can be looked up in the topic
+		bodies.  Words shorter than $BodySearch_MinWordLength are left out because the body data files don't include them.
+		It may return an empty array.
+	*/
+	this.GetBodySearchWords = function (searchInterpretations)
+		{
+		var words = [ ];
+
+		if (searchInterpretations.length == 0)
+			{  return words;  }
+
+		// DEPENDENCY: This must match what's considered a word in Engine.SearchIndex.Entries.BodyText.
+		var splitText = searchInterpretations[0].split(/[\s!-\/:-@\[-\^`{-~]+/);
+
+		for (var i = 0; i < splitText.length; i++)
+			{
+			if (splitText[i].length >= $BodySearch_MinWordLength && words.indexOf(splitText[i]) == -1)
+				{  words.push(splitText[i]);  }
+			}
+
+		return words;
+		};
+
+
+	/* Function: GetBodyPrimaryWord
+		Returns which of the words from <GetBodySearchWords()> should be used to choose the body prefix data file.  This
+		is the longest one since it is the least likely to be a common word that wasn't indexed.
+	*/
+	this.GetBodyPrimaryWord = function (bodySearchWords)
+		{
+		var primaryWord = bodySearchWords[0];
+
+		for (var i = 1; i < bodySearchWords.length; i++)
+			{
+			if (bodySearchWords[i].length > primaryWord.length)
+				{  primaryWord = bodySearchWords[i];  }
+			}
+
+		return primaryWord;
+		};
+
+
+	/* Function: BodyTopicMatchesWords
+		Returns whether the body topic object matches all of the search words.  The primary word must match the start of
+		one of the topic's indexed words.  Since the data files only include the words for their own prefix, the others are
+		only matched against the snippet.
+	*/
+	this.BodyTopicMatchesWords = function (bodyTopicObject, bodySearchWords, primaryWord)
+		{
+		var words = bodyTopicObject[$BodyTopicObject_Words];
+		var foundPrimaryWord = false;
+
+		for (var w = 0; w < words.length; w++)
+			{
+			if (words[w].startsWith(primaryWord))
+				{
+				foundPrimaryWord = true;
+				break;
+				}
+			}
+
+		if (!foundPrimaryWord)
+			{  return false;  }
+
+		if (bodySearchWords.length > 1)
+			{
+			var snippet = bodyTopicObject[$BodyTopicObject_HTMLSnippet].EntityDecode().toLowerCase();
+
+			for (var i = 0; i < bodySearchWords.length; i++)
+				{
+				if (bodySearchWords[i] != primaryWord && snippet.indexOf(bodySearchWords[i]) == -1)
+					{  return false;  }
+				}
+			}
+
+		if (this.request.searchFilters.languages.length > 0)
+			{
+			// Body data files don't store the language so we can't tell whether they would pass the filter.
+			return false;
+			}
+
+		if (this.request.searchFilters.commentTypes.length > 0 &&
+			this.request.searchFilters.commentTypes.indexOf(bodyTopicObject[$BodyTopicObject_CommentType].toLowerCase()) == -1)
+			{  return false;  }
+
+		return true;
+		};
+
+
+	/* Function: GetAbbreviationSearchText
+		Returns the search text if it could be an abbreviation like "gsi" for "GetSearchInterpretations", or undefined if it can't or
+		the request's abbreviationSearch is off.  It must be at least $AbbreviationSearch_MinLength characters and only contain letters and
+		digits.
+	*/
+	this.GetAbbreviationSearchText = function (searchInterpretations)
+		{
+		if (!this.request.abbreviationSearch || searchInterpretations.length == 0)
+			{  return undefined;  }
+
+		var searchText = searchInterpretations[0];
+
+		if (searchText.length >= $AbbreviationSearch_MinLength && /^[a-z0-9]+$/.test(searchText))
+			{  return searchText;  }
+		else
+			{  return undefined;  }
+		};
+
+
+	/* Function: RankAbbreviationKeyword
+
+		Determines which of the members of a keyword object from an abbreviation prefix match the request's searchFilters and scores
+		them if its abbreviation starts with the passed search text.  Returns undefined if it doesn't match or none of them pass
+		the filters.  Otherwise it returns an object with the same properties as <RankKeyword()> plus abbreviationSearchText.
+
+		The score starts at $Score_AbbreviationMatch if the abbreviation matches exactly or $Score_AbbreviationPrefixMatch if
+		it only starts with it.  Members get the same location and comment type bonuses as <GetMemberScore()>.
+	*/
+	this.RankAbbreviationKeyword = function (keywordObject, abbreviationSearchText)
+		{
+		var abbreviation = keywordObject[$KeywordObject_Abbreviation];
+
+		if (!abbreviation.startsWith(abbreviationSearchText))
+			{  return undefined;  }
+
+		var keywordSearchText = keywordObject[$KeywordObject_SearchText];
+		var memberObjects = keywordObject[$KeywordObject_MemberObjects];
+		var textScore = (abbreviation == abbreviationSearchText ? $Score_AbbreviationMatch : $Score_AbbreviationPrefixMatch);
+		var rankedMembers = [ ];
+
+		for (var i = 0; i < memberObjects.length; i++)
+			{
+			if (this.MemberMatchesSearchFilters(memberObjects[i]))
+				{
+				// Passing no interpretations to GetMemberScore() leaves only the bonuses.
+				rankedMembers.push({
+					memberObject: memberObjects[i],
+					score: textScore + this.GetMemberScore(memberObjects[i], [ ]),
+					order: i
+					});
+				}
+			}
+
+		if (rankedMembers.length == 0)
+			{  return undefined;  }
+
+		rankedMembers.sort(this.CompareRankedObjects);
+
+		var rankedKeyword = {
+			keywordObject: keywordObject,
+			memberObjects: [ ],
+			score: textScore,
+			key: keywordSearchText,
+			isSingleEntry: (rankedMembers.length == 1 &&
+									rankedMembers[0].memberObject[$MemberObject_SearchText] == keywordSearchText),
+			abbreviationSearchText: abbreviationSearchText
+			};
+
+		for (var i = 0; i < rankedMembers.length; i++)
+			{
+			rankedKeyword.memberObjects.push(rankedMembers[i].memberObject);
+
+			if (rankedMembers[i].score > rankedKeyword.score)
+				{  rankedKeyword.score = rankedMembers[i].score;  }
+			}
+
+		return rankedKeyword;
+		};
+
+
+
+	// Group: Result Functions
+	// ________________________________________________________________________
+
+
+	/* Function: FindResults
+
+		Finds the <search results> for the interpretations and their prefixes.  If a prefix data file it needs is not loaded yet it
+		will return what it can and the next one it needs.
+
+		The keywords from all the loaded prefixes are ranked with <RankKeyword()> and sorted by their scores, so the
+		results will not be in the order they appear in the data files.  If forceExpansion is set, all parent entries will be open
+		regardless of the request's openParents.
+
+		If the search text could be an abbreviation, the names it abbreviates are ranked along with the keywords by
+		<AddAbbreviationMatches()>.
+
+		If there are fewer than $BodySearch_KeywordThreshold keyword results, it will also search the topic bodies with
+		<FindBodyResults()>.
+
+		Returns:
+
+			The search results plus prefixDataToLoad, abbreviationPrefixIndexToLoad, abbreviationPrefixDataToLoad,
+			bodyPrefixIndexToLoad, and bodyPrefixDataToLoad properties.
+	*/
+	this.FindResults = function (searchInterpretations, searchInterpretationPrefixes, forceExpansion)
+		{
+		var results = {
+			// prefixDataToLoad: undefined,
+			keywords: [ ],
+			groups: [ ],
+			moreResults: false,
+			bodyTopics: [ ],
+			bodySearchWords: [ ],
+			filterChoices: { commentTypes: this.request.searchFilters.commentTypes.slice(),
+									 languages: this.request.searchFilters.languages.slice() },
+			fuzzyMatchingActive: this.fuzzyMatchingActive,
+			searching: false,
+			loadFailed: false
+			};
+
+		var rankedKeywords = [ ];
+		var expectedEntryCount = 0;
+
+
+		// Rank the keywords from each prefix until we hit one that isn't loaded.  Ones that couldn't be loaded are skipped so
+		// the rest can still be shown.  We have to track how many entries they would create ourselves since we can't build
+		// them until they're sorted.
+
+		for (var p = 0; p < searchInterpretationPrefixes.length; p++)
+			{
+			var prefix = searchInterpretationPrefixes[p];
+
+			if (this.prefixObjects[prefix] == undefined)
+				{
+				if (expectedEntryCount < this.request.moreResultsThreshold)
+					{
+					results.prefixDataToLoad = prefix;
+					results.searching = true;
+					}
+				else
+					{
+					results.moreResults = true;
+					}
+
+				break;
+				}
+			else if (this.prefixObjects[prefix][$PrefixObject_Failed])
+				{
+				results.loadFailed = true;
+				continue;
+				}
+			else if (this.prefixObjects[prefix][$PrefixObject_Ready] == false)
+				{
+				results.searching = true;
+				break;
+				}
+
+			var keywordObjects = this.prefixObjects[prefix][$PrefixObject_KeywordObjects];
+
+			this.AddSearchFilterChoices(keywordObjects, searchInterpretations, results.filterChoices);
+
+			for (var k = 0; k < keywordObjects.length; k++)
+				{
+				var rankedKeyword = this.RankKeyword(keywordObjects[k], searchInterpretations);
+
+				if (rankedKeyword != undefined)
+					{
+					rankedKeyword.order = rankedKeywords.length;
+					rankedKeywords.push(rankedKeyword);
+
+					expectedEntryCount++;
+
+					if (!rankedKeyword.isSingleEntry &&
+						(forceExpansion || this.request.openParents.indexOf(rankedKeyword.key) != -1))
+						{  expectedEntryCount += rankedKeyword.memberObjects.length;  }
+					}
+				}
+			}
+
+
+		// Add the names that match as abbreviations, such as GetSearchInterpretations for "gsi".  We wait until all the keywords
+		// are loaded so the results don't jump around as much.
+
+		if (!results.searching && !results.moreResults)
+			{
+			var abbreviationResults = this.AddAbbreviationMatches(searchInterpretations, rankedKeywords, results.filterChoices);
+
+			results.abbreviationPrefixIndexToLoad = abbreviationResults.abbreviationPrefixIndexToLoad;
+			results.abbreviationPrefixDataToLoad = abbreviationResults.abbreviationPrefixDataToLoad;
+
+			if (abbreviationResults.searching)
+				{  results.searching = true;  }
+			if (abbreviationResults.loadFailed)
+				{  results.loadFailed = true;  }
+			}
+
+
+		// Sort and convert them
+
+		rankedKeywords.sort(this.CompareRankedObjects);
+
+		if (this.request.groupByClass)
+			{  results.groups = this.MakeGroupResults(rankedKeywords, forceExpansion);  }
+		else
+			{
+			for (var i = 0; i < rankedKeywords.length; i++)
+				{  results.keywords.push( this.MakeKeywordResult(rankedKeywords[i], forceExpansion) );  }
+			}
+
+
+		// If there aren't enough keyword results, look in the topic bodies too.
+
+		if (this.request.bodySearch && !results.searching && !results.moreResults &&
+			rankedKeywords.length < $BodySearch_KeywordThreshold)
+			{
+			var bodyResults = this.FindBodyResults(searchInterpretations, rankedKeywords);
+
+			results.bodyTopics = bodyResults.bodyTopics;
+			results.bodySearchWords = bodyResults.bodySearchWords;
+			results.bodyPrefixIndexToLoad = bodyResults.bodyPrefixIndexToLoad;
+			results.bodyPrefixDataToLoad = bodyResults.bodyPrefixDataToLoad;
+
+			if (bodyResults.searching)
+				{  results.searching = true;  }
+			if (bodyResults.loadFailed)
+				{  results.loadFailed = true;  }
+			}
+
+		return results;
+		};
+
+
+	/* Function: AddSearchFilterChoices
+		Adds the comment types and languages of all the members that match the search interpretations to the passed
+		filter choices object, which has commentTypes and languages arrays like <NDSearch.searchFilters>.  This ignores the
+		request's searchFilters so that the other choices are still shown when one is active.
+	*/
+	this.AddSearchFilterChoices = function (keywordObjects, searchInterpretations, filterChoices)
+		{
+		for (var k = 0; k < keywordObjects.length; k++)
+			{
+			var keywordObject = keywordObjects[k];
+
+			if (this.KeywordMatchesInterpretations(keywordObject, searchInterpretations) == false)
+				{  continue;  }
+
+			var memberObjects = keywordObject[$KeywordObject_MemberObjects];
+
+			for (var m = 0; m < memberObjects.length; m++)
+				{
+				var memberObject = memberObjects[m];
+
+				if (this.MemberMatchesInterpretations(memberObject, searchInterpretations, true))
+					{  this.AddMemberToSearchFilterChoices(memberObject, filterChoices);  }
+				}
+			}
+		};
+
+
+	/* Function: AddMemberToSearchFilterChoices
+		Adds the comment type and language of the passed member object to the filter choices object if they're not already
+		in it.
+	*/
+	this.AddMemberToSearchFilterChoices = function (memberObject, filterChoices)
+		{
+		var commentType = memberObject[$MemberObject_CommentType].toLowerCase();
+		var language = memberObject[$MemberObject_Language].toLowerCase();
+
+		if (filterChoices.commentTypes.indexOf(commentType) == -1)
+			{  filterChoices.commentTypes.push(commentType);  }
+		if (filterChoices.languages.indexOf(language) == -1)
+			{  filterChoices.languages.push(language);  }
+		};
+
+
+	/* Function: AddAbbreviationMatches
+
+		If the search text could be an abbreviation, ranks the names it abbreviates with <RankAbbreviationKeyword()> and adds
+		them to the passed array of ranked keywords.  Names that are already in it are skipped.  The comment types and
+		languages of all their members are added to the passed filter choices object like <AddSearchFilterChoices()>.
+
+		If the data it needs is not loaded yet it will return which file needs to be loaded and set searching.  If it couldn't be
+		loaded it will set loadFailed.
+
+		Returns:
+
+			{ searching, loadFailed, abbreviationPrefixIndexToLoad, abbreviationPrefixDataToLoad }
+	*/
+	this.AddAbbreviationMatches = function (searchInterpretations, rankedKeywords, filterChoices)
+		{
+		var results = {
+			// abbreviationPrefixIndexToLoad: undefined,
+			// abbreviationPrefixDataToLoad: undefined,
+			searching: false,
+			loadFailed: false
+			};
+
+		var abbreviationSearchText = this.GetAbbreviationSearchText(searchInterpretations);
+
+		if (abbreviationSearchText == undefined)
+			{  return results;  }
+
+		if (this.allAbbreviationPrefixesStatus == $AllPrefixesStatus_Failed)
+			{
+			results.loadFailed = true;
+			return results;
+			}
+		else if (this.allAbbreviationPrefixesStatus == $AllPrefixesStatus_NotLoaded)
+			{
+			results.abbreviationPrefixIndexToLoad = true;
+			results.searching = true;
+			return results;
+			}
+		else if (this.allAbbreviationPrefixesStatus == $AllPrefixesStatus_Loading)
+			{
+			results.searching = true;
+			return results;
+			}
+
+		// Abbreviations shorter than three characters have their own data files just like keywords, so "gs" will only match
+		// abbreviations that are exactly "gs" and not "gsi".
+		var abbreviationPrefix = this.MakePrefix(abbreviationSearchText);
+
+		// We only need one abbreviation prefix at a time so discard any others.
+		for (var otherPrefix in this.abbreviationPrefixObjects)
+			{
+			if (otherPrefix != abbreviationPrefix)
+				{  this.abbreviationPrefixObjects[otherPrefix] = undefined;  }
+			}
+
+		if (this.allAbbreviationPrefixes.indexOf(abbreviationPrefix) == -1)
+			{  return results;  }
+
+		var abbreviationPrefixObject = this.abbreviationPrefixObjects[abbreviationPrefix];
+
+		if (abbreviationPrefixObject == undefined)
+			{
+			results.abbreviationPrefixDataToLoad = abbreviationPrefix;
+			results.searching = true;
+			return results;
+			}
+		else if (abbreviationPrefixObject[$PrefixObject_Failed])
+			{
+			results.loadFailed = true;
+			return results;
+			}
+		else if (abbreviationPrefixObject[$PrefixObject_Ready] == false)
+			{
+			results.searching = true;
+			return results;
+			}
+
+
+		// Skip the names that are already in the keyword results, such as GetEventTarget which matches "get" both ways.
+
+		var usedKeys = [ ];
+
+		for (var i = 0; i < rankedKeywords.length; i++)
+			{  usedKeys.push(rankedKeywords[i].key);  }
+
+		var keywordObjects = abbreviationPrefixObject[$PrefixObject_KeywordObjects];
+
+		for (var k = 0; k < keywordObjects.length; k++)
+			{
+			var keywordObject = keywordObjects[k];
+
+			if (usedKeys.indexOf(keywordObject[$KeywordObject_SearchText]) != -1 ||
+				!keywordObject[$KeywordObject_Abbreviation].startsWith(abbreviationSearchText))
+				{  continue;  }
+
+			var memberObjects = keywordObject[$KeywordObject_MemberObjects];
+
+			for (var m = 0; m < memberObjects.length; m++)
+				{  this.AddMemberToSearchFilterChoices(memberObjects[m], filterChoices);  }
+
+			var rankedKeyword = this.RankAbbreviationKeyword(keywordObject, abbreviationSearchText);
+
+			if (rankedKeyword != undefined)
+				{
+				rankedKeyword.order = rankedKeywords.length;
+				rankedKeywords.push(rankedKeyword);
+				}
+			}
+
+		return results;
+		};
+
+
+	/* Function: FindBodyResults
+
+		Finds the topics whose bodies match the search text, skipping any that already appear in the passed ranked keywords.
+		They are returned as body topic results for the <search results>.  If the data it needs is not loaded yet it will return
+		which file needs to be loaded and set searching.  If it couldn't be loaded it will set loadFailed.
+
+		Returns:
+
+			{ bodyTopics, bodySearchWords, searching, loadFailed, bodyPrefixIndexToLoad, bodyPrefixDataToLoad }
+	*/
+	this.FindBodyResults = function (searchInterpretations, rankedKeywords)
+		{
+		var results = {
+			// bodyPrefixIndexToLoad: undefined,
+			// bodyPrefixDataToLoad: undefined,
+			bodyTopics: [ ],
+			bodySearchWords: this.GetBodySearchWords(searchInterpretations),
+			searching: false,
+			loadFailed: false
+			};
+
+		var bodySearchWords = results.bodySearchWords;
+
+		if (bodySearchWords.length == 0)
+			{  return results;  }
+
+		if (this.allBodyPrefixesStatus == $AllPrefixesStatus_Failed)
+			{
+			results.loadFailed = true;
+			return results;
+			}
+		else if (this.allBodyPrefixesStatus == $AllPrefixesStatus_NotLoaded)
+			{
+			results.bodyPrefixIndexToLoad = true;
+			results.searching = true;
+			return results;
+			}
+		else if (this.allBodyPrefixesStatus == $AllPrefixesStatus_Loading)
+			{
+			results.searching = true;
+			return results;
+			}
+
+		var primaryWord = this.GetBodyPrimaryWord(bodySearchWords);
+		var bodyPrefix = primaryWord.substring(0, $BodySearch_MinWordLength);
+
+		// We only need one body prefix at a time so discard any others.
+		for (var otherPrefix in this.bodyPrefixObjects)
+			{
+			if (otherPrefix != bodyPrefix)
+				{  this.bodyPrefixObjects[otherPrefix] = undefined;  }
+			}
+
+		if (this.allBodyPrefixes.indexOf(bodyPrefix) == -1)
+			{  return results;  }
+
+		if (this.bodyPrefixObjects[bodyPrefix] == undefined)
+			{
+			results.bodyPrefixDataToLoad = bodyPrefix;
+			results.searching = true;
+			return results;
+			}
+		else if (this.bodyPrefixObjects[bodyPrefix][$PrefixObject_Failed])
+			{
+			results.loadFailed = true;
+			return results;
+			}
+		else if (this.bodyPrefixObjects[bodyPrefix][$PrefixObject_Ready] == false)
+			{
+			results.searching = true;
+			return results;
+			}
+
+
+		// Collect the locations already in the keyword results so we don't show them twice.
+
+		var usedFileHashPaths = { };
+
+		for (var k = 0; k < rankedKeywords.length; k++)
+			{
+			var memberObjects = rankedKeywords[k].memberObjects;
+
+			for (var m = 0; m < memberObjects.length; m++)
+				{  usedFileHashPaths[ memberObjects[m][$MemberObject_FileHashPath] ] = true;  }
+			}
+
+
+		// Find the matching topics
+
+		var bodyTopicObjects = this.bodyPrefixObjects[bodyPrefix][$PrefixObject_BodyTopicObjects];
+		var matchCount = 0;
+
+		for (var i = 0; i < bodyTopicObjects.length && matchCount < $BodySearch_MaxResults; i++)
+			{
+			var bodyTopicObject = bodyTopicObjects[i];
+
+			if (usedFileHashPaths[ bodyTopicObject[$BodyTopicObject_FileHashPath] ] ||
+				!this.BodyTopicMatchesWords(bodyTopicObject, bodySearchWords, primaryWord))
+				{  continue;  }
+
+			results.bodyTopics.push( this.MakeBodyTopicResult(bodyTopicObject) );
+			matchCount++;
+			}
+
+		return results;
+		};
+
+
+	/* Function: MakeKeywordResult
+		Converts a keyword ranked by <RankKeyword()> or <RankAbbreviationKeyword()> to a keyword result for the
+		<search results>.  If forceExpansion is set it will be open regardless of the request's openParents.
+	*/
+	this.MakeKeywordResult = function (rankedKeyword, forceExpansion)
+		{
+		var keywordResult = {
+			key: rankedKeyword.key,
+			htmlName: rankedKeyword.keywordObject[$KeywordObject_HTMLName],
+			isSingleEntry: rankedKeyword.isSingleEntry,
+			open: (!rankedKeyword.isSingleEntry &&
+					   (forceExpansion || this.request.openParents.indexOf(rankedKeyword.key) != -1)),
+			memberCount: rankedKeyword.memberObjects.length,
+			// members: undefined,
+			abbreviationSearchText: rankedKeyword.abbreviationSearchText
+			};
+
+		// Closed parents only need the count, so we don't copy the members of something like "Dispose" that may have
+		// hundreds of them.
+		if (keywordResult.isSingleEntry || keywordResult.open)
+			{
+			keywordResult.members = [ ];
+
+			for (var i = 0; i < rankedKeyword.memberObjects.length; i++)
+				{  keywordResult.members.push( this.MakeMemberResult(rankedKeyword.memberObjects[i]) );  }
+			}
+
+		return keywordResult;
+		};
+
+
+	/* Function: MakeGroupResults
+		Regroups the members of the passed ranked keywords by their class or file and returns them as an array of group results
+		for the <search results>.  The groups appear in the order of their highest ranked member, and their members stay in
+		the order they were ranked in.
+	*/
+	this.MakeGroupResults = function (rankedKeywords, forceExpansion)
+		{
+		var groupResults = [ ];
+		var groupResultIndexes = { };
+
+		for (var k = 0; k < rankedKeywords.length; k++)
+			{
+			var rankedKeyword = rankedKeywords[k];
+
+			for (var m = 0; m < rankedKeyword.memberObjects.length; m++)
+				{
+				var memberObject = rankedKeyword.memberObjects[m];
+				var group = this.GetMemberGroup(memberObject);
+				var groupResult;
+
+				if (groupResultIndexes[group.key] == undefined)
+					{
+					groupResult = {
+						key: group.key,
+						htmlName: group.htmlName,
+						open: (forceExpansion || this.request.openParents.indexOf(group.key) != -1),
+						memberCount: 0
+						// members: undefined
+						};
+
+					// Like keyword results, closed groups only need the count.
+					if (groupResult.open)
+						{  groupResult.members = [ ];  }
+
+					groupResultIndexes[group.key] = groupResults.length;
+					groupResults.push(groupResult);
+					}
+				else
+					{  groupResult = groupResults[ groupResultIndexes[group.key] ];  }
+
+				groupResult.memberCount++;
+
+				if (groupResult.open)
+					{
+					var memberResult = this.MakeMemberResult(memberObject);
+					memberResult.abbreviationSearchText = rankedKeyword.abbreviationSearchText;
+
+					if (group.isClass)
+						{  memberResult.htmlQualifier = undefined;  }
+
+					groupResult.members.push(memberResult);
+					}
+				}
+			}
+
+		return groupResults;
+		};
+
+
+	/* Function: GetMemberGroup
+
+		Returns the group the passed member object belongs to when the results are grouped by class.  It's returned as an
+		object with these properties:
+
+		key - A string that identifies the group, such as "Class>CSharpClass:Namespace.Class" or "File>File:Folder/Source.cs".
+				It can't conflict with keyword keys because those are always lowercase.
+		htmlName - The group's name in HTML.  For classes this is the member's qualifier if it has one, and for files it's the
+						 file's path.
+		isClass - Whether the group is for a class instead of a file.
+	*/
+	this.GetMemberGroup = function (memberObject)
+		{
+		var classHashPath = memberObject[$MemberObject_ClassHashPath];
+
+		if (classHashPath != undefined)
+			{
+			var classPath = this.GetHashPathWithoutMember(classHashPath);
+			var htmlName = memberObject[$MemberObject_HTMLQualifier];
+
+			if (htmlName == undefined)
+				{  htmlName = classPath.substring(classPath.indexOf(":") + 1).EntityEncode();  }
+
+			return { key: "Class>" + classPath, htmlName: htmlName, isClass: true };
+			}
+		else
+			{
+			var filePath = this.GetHashPathWithoutMember(memberObject[$MemberObject_FileHashPath]);
+			var htmlName = filePath.substring(filePath.indexOf(":") + 1).EntityEncode();
+
+			return { key: "File>" + filePath, htmlName: htmlName, isClass: false };
+			}
+		};
+
+
+	/* Function: GetHashPathWithoutMember
+		Returns the passed hash path with the member removed, so "File:Folder/Source.cs:Class.Member" becomes
+		"File:Folder/Source.cs".  This is the same as <NDLocation.path>, but NDLocation can't be
+		used in workers because it depends on <NDFramePage>.
+	*/
+	this.GetHashPathWithoutMember = function (hashPath)
+		{
+		var memberSeparator = hashPath.indexOf(":", hashPath.indexOf(":") + 1);
+
+		if (memberSeparator == -1)
+			{  return hashPath;  }
+		else
+			{  return hashPath.substring(0, memberSeparator);  }
+		};
+
+
+	/* Function: MakeMemberResult
+		Converts a member object to a member result for the <search results>.
+	*/
+	this.MakeMemberResult = function (memberObject)
+		{
+		return {
+			htmlName: memberObject[$MemberObject_HTMLName],
+			htmlQualifier: memberObject[$MemberObject_HTMLQualifier],
+			htmlLanguageName: memberObject[$MemberObject_HTMLLanguageName],
+			commentType: memberObject[$MemberObject_CommentType],
+			fileHashPath: memberObject[$MemberObject_FileHashPath],
+			classHashPath: memberObject[$MemberObject_ClassHashPath]
+			};
+		};
+
+
+	/* Function: MakeBodyTopicResult
+		Converts a body topic object to a body topic result for the <search results>.
+	*/
+	this.MakeBodyTopicResult = function (bodyTopicObject)
+		{
+		return {
+			htmlName: bodyTopicObject[$BodyTopicObject_HTMLName],
+			htmlSnippet: bodyTopicObject[$BodyTopicObject_HTMLSnippet],
+			commentType: bodyTopicObject[$BodyTopicObject_CommentType],
+			fileHashPath: bodyTopicObject[$BodyTopicObject_FileHashPath],
+			classHashPath: bodyTopicObject[$BodyTopicObject_ClassHashPath]
+			};
+		};
+
+
+
+	// Group: Prefix Functions
+	// ________________________________________________________________________
+
+
+	/* Function: MakePrefix
+		Returns the prefix of an individual normalized search string.
+	*/
+	this.MakePrefix = function (searchText)
+		{
+		// DEPENDENCY: This must match NDSearch.MakePrefix().
+
+		var prefix = "";
+
+		for (var i = 0; i < 3; i++)
+			{
+			if (i >= searchText.length)
+				{  break;  }
+
+			var char = searchText.charAt(i);
+
+			if (char == " " || char == "." || char == "/")
+				{  break;  }
+
+			prefix += char;
+			}
+
+		if (prefix.length > 0)
+			{  return prefix;  }
+		else
+			{  return undefined;  }
+		};
+
+
+	/* Function: PrefixToHex
+	*/
+	this.PrefixToHex = function (prefix)
+		{
+		var hex = "";
+
+		for (var i = 0; i < prefix.length; i++)
+			{
+			var charValue = "0000" + prefix.charCodeAt(i).toString(16);
+			hex += charValue.substring(charValue.length - 4, charValue.length);
+			}
+
+		return hex;
+		};
+
+
+	/* Function: PrefixToDataFile
+	*/
+	this.PrefixToDataFile = function (prefix)
+		{
+		return "search/keywords/" + this.PrefixToHex(prefix) + ".js";
+		};
+
+
+	/* Function: BodyPrefixToDataFile
+	*/
+	this.BodyPrefixToDataFile = function (prefix)
+		{
+		return "search/body/" + this.PrefixToHex(prefix) + ".js";
+		};
+
+
+	/* Function: AbbreviationPrefixToDataFile
+	*/
+	this.AbbreviationPrefixToDataFile = function (prefix)
+		{
+		return "search/abbreviations/" + this.PrefixToHex(prefix) + ".js";
+		};
+
+
+
+	// Group: Search Data Functions
+	// ________________________________________________________________________
+
+
+	/* Function: LoadDataFile
+
+		Starts loading the search data file at the passed path, which is relative to the frame page.  The data file will call one of
+		the OnLoaded functions itself when it's done.
+
+		On the main thread it uses <NDCore.LoadJavaScriptData()> with the passed loader ID, and onFailed will be called if it
+		couldn't be loaded.  In a web worker there's no document to add script elements to, so it uses <AttemptToLoadDataFile()>
+		instead, which follows the same timeout and retry rules but posts { action: "LoadFailed" } instead of calling onFailed.
+	*/
+	this.LoadDataFile = function (path, loaderID, onFailed)
+		{
+		if (this.runningInWorker)
+			{  this.AttemptToLoadDataFile(new URL(path, this.baseURL).href, $DataFile_Retries);  }
+		else
+			{  NDCore.LoadJavaScriptData(path, loaderID).catch(onFailed);  }
+		};
+
+
+	/* Function: AttemptToLoadDataFile
+		Makes a single attempt to load the data file at the passed URL in a web worker.  It uses fetch() instead of importScripts()
+		because that would block the worker from handling other search requests until the file arrived, and it can't be given a
+		timeout.
+
+		If it fails and there are no retries left it posts { action: "LoadFailed" } so <NDSearch> can fall back to using
+		NDSearchWorker on the main thread.  fetch() may fail where script elements wouldn't, such as for pages opened from the
+		local hard drive, so it's not treated as a failure to load the data until that's been tried too.
+	*/
+	this.AttemptToLoadDataFile = function (url, retriesLeft)
+		{
+		var abortController = new AbortController();
+
+		var timeout = setTimeout( function ()
+			{  abortController.abort();  },
+			$DataFile_Timeout);
+
+		fetch(url, { signal: abortController.signal }).then( function (response)
+			{
+			if (!response.ok)
+				{  throw new Error("Could not load " + url);  }
+
+			return response.text();
+			}).then(
+			function (script)
+				{
+				clearTimeout(timeout);
+
+				// Indirect eval runs it in the global scope, where NDSearch is pointed at NDSearchWorker.  It's done outside the
+				// promise so any errors in it are reported normally instead of becoming an unhandled rejection.
+				setTimeout( function ()
+					{  (0, eval)(script);  }, 0);
+				},
+			function ()
+				{
+				clearTimeout(timeout);
+
+				if (retriesLeft > 0)
+					{
+					setTimeout( function ()
+						{  NDSearchWorker.AttemptToLoadDataFile(url, retriesLeft - 1);  },
+						$DataFile_RetryDelay);
+					}
+				else
+					{  self.postMessage({ action: "LoadFailed" });  }
+				});
+		};
+
+
+	/* Function: RemoveLoader
+		Removes the script element <LoadDataFile()> created for the passed loader ID, if there is one.
+	*/
+	this.RemoveLoader = function (loaderID)
+		{
+		if (!this.runningInWorker)
+			{  NDCore.RemoveScriptElement(loaderID);  }
+		};
+
+
+	/* Function: LoadPrefixData
+		Starts loading the prefix data file associated with the passed prefix if it isn't already loaded or in the process of loading.
+	*/
+	this.LoadPrefixData = function (prefix)
+		{
+		if (this.prefixObjects[prefix] == undefined)
+			{
+			var prefixObject = [ ];
+
+			prefixObject[$PrefixObject_Prefix] = prefix;
+			// prefixObject[$PrefixObject_KeywordObjects] = undefined;
+			prefixObject[$PrefixObject_Ready] = false;
+			prefixObject[$PrefixObject_DOMLoaderID] = "NDPrefixLoader_" + this.PrefixToHex(prefix);
+			prefixObject[$PrefixObject_Failed] = false;
+
+			this.prefixObjects[prefix] = prefixObject;
+
+			this.LoadDataFile(this.PrefixToDataFile(prefix), prefixObject[$PrefixObject_DOMLoaderID], function ()
+				{  NDSearchWorker.OnPrefixDataLoadFailed(prefix);  });
+			}
+		};
+
+
+	/* Function: OnPrefixDataLoadFailed
+		Called when the prefix data file couldn't be loaded.
+	*/
+	this.OnPrefixDataLoadFailed = function (prefix)
+		{
+		var prefixObject = this.prefixObjects[prefix];
+
+		// It may have been purged as no longer needed while it was loading.
+		if (prefixObject == undefined)
+			{  return;  }
+
+		prefixObject[$PrefixObject_Failed] = true;
+		this.Update();
+		};
+
+
+	/* Function: OnPrefixDataLoaded
+		Called by the prefix data file when it has finished loading.
+	*/
+	this.OnPrefixDataLoaded = function (prefix, commentTypes, languages, keywordObjects)
+		{
+		var prefixObject = this.prefixObjects[prefix];
+
+		// The data file might have been requested but then purged as no longer needed before it came in.  If that's the
+		// case then we can just discard the data.
+		if (prefixObject == undefined)
+			{  return;  }
+
+		this.ExpandKeywordObjects(commentTypes, languages, keywordObjects);
+
+		prefixObject[$PrefixObject_KeywordObjects] = keywordObjects;
+		prefixObject[$PrefixObject_Ready] = true;
+
+		// We don't need the loader anymore.
+		this.RemoveLoader(prefixObject[$PrefixObject_DOMLoaderID]);
+
+		//	Replace with this line to simulate latency:
+		// setTimeout("NDSearchWorker.Update()", 3000);
+		this.Update();
+		};
+
+
+	/* Function: ExpandKeywordObjects
+		Undoes the data deduplication that was applied to the keyword objects in a prefix or abbreviation prefix data file.
+	*/
+	this.ExpandKeywordObjects = function (commentTypes, languages, keywordObjects)
+		{
+		for (var k = 0; k < keywordObjects.length; k++)
+			{
+			var keywordObject = keywordObjects[k];
+
+			if (keywordObject[$KeywordObject_SearchText] == undefined)
+				{  keywordObject[$KeywordObject_SearchText] = keywordObject[$KeywordObject_HTMLName].toLowerCase();  }
+
+			for (var m = 0; m < keywordObject[$KeywordObject_MemberObjects].length; m++)
+				{
+				var memberObject = keywordObject[$KeywordObject_MemberObjects][m];
+
+				var commentTypeIndex = memberObject[$MemberObject_CommentType];
+				memberObject[$MemberObject_CommentType] = commentTypes[commentTypeIndex];
+
+				var languageIndex = memberObject[$MemberObject_Language];
+				memberObject[$MemberObject_Language] = languages[languageIndex];
+
+				if (memberObject[$MemberObject_HTMLName] == undefined)
+					{  memberObject[$MemberObject_HTMLName] = keywordObject[$KeywordObject_HTMLName];  }
+				if (memberObject[$MemberObject_SearchText] == undefined)
+					{  memberObject[$MemberObject_SearchText] = memberObject[$MemberObject_HTMLName].toLowerCase();  }
+				}
+			}
+		};
+
+
+	/* Function: LoadBodyPrefixIndex
+		Starts loading search/body/index.js if it isn't already loaded or in the process of loading.
+	*/
+	this.LoadBodyPrefixIndex = function ()
+		{
+		if (this.allBodyPrefixesStatus == $AllPrefixesStatus_NotLoaded)
+			{
+			this.allBodyPrefixesStatus = $AllPrefixesStatus_Loading;
+
+			this.LoadDataFile("search/body/index.js", "NDBodyPrefixIndexLoader", function ()
+				{  NDSearchWorker.OnBodyPrefixIndexLoadFailed();  });
+			}
+		};
+
+
+	/* Function: OnBodyPrefixIndexLoadFailed
+		Called when search/body/index.js couldn't be loaded.
+	*/
+	this.OnBodyPrefixIndexLoadFailed = function ()
+		{
+		this.allBodyPrefixesStatus = $AllPrefixesStatus_Failed;
+		this.Update();
+		};
+
+
+	/* Function: OnBodyPrefixIndexLoaded
+		Called by search/body/index.js when it has finished loading.
+	*/
+	this.OnBodyPrefixIndexLoaded = function (prefixes)
+		{
+		this.allBodyPrefixes = prefixes;
+		this.allBodyPrefixesStatus = $AllPrefixesStatus_Ready;
+
+		this.RemoveLoader("NDBodyPrefixIndexLoader");
+
+		this.Update();
+		};
+
+
+	/* Function: LoadBodyPrefixData
+		Starts loading the body prefix data file associated with the passed prefix if it isn't already loaded or in the process
+		of loading.
+	*/
+	this.LoadBodyPrefixData = function (prefix)
+		{
+		if (this.bodyPrefixObjects[prefix] == undefined)
+			{
+			var bodyPrefixObject = [ ];
+
+			bodyPrefixObject[$PrefixObject_Prefix] = prefix;
+			// bodyPrefixObject[$PrefixObject_BodyTopicObjects] = undefined;
+			bodyPrefixObject[$PrefixObject_Ready] = false;
+			bodyPrefixObject[$PrefixObject_DOMLoaderID] = "NDBodyPrefixLoader_" + this.PrefixToHex(prefix);
+			bodyPrefixObject[$PrefixObject_Failed] = false;
+
+			this.bodyPrefixObjects[prefix] = bodyPrefixObject;
+
+			this.LoadDataFile(this.BodyPrefixToDataFile(prefix), bodyPrefixObject[$PrefixObject_DOMLoaderID], function ()
+				{  NDSearchWorker.OnBodyPrefixDataLoadFailed(prefix);  });
+			}
+		};
+
+
+	/* Function: OnBodyPrefixDataLoadFailed
+		Called when the body prefix data file couldn't be loaded.
+	*/
+	this.OnBodyPrefixDataLoadFailed = function (prefix)
+		{
+		var bodyPrefixObject = this.bodyPrefixObjects[prefix];
+
+		// It may have been discarded as no longer needed while it was loading.
+		if (bodyPrefixObject == undefined)
+			{  return;  }
+
+		bodyPrefixObject[$PrefixObject_Failed] = true;
+		this.Update();
+		};
+
+
+	/* Function: OnBodyPrefixDataLoaded
+		Called by the body prefix data file when it has finished loading.
+	*/
+	this.OnBodyPrefixDataLoaded = function (prefix, commentTypes, bodyTopicObjects)
+		{
+		var bodyPrefixObject = this.bodyPrefixObjects[prefix];
+
+		// The data file might have been requested but then purged as no longer needed before it came in.  If that's the
+		// case then we can just discard the data.
+		if (bodyPrefixObject == undefined)
+			{  return;  }
+
+		// Undo the data deduplication that was applied to the content.
+		for (var i = 0; i < bodyTopicObjects.length; i++)
+			{
+			var bodyTopicObject = bodyTopicObjects[i];
+
+			bodyTopicObject[$BodyTopicObject_CommentType] = commentTypes[ bodyTopicObject[$BodyTopicObject_CommentType] ];
+			bodyTopicObject[$BodyTopicObject_Words] = bodyTopicObject[$BodyTopicObject_Words].split(" ");
+			}
+
+		bodyPrefixObject[$PrefixObject_BodyTopicObjects] = bodyTopicObjects;
+		bodyPrefixObject[$PrefixObject_Ready] = true;
+
+		// We don't need the loader anymore.
+		this.RemoveLoader(bodyPrefixObject[$PrefixObject_DOMLoaderID]);
+
+		this.Update();
+		};
+
+
+	/* Function: LoadAbbreviationPrefixIndex
+		Starts loading search/abbreviations/index.js if it isn't already loaded or in the process of loading.
+	*/
+	this.LoadAbbreviationPrefixIndex = function ()
+		{
+		if (this.allAbbreviationPrefixesStatus == $AllPrefixesStatus_NotLoaded)
+			{
+			this.allAbbreviationPrefixesStatus = $AllPrefixesStatus_Loading;
+
+			this.LoadDataFile("search/abbreviations/index.js", "NDAbbreviationPrefixIndexLoader", function ()
+				{  NDSearchWorker.OnAbbreviationPrefixIndexLoadFailed();  });
+			}
+		};
+
+
+	/* Function: OnAbbreviationPrefixIndexLoadFailed
+		Called when search/abbreviations/index.js couldn't be loaded.
+	*/
+	this.OnAbbreviationPrefixIndexLoadFailed = function ()
+		{
+		this.allAbbreviationPrefixesStatus = $AllPrefixesStatus_Failed;
+		this.Update();
+		};
+
+
+	/* Function: OnAbbreviationPrefixIndexLoaded
+		Called by search/abbreviations/index.js when it has finished loading.
+	*/
+	this.OnAbbreviationPrefixIndexLoaded = function (prefixes)
+		{
+		this.allAbbreviationPrefixes = prefixes;
+		this.allAbbreviationPrefixesStatus = $AllPrefixesStatus_Ready;
+
+		this.RemoveLoader("NDAbbreviationPrefixIndexLoader");
+
+		this.Update();
+		};
+
+
+	/* Function: LoadAbbreviationPrefixData
+		Starts loading the abbreviation prefix data file associated with the passed prefix if it isn't already loaded or in the
+		process of loading.
+	*/
+	this.LoadAbbreviationPrefixData = function (prefix)
+		{
+		if (this.abbreviationPrefixObjects[prefix] == undefined)
+			{
+			var abbreviationPrefixObject = [ ];
+
+			abbreviationPrefixObject[$PrefixObject_Prefix] = prefix;
+			// abbreviationPrefixObject[$PrefixObject_KeywordObjects] = undefined;
+			abbreviationPrefixObject[$PrefixObject_Ready] = false;
+			abbreviationPrefixObject[$PrefixObject_DOMLoaderID] = "NDAbbreviationPrefixLoader_" + this.PrefixToHex(prefix);
+			abbreviationPrefixObject[$PrefixObject_Failed] = false;
+
+			this.abbreviationPrefixObjects[prefix] = abbreviationPrefixObject;
+
+			this.LoadDataFile(this.AbbreviationPrefixToDataFile(prefix), abbreviationPrefixObject[$PrefixObject_DOMLoaderID],
+				function ()
+					{  NDSearchWorker.OnAbbreviationPrefixDataLoadFailed(prefix);  });
+			}
+		};
+
+
+	/* Function: OnAbbreviationPrefixDataLoadFailed
+		Called when the abbreviation prefix data file couldn't be loaded.
+	*/
+	this.OnAbbreviationPrefixDataLoadFailed = function (prefix)
+		{
+		var abbreviationPrefixObject = this.abbreviationPrefixObjects[prefix];
+
+		// It may have been discarded as no longer needed while it was loading.
+		if (abbreviationPrefixObject == undefined)
+			{  return;  }
+
+		abbreviationPrefixObject[$PrefixObject_Failed] = true;
+		this.Update();
+		};
+
+
+	/* Function: OnAbbreviationPrefixDataLoaded
+		Called by the abbreviation prefix data file when it has finished loading.
+	*/
+	this.OnAbbreviationPrefixDataLoaded = function (prefix, commentTypes, languages, keywordObjects)
+		{
+		var abbreviationPrefixObject = this.abbreviationPrefixObjects[prefix];
+
+		// The data file might have been requested but then purged as no longer needed before it came in.  If that's the
+		// case then we can just discard the data.
+		if (abbreviationPrefixObject == undefined)
+			{  return;  }
+
+		this.ExpandKeywordObjects(commentTypes, languages, keywordObjects);
+
+		abbreviationPrefixObject[$PrefixObject_KeywordObjects] = keywordObjects;
+		abbreviationPrefixObject[$PrefixObject_Ready] = true;
+
+		// We don't need the loader anymore.
+		this.RemoveLoader(abbreviationPrefixObject[$PrefixObject_DOMLoaderID]);
+
+		this.Update();
+		};
+
+
+	/* Function: RemoveUnusedPrefixObjects
+		Removes all entries from <prefixObjects> that are not in the passed prefix list.
+	*/
+	this.RemoveUnusedPrefixObjects = function (usedPrefixes)
+		{
+		if (usedPrefixes.length == 0)
+			{
+			this.prefixObjects = { };
+			return;
+			}
+
+		for (var prefix in this.prefixObjects)
+			{
+			if (usedPrefixes.indexOf(prefix) == -1)
+				{
+				// Set it to undefined instead of using delete so we don't potentially screw up the for..in iteration.
+				this.prefixObjects[prefix] = undefined;
+				}
+			}
+		};
+
+
+	/* Function: RemoveFailedPrefixObjects
+		Removes all entries from the passed hash of prefix data objects that couldn't be loaded.
+	*/
+	this.RemoveFailedPrefixObjects = function (prefixObjects)
+		{
+		for (var prefix in prefixObjects)
+			{
+			if (prefixObjects[prefix] != undefined && prefixObjects[prefix][$PrefixObject_Failed])
+				{  prefixObjects[prefix] = undefined;  }
+			}
+		};
+
+
+
+	// Group: Variables
+	// ________________________________________________________________________
+
+
+	/* var: runningInWorker
+		Whether this is running in a web worker instead of on the main thread with <NDSearch>.
+	*/
+	this.runningInWorker = false;
+
+	/* var: baseURL
+		The URL of the frame page, which the search data file paths are relative to.  This is only set when
+		<runningInWorker> is.
+	*/
+
+	/* var: request
+		The <search request> currently being worked on, or undefined if there isn't one.
+	*/
+
+	/* var: fuzzyMatchingActive
+		Whether the current results are being generated with <FuzzyMatches()> because there were no exact matches.  This
+		also means the prefixes include neighbors from <GetFuzzyPrefixes()>.
+	*/
+	this.fuzzyMatchingActive = false;
+
+
+
+	// Group: Search Data Variables
+	// ________________________________________________________________________
+
+
+	/* var: allPrefixes
+		A sorted array of all the search text prefixes that have data files associated with them.  This is what was stored in
+		search/index.js, which is loaded by <NDSearch> and passed on with a SetPrefixIndex <message>.
+	*/
+
+	/* var: prefixObjects
+		A hash mapping prefixes to prefix data objects.
+	*/
+	this.prefixObjects = { };
+
+	/* var: allBodyPrefixes
+		A sorted array of all the body text prefixes that have data files associated with them.  This is what was stored
+		in search/body/index.js.  This variable is only available if <allBodyPrefixesStatus> is set to
+		$AllPrefixesStatus_Ready.
+	*/
+
+	/* var: allBodyPrefixesStatus
+
+		The state of <allBodyPrefixes>, which may be:
+
+		$AllPrefixesStatus_NotLoaded - search/body/index.js has not been loaded yet, or even been requested.
+		$AllPrefixesStatus_Loading - search/body/index.js has been requested but the data hasn't returned yet.
+		$AllPrefixesStatus_Ready - search/body/index.js has been loaded and <allBodyPrefixes> is ready to use.
+		$AllPrefixesStatus_Failed - search/body/index.js couldn't be loaded.
+	*/
+	$AllPrefixesStatus_NotLoaded = 1;
+	$AllPrefixesStatus_Loading = 2;
+	$AllPrefixesStatus_Ready = 3;
+	$AllPrefixesStatus_Failed = 4;
+
+	// We delay loading search/body/index.js until a search doesn't have enough keyword results
+	this.allBodyPrefixesStatus = $AllPrefixesStatus_NotLoaded;
+
+	/* var: bodyPrefixObjects
+		A hash mapping body prefixes to body prefix data objects.  Only the prefix needed for the current search is kept.
+	*/
+	this.bodyPrefixObjects = { };
+
+	/* var: allAbbreviationPrefixes
+		A sorted array of all the abbreviation prefixes that have data files associated with them.  This is what was stored
+		in search/abbreviations/index.js.  This variable is only available if <allAbbreviationPrefixesStatus> is set to
+		$AllPrefixesStatus_Ready.
+	*/
+
+	/* var: allAbbreviationPrefixesStatus
+		The state of <allAbbreviationPrefixes>, using the same values as <allBodyPrefixesStatus>.
+	*/
+
+	// We delay loading search/abbreviations/index.js until a search could be an abbreviation
+	this.allAbbreviationPrefixesStatus = $AllPrefixesStatus_NotLoaded;
+
+	/* var: abbreviationPrefixObjects
+		A hash mapping abbreviation prefixes to prefix data objects.  Only the prefix needed for the current search is kept.
+	*/
+	this.abbreviationPrefixObjects = { };
+
+	};
+
+
+
+// If this file was loaded as a web worker, set it up to receive messages from NDSearch.  NDCore is only needed for its
+// string functions.  The search data files call NDSearch functions so that name is pointed at NDSearchWorker.
+
+if (typeof WorkerGlobalScope != "undefined" && self instanceof WorkerGlobalScope)
+	{
+	importScripts("NDCore.js");
+
+	self.NDSearch = NDSearchWorker;
+	NDSearchWorker.runningInWorker = true;
+
+	self.addEventListener("message", function (event)
+		{  NDSearchWorker.OnMessage(event.data);  });
+	}
@@ -97,6 +97,9 @@ var NDSummary = new function ()
 			this.summaryCommentTypes = undefined;
 			this.summaryEntries = undefined;
 			this.summaryToolTips = undefined;
+			this.summaryLoadFailed = false;
+			this.currentTopicID = undefined;
+			this.scrollPositionToRestore = undefined;
 
 
 			// If this is the first build of the summary, build the empty one right away to put up the loading notice.
@@ -138,11 +141,23 @@ var NDSummary = new function ()
 			// avoid having to wait for a potentially large file.
 
 			if (newLocation.summaryFile)
-				{  NDCore.LoadJavaScript(newLocation.summaryFile, "NDSummaryLoader");  }
+				{  this.LoadSummary(newLocation);  }
 			}
 		};
 
 
+	/* Function: LoadSummary
+		Starts loading the summary data file for the passed <NDLocation>.
+	*/
+	this.LoadSummary = function (location)
+		{
+		var hashPath = location.path;
+
+		NDCore.LoadJavaScriptData(location.summaryFile, "NDSummaryLoader").catch( function ()
+			{  NDSummary.OnSummaryLoadFailed(hashPath);  });
+		};
+
+
 	/* Function: OnSummaryLoaded
 	*/
 	this.OnSummaryLoaded = function (hashPath, summaryLanguages, summaryCommentTypes, summaryEntries)
@@ -158,7 +173,40 @@ var NDSummary = new function ()
 
 			// Load the tooltips.  We only do this after the summary is loaded to avoid having to wait for it.
 
-			NDCore.LoadJavaScript(NDFramePage.currentLocation.summaryTTFile, "NDSummaryToolTipsLoader");
+			// The summary works fine without the tooltips so there's nothing to do if they fail.
+			NDCore.LoadJavaScriptData(NDFramePage.currentLocation.summaryTTFile, "NDSummaryToolTipsLoader").catch( function () {  } );
+			}
+
+		// NDSearch's preview uses the same data files, which can only call us, so pass them along whether they're for the
+		// current location or not.
+		NDSearch.OnPreviewSummaryLoaded(hashPath, summaryEntries);
+		};
+
+
+	/* Function: OnSummaryLoadFailed
+		Called when the summary data file for the passed hash path couldn't be loaded.
+	*/
+	this.OnSummaryLoadFailed = function (hashPath)
+		{
+		if (hashPath == NDFramePage.currentLocation.path)
+			{
+			this.summaryLoadFailed = true;
+			this.Build();
+			}
+		};
+
+
+	/* Function: RetryLoading
+		Tries again to load the summary data file for the current location after it failed.
+	*/
+	this.RetryLoading = function ()
+		{
+		if (this.summaryLoadFailed && NDFramePage.currentLocation.summaryFile != undefined)
+			{
+			this.summaryLoadFailed = false;
+			this.Build();
+
+			this.LoadSummary(NDFramePage.currentLocation);
 			}
 		};
 
@@ -175,6 +223,8 @@ var NDSummary = new function ()
 			if (this.showingToolTip != undefined && summaryToolTips[this.showingToolTip] != undefined)
 				{  this.ShowToolTip();  }
 			}
+
+		NDSearch.OnPreviewToolTipsLoaded(hashPath, summaryToolTips);
 		};
 
 
@@ -187,9 +237,18 @@ var NDSummary = new function ()
 
 		if (this.summaryEntries == undefined)
 			{
-			var loadingNotice = document.createElement("div");
-			loadingNotice.className = "SuLoadingNotice";
-			newContent.appendChild(loadingNotice);
+			if (this.summaryLoadFailed)
+				{
+				newContent.appendChild(
+					NDCore.CreateLoadErrorNotice("SuLoadError", $Locale{HTML.SummaryLoadError}, "NDSummary.RetryLoading()")
+					);
+				}
+			else
+				{
+				var loadingNotice = document.createElement("div");
+				loadingNotice.className = "SuLoadingNotice";
+				newContent.appendChild(loadingNotice);
+				}
 			}
 		else
 			{
@@ -236,7 +295,120 @@ var NDSummary = new function ()
 
 		// Don't resize on the loading notice to avoid unnecessary jumpiness.
 		if (this.summaryEntries != undefined)
-			{  NDFramePage.SizeSummaryToContent();  }
+			{
+			NDFramePage.SizeSummaryToContent();
+			this.UpdateCurrentEntry();
+
+			if (this.scrollPositionToRestore != undefined)
+				{
+				summaryContainer.scrollTop = this.scrollPositionToRestore;
+				this.scrollPositionToRestore = undefined;
+				}
+			}
+		};
+
+
+	/* Function: RestoreScrollPosition
+		Scrolls the summary to the passed vertical position, such as when going back to a page in the browser history.  If
+		the summary is still loading it will be done once it's built.
+	*/
+	this.RestoreScrollPosition = function (position)
+		{
+		if (this.summaryEntries != undefined)
+			{  document.getElementById("NDSummary").scrollTop = position;  }
+		else if (NDFramePage.currentLocation.summaryFile != undefined)
+			{  this.scrollPositionToRestore = position;  }
+		};
+
+
+	/* Function: OnCurrentTopicChange
+		Called when the content page reports that the reader has scrolled to a different topic.  The topic ID is a string.
+	*/
+	this.OnCurrentTopicChange = function (topicID)
+		{
+		this.currentTopicID = topicID;
+		this.UpdateCurrentEntry();
+		};
+
+
+	/* Function: UpdateCurrentEntry
+		Highlights the entry for <currentTopicID> and scrolls the summary panel so it's visible.
+	*/
+	this.UpdateCurrentEntry = function ()
+		{
+		var content = document.getElementById("SuContent");
+
+		if (content == undefined)
+			{  return;  }
+
+		var oldEntry = content.getElementsByClassName("Current")[0];
+
+		if (oldEntry != undefined)
+			{  oldEntry.classList.remove("Current");  }
+
+		if (this.currentTopicID == undefined)
+			{  return;  }
+
+		var entry = document.getElementById("SuEntry" + this.currentTopicID);
+
+		if (entry == undefined)
+			{  return;  }
+
+		entry.classList.add("Current");
+
+
+		// Scroll the panel just enough to show the entry.  The summary is positioned so it's the entry's offset parent.
+
+		var summary = document.getElementById("NDSummary");
+
+		if (entry.offsetTop < summary.scrollTop)
+			{  summary.scrollTop = entry.offsetTop;  }
+		else if (entry.offsetTop + entry.offsetHeight > summary.scrollTop + summary.clientHeight)
+			{  summary.scrollTop = entry.offsetTop + entry.offsetHeight - summary.clientHeight;  }
+		};
+
+
+	/* Function: GoToAdjacentEntry
+		Navigates to the summary entry before or after the current location.  Offset should be -1 for the previous entry or 1
+		for the next one.  Returns whether there was an entry to go to.
+	*/
+	this.GoToAdjacentEntry = function (offset)
+		{
+		var content = document.getElementById("SuContent");
+
+		if (content == undefined)
+			{  return false;  }
+
+		var entries = content.getElementsByClassName("SuEntry");
+
+		if (entries.length == 0)
+			{  return false;  }
+
+		var currentHashString = NDFramePage.currentLocation.hashString;
+		var currentIndex = -1;
+
+		for (var i = 0; i < entries.length; i++)
+			{
+			if (NDCore.NormalizeHash(entries[i].getAttribute("href")) == currentHashString)
+				{
+				currentIndex = i;
+				break;
+				}
+			}
+
+		var newIndex;
+
+		// If we're not on any entry, such as at the top of the file, start from the appropriate end.
+		if (currentIndex == -1)
+			{  newIndex = (offset > 0 ? 0 : entries.length - 1);  }
+		else
+			{  newIndex = currentIndex + offset;  }
+
+		if (newIndex < 0 || newIndex >= entries.length)
+			{  return false;  }
+
+		window.location.hash = entries[newIndex].getAttribute("href");
+		return true;
 		};
 
 
@@ -392,6 +564,18 @@ var NDSummary = new function ()
 		A hash mapping topic IDs to the complete HTML of the tooltip.
 	*/
 
+	/* var: summaryLoadFailed
+		Whether the summary data file for the current location couldn't be loaded.
+	*/
+
+	/* var: currentTopicID
+		The ID of the topic the reader has scrolled to in the content page as a string, or undefined if it isn't known.
+	*/
+
+	/* var: scrollPositionToRestore
+		The vertical scroll position <RestoreScrollPosition()> should apply once the summary is built, or undefined if none.
+	*/
+
 	/* var: showingToolTip
 		The topic ID of the tooltip being displayed, or undefined if none.
 	*/
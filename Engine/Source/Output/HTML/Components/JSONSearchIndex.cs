@@ -10,6 +10,8 @@
  *		- Create a JSSearchData object.
  *		- Call <ConvertToJSON()>.
  *		- Call <BuildIndexDataFile()> and <BuildPrefixDataFile()> as necessary.
+ *		- Call <BuildBodyIndexDataFile()> and <BuildBodyPrefixDataFile()> as necessary.
+ *		- Call <BuildAbbreviationIndexDataFile()> and <BuildAbbreviationPrefixDataFile()> as necessary.
  *
  * Threading: Not Thread Safe
  *
@@ -27,6 +29,7 @@ using System.Collections.Generic;
 using System.Globalization;
 using System.Text;
 using CodeClear.NaturalDocs.Engine.CommentTypes;
+using CodeClear.NaturalDocs.Engine.Languages;
 
 
 namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
@@ -43,6 +46,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 		public JSONSearchIndex (Context context) : base (context)
 			{
 			usedCommentTypes = null;
+			usedLanguages = null;
 			}
 
 
@@ -69,8 +73,63 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 		 */
 		public void BuildIndexDataFile ()
 			{
-			var prefixes = context.Target.SearchIndex.UsedPrefixes();
+			var usedPrefixes = context.Target.SearchIndex.UsedPrefixes();
+			var prefixes = new List<string>(usedPrefixes.Count);
 
+			foreach (var prefix in usedPrefixes)
+				{
+				if (SearchIndex.IsKeywordPrefix(prefix))
+					{  prefixes.Add(prefix);  }
+				}
+
+			BuildPrefixIndexFile(prefixes, "NDSearch.OnPrefixIndexLoaded",
+										Paths.SearchIndex.IndexOutputFile(context.Target.OutputFolder));
+			}
+
+
+		/* Function: BuildBodyIndexDataFile
+		 * Creates the body prefix index data file as described in <JavaScript Search Data>.
+		 */
+		public void BuildBodyIndexDataFile ()
+			{
+			var usedPrefixes = context.Target.SearchIndex.UsedPrefixes();
+			var prefixes = new List<string>();
+
+			foreach (var prefix in usedPrefixes)
+				{
+				if (SearchIndex.IsBodyPrefix(prefix))
+					{  prefixes.Add( SearchIndex.RemoveBodyPrefixMarker(prefix) );  }
+				}
+
+			BuildPrefixIndexFile(prefixes, "NDSearch.OnBodyPrefixIndexLoaded",
+										Paths.SearchIndex.BodyIndexOutputFile(context.Target.OutputFolder));
+			}
+
+
+		/* Function: BuildAbbreviationIndexDataFile
+		 * Creates the abbreviation prefix index data file as described in <JavaScript Search Data>.
+		 */
+		public void BuildAbbreviationIndexDataFile ()
+			{
+			var usedPrefixes = context.Target.SearchIndex.UsedPrefixes();
+			var prefixes = new List<string>();
+
+			foreach (var prefix in usedPrefixes)
+				{
+				if (SearchIndex.IsAbbreviationPrefix(prefix))
+					{  prefixes.Add( SearchIndex.RemoveAbbreviationPrefixMarker(prefix) );  }
+				}
+
+			BuildPrefixIndexFile(prefixes, "NDSearch.OnAbbreviationPrefixIndexLoaded",
+										Paths.SearchIndex.AbbreviationIndexOutputFile(context.Target.OutputFolder));
+			}
+
+
+		/* Function: BuildPrefixIndexFile
+		 * Sorts the passed list of prefixes and writes it to a file as a parameter of the passed JavaScript function.
+		 */
+		protected void BuildPrefixIndexFile (List<string> prefixes, string functionName, Path path)
+			{
 			prefixes.Sort(
 				delegate (string a, string b)
 					{
@@ -82,7 +141,8 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 
 			StringBuilder output = new StringBuilder();
 
-			output.Append("NDSearch.OnPrefixIndexLoaded([");
+			output.Append(functionName);
+			output.Append("([");
 
 			int prefixCountOnLine = 0;
 			bool firstPrefixOnLine = true;
@@ -122,7 +182,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 
 			output.Append("]);");
 
-			WriteTextFile(Paths.SearchIndex.IndexOutputFile(context.Target.OutputFolder), output.ToString());
+			WriteTextFile(path, output.ToString());
 			}
 
 
@@ -138,7 +198,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 			Path path = Paths.SearchIndex.PrefixOutputFile(context.Target.OutputFolder, prefix);
 
 
-			// Get and sort the keywords and topics
+			// Get the keywords and topics
 
 			var keywordEntries = GetPrefixKeywords(prefix, accessor, cancelDelegate);
 
@@ -150,6 +210,47 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 				return;
 				}
 
+			BuildKeywordDataFile(keywordEntries, "NDSearch.OnPrefixDataLoaded", prefix, path);
+			}
+
+
+		/* Function: BuildAbbreviationPrefixDataFile
+		 *
+		 * Creates a data file for a single abbreviation prefix as described in <JavaScript Search Data>.  The prefix should include
+		 * <SearchIndex.Manager.AbbreviationPrefixMarker>.  It requires a <CodeDB.Accessor> to be able to get information about
+		 * each search result.
+		 *
+		 * Pass a <CancelDelegate> if you need to be able to interrupt the process, or <Delegates.NeverCancel> if not.
+		 */
+		public void BuildAbbreviationPrefixDataFile (string prefix, CodeDB.Accessor accessor, CancelDelegate cancelDelegate)
+			{
+			string outputPrefix = SearchIndex.RemoveAbbreviationPrefixMarker(prefix);
+			Path path = Paths.SearchIndex.AbbreviationPrefixOutputFile(context.Target.OutputFolder, outputPrefix);
+
+			var keywordEntries = SearchIndex.GetAbbreviationEntries(prefix, accessor, cancelDelegate);
+
+			if (keywordEntries == null || keywordEntries.Count == 0)
+				{
+				if (System.IO.File.Exists(path))
+					{  System.IO.File.Delete(path);  }
+
+				return;
+				}
+
+			BuildKeywordDataFile(keywordEntries, "NDSearch.OnAbbreviationPrefixDataLoaded", outputPrefix, path);
+			}
+
+
+		/* Function: BuildKeywordDataFile
+		 * Sorts the passed keyword entries and writes them to a file as the parameters of the passed JavaScript function.  This is
+		 * shared by <BuildPrefixDataFile()> and <BuildAbbreviationPrefixDataFile()> since they use the same format.
+		 */
+		protected void BuildKeywordDataFile (List<SearchIndex.Entries.Keyword> keywordEntries, string functionName, string prefix,
+															 Path path)
+			{
+
+			// Sort the keywords and topics
+
 			SortKeywordEntries(keywordEntries);
 
 			foreach (var keywordEntry in keywordEntries)
@@ -159,13 +260,18 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 				}
 
 
-			// Build the list of all used comment types
+			// Build the lists of all used comment types and languages
 
 			if (usedCommentTypes == null)
 				{  usedCommentTypes = new List<CommentType>();  }
 			else
 				{  usedCommentTypes.Clear();  }
 
+			if (usedLanguages == null)
+				{  usedLanguages = new List<Language>();  }
+			else
+				{  usedLanguages.Clear();  }
+
 			foreach (var keywordEntry in keywordEntries)
 				{
 				foreach (var topicEntry in keywordEntry.TopicEntries)
@@ -174,6 +280,11 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 
 					if (UsedCommentTypeIndex(commentTypeID) == -1)
 						{  usedCommentTypes.Add( EngineInstance.CommentTypes.FromID(commentTypeID));  }
+
+					int languageID = topicEntry.WrappedTopic.LanguageID;
+
+					if (UsedLanguageIndex(languageID) == -1)
+						{  usedLanguages.Add( EngineInstance.Languages.FromID(languageID));  }
 					}
 				}
 
@@ -183,7 +294,8 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 			StringBuilder output = new StringBuilder();
 			bool addWhitespace = !EngineInstance.Config.ShrinkFiles;
 
-			output.Append("NDSearch.OnPrefixDataLoaded(\"");
+			output.Append(functionName);
+			output.Append("(\"");
 			output.StringEscapeAndAppend(prefix);
 			output.Append("\",");
 
@@ -193,6 +305,12 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 			AppendUsedCommentTypes(output);
 			output.Append(',');
 
+			if (addWhitespace)
+				{  output.Append("\n   ");  }
+
+			AppendUsedLanguages(output);
+			output.Append(',');
+
 			if (addWhitespace)
 				{  output.Append("\n   ");  }
 
@@ -222,6 +340,108 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 			}
 
 
+		/* Function: BuildBodyPrefixDataFile
+		 *
+		 * Creates a data file for a single body prefix as described in <JavaScript Search Data>.  The prefix should include
+		 * <SearchIndex.Manager.BodyPrefixMarker>.  It requires a <CodeDB.Accessor> to be able to get the body of each topic.
+		 *
+		 * Pass a <CancelDelegate> if you need to be able to interrupt the process, or <Delegates.NeverCancel> if not.
+		 */
+		public void BuildBodyPrefixDataFile (string prefix, CodeDB.Accessor accessor, CancelDelegate cancelDelegate)
+			{
+			string outputPrefix = SearchIndex.RemoveBodyPrefixMarker(prefix);
+			Path path = Paths.SearchIndex.BodyPrefixOutputFile(context.Target.OutputFolder, outputPrefix);
+
+
+			// Get and sort the topics
+
+			var bodyEntries = SearchIndex.GetBodyEntries(prefix, accessor, cancelDelegate);
+
+			if (bodyEntries == null || bodyEntries.Count == 0)
+				{
+				if (System.IO.File.Exists(path))
+					{  System.IO.File.Delete(path);  }
+
+				return;
+				}
+
+			bodyEntries.Sort(
+				delegate (KeyValuePair<SearchIndex.Entries.Topic, SearchIndex.Entries.BodyText> a,
+							   KeyValuePair<SearchIndex.Entries.Topic, SearchIndex.Entries.BodyText> b)
+					{
+					int result = string.Compare(a.Key.DisplayName, b.Key.DisplayName, true);
+
+					if (result != 0)
+						{  return result;  }
+
+					return (a.Key.WrappedTopic.TopicID - b.Key.WrappedTopic.TopicID);
+					}
+				);
+
+
+			// Build the list of all used comment types
+
+			if (usedCommentTypes == null)
+				{  usedCommentTypes = new List<CommentType>();  }
+			else
+				{  usedCommentTypes.Clear();  }
+
+			foreach (var bodyEntry in bodyEntries)
+				{
+				int commentTypeID = bodyEntry.Key.WrappedTopic.CommentTypeID;
+
+				if (UsedCommentTypeIndex(commentTypeID) == -1)
+					{  usedCommentTypes.Add( EngineInstance.CommentTypes.FromID(commentTypeID));  }
+				}
+
+
+			// Build the output
+
+			StringBuilder output = new StringBuilder();
+			bool addWhitespace = !EngineInstance.Config.ShrinkFiles;
+
+			output.Append("NDSearch.OnBodyPrefixDataLoaded(\"");
+			output.StringEscapeAndAppend(outputPrefix);
+			output.Append("\",");
+
+			if (addWhitespace)
+				{  output.Append("\n   ");  }
+
+			AppendUsedCommentTypes(output);
+			output.Append(',');
+
+			if (addWhitespace)
+				{  output.Append("\n   ");  }
+
+			output.Append('[');
+
+			bool isFirstBodyEntry = true;
+
+			foreach (var bodyEntry in bodyEntries)
+				{
+				if (isFirstBodyEntry)
+					{  isFirstBodyEntry = false;  }
+				else
+					{  output.Append(',');  }
+
+				if (addWhitespace)
+					{  output.Append("\n\n   ");  }
+
+				AppendBodyTopic(bodyEntry.Key, bodyEntry.Value, outputPrefix, output);
+				}
+
+			if (addWhitespace)
+				{  output.Append("\n\n");  }
+
+			output.Append("]);");
+
+
+			// Write it to the file
+
+			WriteTextFile(path, output.ToString());
+			}
+
+
 
 		// Group: Support Functions
 		// __________________________________________________________________________
@@ -439,7 +659,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 
 
 		/* Function: AppendKeyword
-		 * Appends the keyword entry as a JSON array.
+		 * Appends the keyword entry as a JSON array.  <SearchIndex.Entries.Keyword.Abbreviation> is only included if it's set.
 		 */
 		protected void AppendKeyword (SearchIndex.Entries.Keyword keywordEntry, StringBuilder output)
 			{
@@ -500,7 +720,16 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 			if (addWhitespace)
 				{  output.Append("\n   ");  }
 
-			output.Append("]]");
+			output.Append(']');
+
+			if (keywordEntry.Abbreviation != null)
+				{
+				output.Append(",\"");
+				output.StringEscapeAndAppend(keywordEntry.Abbreviation);
+				output.Append('"');
+				}
+
+			output.Append(']');
 			}
 
 
@@ -579,6 +808,73 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 
 			output.Append('"');
 
+			output.Append(',');
+
+			if (topicEntry.WrappedTopic.ClassID != 0)
+				{
+				output.Append('"');
+
+				Context classContext = new Context(context.Target, topicEntry.WrappedTopic.ClassID, topicEntry.WrappedTopic.ClassString,
+																	  topicEntry.WrappedTopic);
+				output.StringEscapeAndAppend(classContext.HashPath);
+
+				output.Append('"');
+				}
+
+			output.Append(',');
+			output.Append(UsedLanguageIndex(topicEntry.WrappedTopic.LanguageID));
+
+			output.Append(']');
+			}
+
+
+		/* Function: AppendBodyTopic
+		 * Appends a topic entry and its <BodyText> as a JSON array for a body prefix data file.  The prefix should not include
+		 * <SearchIndex.Manager.BodyPrefixMarker>.
+		 */
+		protected void AppendBodyTopic (SearchIndex.Entries.Topic topicEntry, SearchIndex.Entries.BodyText bodyText, string prefix,
+														 StringBuilder output)
+			{
+			output.Append("[\"");
+			output.StringEscapeAndAppend(topicEntry.DisplayName.ToHTML());
+			output.Append("\",");
+
+			output.Append(UsedCommentTypeIndex(topicEntry.WrappedTopic.CommentTypeID));
+
+			output.Append(",\"");
+
+
+			// Only the words that apply to this prefix are included.
+
+			bool isFirstWord = true;
+
+			foreach (var word in bodyText.Words)
+				{
+				if (word.StartsWith(prefix, StringComparison.Ordinal))
+					{
+					if (isFirstWord)
+						{  isFirstWord = false;  }
+					else
+						{  output.Append(' ');  }
+
+					output.StringEscapeAndAppend(word);
+					}
+				}
+
+			output.Append("\",\"");
+
+			string snippet = bodyText.GetSnippet(prefix);
+
+			if (snippet != null)
+				{  output.StringEscapeAndAppend(snippet.ToHTML());  }
+
+			output.Append("\",\"");
+
+			Context fileContext = new Context(context.Target, topicEntry.WrappedTopic.FileID, topicEntry.WrappedTopic);
+			output.StringEscapeAndAppend(fileContext.HashPath);
+
+			output.Append('"');
+
 			if (topicEntry.WrappedTopic.ClassID != 0)
 				{
 				output.Append(",\"");
@@ -615,6 +911,27 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 			}
 
 
+		/* Function: AppendUsedLanguages
+		 * Appends <usedLanguages> to the output as a JSON array.
+		 */
+		protected void AppendUsedLanguages (StringBuilder output)
+			{
+			output.Append('[');
+
+			for (int i = 0; i < usedLanguages.Count; i++)
+				{
+				if (i != 0)
+					{  output.Append(',');  }
+
+				output.Append('"');
+				output.StringEscapeAndAppend(usedLanguages[i].SimpleIdentifier);
+				output.Append('"');
+				}
+
+			output.Append(']');
+			}
+
+
 		/* Function: UsedCommentTypeIndex
 		 * Returns the index of the passed comment type ID in <usedCommentTypes>, or -1 if it isn't in the list.
 		 */
@@ -631,6 +948,22 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 
 
 
+		/* Function: UsedLanguageIndex
+		 * Returns the index of the passed language ID in <usedLanguages>, or -1 if it isn't in the list.
+		 */
+		protected int UsedLanguageIndex (int languageID)
+			{
+			for (int i = 0; i < usedLanguages.Count; i++)
+				{
+				if (usedLanguages[i].ID == languageID)
+					{  return i;  }
+				}
+
+			return -1;
+			}
+
+
+
 		// Group: Properties
 		// __________________________________________________________________________
 
@@ -655,5 +988,10 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Components
 		 */
 		protected List<CommentType> usedCommentTypes;
 
+		/* var: usedLanguages
+		 * A list of the <Languages> used by the prefix currently being built.
+		 */
+		protected List<Language> usedLanguages;
+
 		}
 	}
@@ -57,7 +57,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.ConfigFiles
 					{
 					result = false;
 					}
-				else if (!binaryFile.Version.IsAtLeastRelease("2.3.1") &&  // Rebuild all output for 2.3.1
+				else if (!binaryFile.Version.IsAtLeastRelease("2.4") &&  // Rebuild all output for 2.4, which added the service worker flag
 						  !binaryFile.Version.IsSamePreRelease(Engine.Instance.Version))
 					{
 					binaryFile.Close();
@@ -73,12 +73,14 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.ConfigFiles
 					// [Byte: Need to Build Main Style Files (0 or 1)]
 					// [Byte: Need to Build Menu (0 or 1)]
 					// [Byte: Need to Build Main Search Files (0 or 1)]
+					// [Byte: Need to Build Service Worker (0 or 1)]
 
 					unprocessedChanges.framePage = (binaryFile.ReadByte() == 1);
 					unprocessedChanges.homePage = (binaryFile.ReadByte() == 1);
 					unprocessedChanges.mainStyleFiles = (binaryFile.ReadByte() == 1);
 					unprocessedChanges.menu = (binaryFile.ReadByte() == 1);
 					unprocessedChanges.mainSearchFiles = (binaryFile.ReadByte() == 1);
+					unprocessedChanges.serviceWorker = (binaryFile.ReadByte() == 1);
 
 
 					// Build Sets
@@ -202,12 +204,14 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.ConfigFiles
 				// [Byte: Need to Build Main Style Files (0 or 1)]
 				// [Byte: Need to Build Menu (0 or 1)]
 				// [Byte: Need to Build Main Search Files (0 or 1)]
+				// [Byte: Need to Build Service Worker (0 or 1)]
 
 				binaryFile.WriteByte( (byte)(unprocessedChanges.framePage ? 1 : 0) );
 				binaryFile.WriteByte( (byte)(unprocessedChanges.homePage ? 1 : 0) );
 				binaryFile.WriteByte( (byte)(unprocessedChanges.mainStyleFiles ? 1 : 0) );
 				binaryFile.WriteByte( (byte)(unprocessedChanges.menu ? 1 : 0) );
 				binaryFile.WriteByte( (byte)(unprocessedChanges.mainSearchFiles ? 1 : 0) );
+				binaryFile.WriteByte( (byte)(unprocessedChanges.serviceWorker ? 1 : 0) );
 
 
 				// Build Sets
@@ -43,7 +43,8 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.ConfigFiles
 					{
 					result = false;
 					}
-				else if (binaryFile.Version.IsAtLeastRelease("2.0") == false &&
+				// 2.4 added body prefixes, so older files need to be rebuilt to include them.
+				else if (binaryFile.Version.IsAtLeastRelease("2.4") == false &&
 						   binaryFile.Version.IsSamePreRelease(Engine.Instance.Version) == false)
 					{
 					binaryFile.Close();
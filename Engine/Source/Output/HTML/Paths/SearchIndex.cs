@@ -48,18 +48,113 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Paths
 		 *		targetOutputFolder + prefix + fileNameOnly - 006a0073006f.js
 		 */
 		static public Path PrefixOutputFile (Path targetOutputFolder, string prefix, bool fileNameOnly = false)
+			{
+			return PrefixDataFile(targetOutputFolder, "keywords", prefix, fileNameOnly);
+			}
+
+
+		/* Function: BodyIndexOutputFile
+		 *
+		 * Returns the file name of the JavaScript data file which stores the index of all the body prefix data files.
+		 *
+		 * Examples:
+		 *
+		 *		targetOutputFolder - C:\Project\Documentation\search\body\index.js
+		 *		targetOutputFolder + fileNameOnly - index.js
+		 */
+		static public Path BodyIndexOutputFile (Path targetOutputFolder, bool fileNameOnly = false)
+			{
+			if (fileNameOnly)
+				{  return "index.js";  }
+			else
+				{  return (targetOutputFolder + "/search/body/index.js");  }
+			}
+
+
+		/* Function: BodyPrefixOutputFile
+		 *
+		 * Returns the file name of the JavaScript data file for the passed body prefix.  The prefix should not include
+		 * <HTML.SearchIndex.Manager.BodyPrefixMarker>.
+		 *
+		 * Examples:
+		 *
+		 *		targetOutputFolder + prefix - C:\Project\Documentation\search\body\006a0073006f.js
+		 *		targetOutputFolder + prefix + fileNameOnly - 006a0073006f.js
+		 */
+		static public Path BodyPrefixOutputFile (Path targetOutputFolder, string prefix, bool fileNameOnly = false)
+			{
+			return PrefixDataFile(targetOutputFolder, "body", prefix, fileNameOnly);
+			}
+
+
+		/* Function: AbbreviationIndexOutputFile
+		 *
+		 * Returns the file name of the JavaScript data file which stores the index of all the abbreviation prefix data files.
+		 *
+		 * Examples:
+		 *
+		 *		targetOutputFolder - C:\Project\Documentation\search\abbreviations\index.js
+		 *		targetOutputFolder + fileNameOnly - index.js
+		 */
+		static public Path AbbreviationIndexOutputFile (Path targetOutputFolder, bool fileNameOnly = false)
+			{
+			if (fileNameOnly)
+				{  return "index.js";  }
+			else
+				{  return (targetOutputFolder + "/search/abbreviations/index.js");  }
+			}
+
+
+		/* Function: AbbreviationPrefixOutputFile
+		 *
+		 * Returns the file name of the JavaScript data file for the passed abbreviation prefix.  The prefix should not include
+		 * <HTML.SearchIndex.Manager.AbbreviationPrefixMarker>.
+		 *
+		 * Examples:
+		 *
+		 *		targetOutputFolder + prefix - C:\Project\Documentation\search\abbreviations\006700730069.js
+		 *		targetOutputFolder + prefix + fileNameOnly - 006700730069.js
+		 */
+		static public Path AbbreviationPrefixOutputFile (Path targetOutputFolder, string prefix, bool fileNameOnly = false)
+			{
+			return PrefixDataFile(targetOutputFolder, "abbreviations", prefix, fileNameOnly);
+			}
+
+
+		/* Function: OutputFolder
+		 * Returns the root output folder for search index data files.
+		 */
+		static public Path OutputFolder (Path targetOutputFolder)
+			{
+			return targetOutputFolder + "/search";
+			}
+
+
+		/* Function: PrefixDataFile
+		 *
+		 * Returns the file name of the JavaScript data file for the passed prefix in the passed subfolder of <OutputFolder()>.
+		 * The file name is the hex value of each lowercase character in the prefix.
+		 *
+		 * Examples:
+		 *
+		 *		targetOutputFolder + folderName + prefix - C:\Project\Documentation\search\[folderName]\006a0073006f.js
+		 *		targetOutputFolder + folderName + prefix + fileNameOnly - 006a0073006f.js
+		 */
+		static private Path PrefixDataFile (Path targetOutputFolder, string folderName, string prefix, bool fileNameOnly)
 			{
 			#if DEBUG
 			if (prefix.Length > 3)
-				{  throw new Exception ("PrefixOutputFile assumes the prefix will be 3 characters or less.");  }
+				{  throw new Exception ("PrefixDataFile assumes the prefix will be 3 characters or less.");  }
 			#endif
 
-			StringBuilder result = new StringBuilder( (fileNameOnly ? 15 : targetOutputFolder.Length + 17 + 15) );
+			StringBuilder result = new StringBuilder( (fileNameOnly ? 15 : targetOutputFolder.Length + folderName.Length + 10 + 15) );
 
 			if (!fileNameOnly)
 				{
 				result.Append(targetOutputFolder);
-				result.Append("/search/keywords/");
+				result.Append("/search/");
+				result.Append(folderName);
+				result.Append('/');
 				}
 
 			for (int i = 0; i < prefix.Length; i++)
@@ -72,14 +167,5 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.Paths
 			return result.ToString();
 			}
 
-
-		/* Function: OutputFolder
-		 * Returns the root output folder for search index data files.
-		 */
-		static public Path OutputFolder (Path targetOutputFolder)
-			{
-			return targetOutputFolder + "/search";
-			}
-
 		}
 	}
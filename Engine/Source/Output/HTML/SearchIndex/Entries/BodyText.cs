@@ -0,0 +1,272 @@
+﻿/*
+ * Class: CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries.BodyText
+ * ____________________________________________________________________________
+ *
+ * The body of a topic converted into a form that can be used for full text search.  It strips the <NDMarkup> down to
+ * plain text, breaks it into words, and generates snippets showing where a word appears.
+ *
+ */
+
+// This file is part of Natural Docs, which is Copyright © 2003-2025 Code Clear LLC.
+// Natural Docs is licensed under version 3 of the GNU Affero General Public License (AGPL)
+// Refer to License.txt for the complete details
+
+
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Text;
+using CodeClear.NaturalDocs.Engine.Collections;
+
+
+namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
+	{
+	public class BodyText : Entry
+		{
+
+		// Group: Functions
+		// __________________________________________________________________________
+
+
+		/* Constructor: BodyText
+		 * Creates the body text from a topic.  If the topic doesn't have a body, or it was retrieved with <Topic.IgnoreFields.Body>,
+		 * <PlainText> will be an empty string and <Words> will be an empty list.
+		 */
+		public BodyText (Engine.Topics.Topic topic) : base ()
+			{
+			if ((topic.IgnoredFields & Engine.Topics.Topic.IgnoreFields.Body) != 0 || topic.Body == null)
+				{  plainText = "";  }
+			else
+				{  plainText = NDMarkupToPlainText(topic.Body);  }
+
+			words = new List<string>();
+			wordIndexes = new List<int>();
+
+			StringSet addedWords = new StringSet(KeySettings.Literal);
+			int index = 0;
+
+			while (index < plainText.Length)
+				{
+				if (!IsWordChar(plainText[index]))
+					{
+					index++;
+					continue;
+					}
+
+				int wordStart = index;
+
+				do
+					{  index++;  }
+				while (index < plainText.Length && IsWordChar(plainText[index]));
+
+				string word = plainText.Substring(wordStart, index - wordStart).ToLower(CultureInfo.InvariantCulture);
+
+				if (word.Length >= MinimumWordLength &&
+					!IsAllDigits(word) &&
+					Array.IndexOf(StopWords, word) == -1 &&
+					!addedWords.Contains(word))
+					{
+					addedWords.Add(word);
+					words.Add(word);
+					wordIndexes.Add(wordStart);
+					}
+				}
+			}
+
+
+		/* Function: GetSnippet
+		 * Returns a short excerpt of <PlainText> around the first word that starts with the passed prefix, or null if there
+		 * aren't any.  Ellipses are added to either side if it doesn't include the beginning or end of the text.
+		 */
+		public string GetSnippet (string prefix)
+			{
+			int wordIndex = -1;
+
+			for (int i = 0; i < words.Count; i++)
+				{
+				if (words[i].StartsWith(prefix, StringComparison.Ordinal))
+					{
+					wordIndex = wordIndexes[i];
+					break;
+					}
+				}
+
+			if (wordIndex == -1)
+				{  return null;  }
+
+			int start = wordIndex - SnippetCharactersBefore;
+			int end = wordIndex + SnippetCharactersAfter;
+
+			// Expand to word boundaries so we don't cut them in half.
+
+			if (start <= 0)
+				{  start = 0;  }
+			else
+				{
+				while (start < wordIndex && !char.IsWhiteSpace(plainText[start - 1]))
+					{  start++;  }
+				}
+
+			if (end >= plainText.Length)
+				{  end = plainText.Length;  }
+			else
+				{
+				while (end > wordIndex && !char.IsWhiteSpace(plainText[end]))
+					{  end--;  }
+				}
+
+			string snippet = plainText.Substring(start, end - start).Trim();
+
+			if (start > 0)
+				{  snippet = "…" + snippet;  }
+			if (end < plainText.Length)
+				{  snippet += "…";  }
+
+			return snippet;
+			}
+
+
+		/* Function: NDMarkupToPlainText
+		 * Converts <NDMarkup> to plain text.  Tags are removed, entity characters are decoded, links are replaced by their text,
+		 * and whitespace is condensed.
+		 */
+		static public string NDMarkupToPlainText (string ndMarkup)
+			{
+			StringBuilder output = new StringBuilder(ndMarkup.Length);
+			NDMarkup.Iterator iterator = new NDMarkup.Iterator(ndMarkup);
+
+			while (iterator.IsInBounds)
+				{
+				switch (iterator.Type)
+					{
+					case NDMarkup.Iterator.ElementType.Text:
+						iterator.AppendTo(output);
+						break;
+
+					case NDMarkup.Iterator.ElementType.LTEntityChar:
+					case NDMarkup.Iterator.ElementType.GTEntityChar:
+					case NDMarkup.Iterator.ElementType.AmpEntityChar:
+					case NDMarkup.Iterator.ElementType.QuoteEntityChar:
+						iterator.EntityDecodeAndAppendTo(output);
+						break;
+
+					case NDMarkup.Iterator.ElementType.LinkTag:
+						string linkType = iterator.Property("type");
+
+						if (linkType == "naturaldocs")
+							{  output.Append(iterator.Property("originaltext"));  }
+						else
+							{  output.Append(iterator.Property("text") ?? iterator.Property("target"));  }
+						break;
+
+					case NDMarkup.Iterator.ElementType.BoldTag:
+					case NDMarkup.Iterator.ElementType.ItalicsTag:
+					case NDMarkup.Iterator.ElementType.UnderlineTag:
+						// Inline formatting doesn't separate words.
+						break;
+
+					default:
+						// Every other tag is a block element or a line break, so make sure the words on either side stay separate.
+						output.Append(' ');
+						break;
+					}
+
+				iterator.Next();
+				}
+
+			return output.ToString().CondenseWhitespace().Trim();
+			}
+
+
+		/* Function: IsWordChar
+		 * Whether the passed character can be part of a word for body text search.
+		 */
+		static public bool IsWordChar (char character)
+			{
+			return (char.IsLetterOrDigit(character) || character == '_');
+			}
+
+
+		/* Function: IsAllDigits
+		 */
+		static protected bool IsAllDigits (string word)
+			{
+			foreach (char character in word)
+				{
+				if (character < '0' || character > '9')
+					{  return false;  }
+				}
+
+			return true;
+			}
+
+
+
+		// Group: Properties
+		// __________________________________________________________________________
+
+
+		/* Property: PlainText
+		 * The topic body as plain text with condensed whitespace.
+		 */
+		public string PlainText
+			{
+			get
+				{  return plainText;  }
+			}
+
+		/* Property: Words
+		 * A list of all the distinct words in <PlainText> in lowercase, in the order they first appear.  Words shorter than
+		 * <MinimumWordLength>, numbers, and <StopWords> are not included.
+		 */
+		public List<string> Words
+			{
+			get
+				{  return words;  }
+			}
+
+
+
+		// Group: Constants
+		// __________________________________________________________________________
+
+		/* Constant: MinimumWordLength
+		 * The shortest word that will be included in <Words>.  This is the same as the prefix length so every word fills its own
+		 * prefix.
+		 */
+		public const int MinimumWordLength = 3;
+
+		/* Constant: SnippetCharactersBefore
+		 * The number of characters before the word to include in <GetSnippet()>.
+		 */
+		public const int SnippetCharactersBefore = 40;
+
+		/* Constant: SnippetCharactersAfter
+		 * The number of characters after the start of the word to include in <GetSnippet()>.
+		 */
+		public const int SnippetCharactersAfter = 80;
+
+		/* Constant: StopWords
+		 * Common words that would appear in almost every topic and thus aren't useful for searching.
+		 */
+		static public readonly string[] StopWords = {
+			"the", "and", "for", "are", "but", "not", "you", "all", "any", "can", "was", "one", "our", "has", "its", "this", "that", "with",
+			"from", "they", "will", "have", "which", "when", "there", "their", "what", "been", "into", "than", "then", "them", "these",
+			"also", "such", "should", "would", "could"
+			};
+
+
+
+		// Group: Variables
+		// __________________________________________________________________________
+
+		protected string plainText;
+		protected List<string> words;
+
+		/* var: wordIndexes
+		 * The index into <plainText> where each entry in <words> first appears.
+		 */
+		protected List<int> wordIndexes;
+
+		}
+	}
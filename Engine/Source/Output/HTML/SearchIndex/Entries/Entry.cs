@@ -13,6 +13,7 @@
 
 using System;
 using System.Globalization;
+using System.Text;
 
 
 namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
@@ -110,5 +111,63 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
 			return text;
 			}
 
+
+		/* Function: GetAbbreviation
+		 *
+		 * Returns the lowercase initials of each word in the passed text, or null if there are fewer than two.  This is used so that
+		 * searching for "gsi" can find "GetSearchInterpretations".
+		 *
+		 * A word starts at any letter or digit that follows a character which isn't one, so "get_search" and "get search" are both
+		 * "gs".  Within a run of letters and digits a word also starts at:
+		 *
+		 * - An uppercase letter after a lowercase letter or a digit, so "getSearch" is "gs" and "Vector3D" is "v3d".
+		 * - A digit after a letter, so "utf8" is "u8".
+		 * - The last uppercase letter of an acronym when it's followed by a lowercase letter, so "HTTPServer" is "hs".
+		 */
+		static public string GetAbbreviation (string text)
+			{
+			// DEPENDENCY: If this changes NDSearch.GetInitialIndexes() must be updated to match.
+
+			StringBuilder abbreviation = null;
+
+			for (int i = 0; i < text.Length; i++)
+				{
+				char currentChar = text[i];
+
+				if (!char.IsLetterOrDigit(currentChar))
+					{  continue;  }
+
+				bool isInitial;
+
+				if (i == 0 || !char.IsLetterOrDigit(text[i - 1]))
+					{  isInitial = true;  }
+				else if (char.IsUpper(currentChar))
+					{
+					char previousChar = text[i - 1];
+
+					isInitial = ( char.IsLower(previousChar) ||
+									 char.IsDigit(previousChar) ||
+									 (char.IsUpper(previousChar) && i + 1 < text.Length && char.IsLower(text[i + 1])) );
+					}
+				else if (char.IsDigit(currentChar))
+					{  isInitial = char.IsLetter(text[i - 1]);  }
+				else
+					{  isInitial = false;  }
+
+				if (isInitial)
+					{
+					if (abbreviation == null)
+						{  abbreviation = new StringBuilder();  }
+
+					abbreviation.Append(char.ToLower(currentChar, CultureInfo.InvariantCulture));
+					}
+				}
+
+			if (abbreviation == null || abbreviation.Length < 2)
+				{  return null;  }
+			else
+				{  return abbreviation.ToString();  }
+			}
+
 		}
 	}
@@ -30,6 +30,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
 			this.searchText = Normalize(displayName);
 
 			this.topicEntries = new List<Topic>();
+			this.abbreviation = null;
 			}
 
 
@@ -77,6 +78,17 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
 				{  return topicEntries;  }
 			}
 
+		/* Property: Abbreviation
+		 * The abbreviation the <TopicEntries> share if this entry was created for an abbreviation prefix, or null if it wasn't.
+		 */
+		public string Abbreviation
+			{
+			get
+				{  return abbreviation;  }
+			set
+				{  abbreviation = value;  }
+			}
+
 
 
 		// Group: Variables
@@ -85,6 +97,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
 		protected string displayName;
 		protected string searchText;
 		protected List<Topic> topicEntries;
+		protected string abbreviation;
 
 		}
 	}
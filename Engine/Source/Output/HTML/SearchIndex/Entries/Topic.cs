@@ -117,6 +117,8 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
 				{  AddKeywords(displayName, isDocumentation: commentType.IsDocumentation);  }
 			else
 				{  AddKeywords(displayName.Substring(endOfDisplayNameQualifiers), isDocumentation: commentType.IsDocumentation);  }
+
+			abbreviation = GetAbbreviation(displayName.Substring(endOfDisplayNameQualifiers));
 			}
 
 
@@ -283,6 +285,17 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
 				{  return keywords;  }
 			}
 
+		/* Property: Abbreviation
+		 * The initials of the main part of the symbol as generated by <Entry.GetAbbreviation()>, such as "gsi" for
+		 * "Package.GetSearchInterpretations".  Like <Keywords> it doesn't include the qualifiers.  This will be null if it
+		 * doesn't have at least two.
+		 */
+		public string Abbreviation
+			{
+			get
+				{  return abbreviation;  }
+			}
+
 
 
 		// Group: Variables
@@ -294,6 +307,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex.Entries
 		protected string searchText;
 		protected int endOfSearchTextQualifiers;
 		protected List<string> keywords;
+		protected string abbreviation;
 
 
 
@@ -260,6 +260,146 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 			}
 
 
+		/* Function: GetBodyEntries
+		 * Returns a list of all the <Entries.Topics> for a body prefix along with their <BodyText>.  If there are none it will return null.
+		 * The returned list will not be in any particular order.
+		 */
+		public List<KeyValuePair<SearchIndex.Entries.Topic, BodyText>> GetBodyEntries (string prefix, CodeDB.Accessor accessor, CancelDelegate cancelDelegate)
+			{
+			#if DEBUG
+			if (!IsBodyPrefix(prefix))
+				{  throw new Exception("Called GetBodyEntries() with \"" + prefix + "\" which isn't a body prefix.");  }
+			#endif
+
+
+			// Retrieve the topics from the database
+
+			IDObjects.NumberSet topicIDs = PrefixTopicIDs(prefix);
+
+			if (topicIDs == null || topicIDs.IsEmpty)
+				{  return null;  }
+
+			List<Engine.Topics.Topic> topics = null;
+			bool releaseDBLock = false;
+
+			if (accessor.LockHeld == CodeDB.Accessor.LockType.None)
+				{
+				accessor.GetReadOnlyLock();
+				releaseDBLock = true;
+				}
+
+			try
+				{
+				// Unlike GetKeywordEntries() we need the full body here.
+				topics = accessor.GetTopicsByID(topicIDs, cancelDelegate, CodeDB.Accessor.GetTopicFlags.DontLookupContexts |
+																									 CodeDB.Accessor.GetTopicFlags.DontIncludeSummary |
+																									 CodeDB.Accessor.GetTopicFlags.DontIncludePrototype);
+				}
+			finally
+				{
+				if (releaseDBLock)
+					{  accessor.ReleaseLock();  }
+				}
+
+			if (cancelDelegate())
+				{  return null;  }
+
+
+			// Convert the topics into entries
+
+			var bodyEntries = new List<KeyValuePair<SearchIndex.Entries.Topic, BodyText>>(topics.Count);
+
+			foreach (var topic in topics)
+				{
+				bodyEntries.Add( new KeyValuePair<SearchIndex.Entries.Topic, BodyText>( new SearchIndex.Entries.Topic(topic, this), new BodyText(topic) ) );
+				}
+
+			return bodyEntries;
+			}
+
+
+		/* Function: GetAbbreviationEntries
+		 * Returns a list of <KeywordEntries> for an abbreviation prefix, complete with all their <TopicEntries>.  Each one is for a
+		 * distinct name and <Entries.Keyword.Abbreviation> will be set.  If there are none it will return null.  The returned list will
+		 * not be in any particular order.
+		 */
+		public List<Keyword> GetAbbreviationEntries (string prefix, CodeDB.Accessor accessor, CancelDelegate cancelDelegate)
+			{
+			#if DEBUG
+			if (!IsAbbreviationPrefix(prefix))
+				{  throw new Exception("Called GetAbbreviationEntries() with \"" + prefix + "\" which isn't an abbreviation prefix.");  }
+			#endif
+
+
+			// Retrieve the topics from the database
+
+			IDObjects.NumberSet topicIDs = PrefixTopicIDs(prefix);
+
+			if (topicIDs == null || topicIDs.IsEmpty)
+				{  return null;  }
+
+			List<Engine.Topics.Topic> topics = null;
+			bool releaseDBLock = false;
+
+			if (accessor.LockHeld == CodeDB.Accessor.LockType.None)
+				{
+				accessor.GetReadOnlyLock();
+				releaseDBLock = true;
+				}
+
+			try
+				{
+				topics = accessor.GetTopicsByID(topicIDs, cancelDelegate, CodeDB.Accessor.GetTopicFlags.BodyLengthOnly |
+																									 CodeDB.Accessor.GetTopicFlags.DontLookupContexts |
+																									 CodeDB.Accessor.GetTopicFlags.DontIncludeSummary |
+																									 CodeDB.Accessor.GetTopicFlags.DontIncludePrototype);
+				}
+			finally
+				{
+				if (releaseDBLock)
+					{  accessor.ReleaseLock();  }
+				}
+
+			if (cancelDelegate())
+				{  return null;  }
+
+
+			// Convert the topics into entries.  Names that only differ by case are combined, but not if that would give them different
+			// abbreviations like "GetValue" and "Getvalue".
+
+			StringTable<Keyword> keywordEntryTable = new StringTable<Keyword>(KeySettings.IgnoreCase);
+
+			foreach (var topic in topics)
+				{
+				var topicEntry = new SearchIndex.Entries.Topic(topic, this);
+
+				if (topicEntry.Abbreviation == null)
+					{  continue;  }
+
+				string name = topicEntry.DisplayName.Substring(topicEntry.EndOfDisplayNameQualifiers);
+				string key = topicEntry.Abbreviation + ' ' + name;
+
+				var keywordEntry = keywordEntryTable[key];
+
+				if (keywordEntry == null)
+					{
+					keywordEntry = new Keyword(name);
+					keywordEntry.Abbreviation = topicEntry.Abbreviation;
+					keywordEntryTable[key] = keywordEntry;
+					}
+
+				keywordEntry.TopicEntries.Add(topicEntry);
+				}
+
+			List<Keyword> keywordEntries = new List<Keyword>(keywordEntryTable.Count);
+
+			foreach (var keywordEntryTablePair in keywordEntryTable)
+				{  keywordEntries.Add(keywordEntryTablePair.Value);  }
+
+			return keywordEntries;
+			}
+
+
 		/* Function: IncludeInIndex
 		 * Whether the passed <Engine.Topics.Topic> should be included in the search index.
 		 */
@@ -304,6 +444,98 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 			return (keyword.Length >= prefix.Length && string.Compare(keyword, 0, prefix, 0, prefix.Length, true) == 0);
 			}
 
+		/* Function: BodyWordPrefix
+		 * Returns the prefix for a word appearing in a topic body.  This is the same as <KeywordPrefix()> but with <BodyPrefixMarker>
+		 * in front so they can share the same table without colliding.
+		 */
+		public string BodyWordPrefix (string word)
+			{
+			return BodyPrefixMarker + KeywordPrefix(word);
+			}
+
+		/* Function: IsBodyPrefix
+		 * Returns whether the passed prefix was generated by <BodyWordPrefix()> rather than <KeywordPrefix()>.
+		 */
+		public bool IsBodyPrefix (string prefix)
+			{
+			return prefix.StartsWith(BodyPrefixMarker, StringComparison.Ordinal);
+			}
+
+		/* Function: RemoveBodyPrefixMarker
+		 * Returns a body prefix without <BodyPrefixMarker>, which is what will appear in the output.
+		 */
+		public string RemoveBodyPrefixMarker (string prefix)
+			{
+			#if DEBUG
+			if (!IsBodyPrefix(prefix))
+				{  throw new Exception("Tried to remove the body prefix marker from \"" + prefix + "\" which doesn't have one.");  }
+			#endif
+
+			return prefix.Substring(BodyPrefixMarker.Length);
+			}
+
+		/* Function: AbbreviationPrefix
+		 * Returns the prefix for an abbreviation generated by <Entries.Entry.GetAbbreviation()>.  This is the same as <KeywordPrefix()>
+		 * but with <AbbreviationPrefixMarker> in front so they can share the same table without colliding.
+		 */
+		public string AbbreviationPrefix (string abbreviation)
+			{
+			return AbbreviationPrefixMarker + KeywordPrefix(abbreviation);
+			}
+
+		/* Function: IsAbbreviationPrefix
+		 * Returns whether the passed prefix was generated by <AbbreviationPrefix()> rather than <KeywordPrefix()>.
+		 */
+		public bool IsAbbreviationPrefix (string prefix)
+			{
+			return prefix.StartsWith(AbbreviationPrefixMarker, StringComparison.Ordinal);
+			}
+
+		/* Function: IsKeywordPrefix
+		 * Returns whether the passed prefix was generated by <KeywordPrefix()> rather than <BodyWordPrefix()> or
+		 * <AbbreviationPrefix()>.
+		 */
+		public bool IsKeywordPrefix (string prefix)
+			{
+			return (!IsBodyPrefix(prefix) && !IsAbbreviationPrefix(prefix));
+			}
+
+		/* Function: RemoveAbbreviationPrefixMarker
+		 * Returns an abbreviation prefix without <AbbreviationPrefixMarker>, which is what will appear in the output.
+		 */
+		public string RemoveAbbreviationPrefixMarker (string prefix)
+			{
+			#if DEBUG
+			if (!IsAbbreviationPrefix(prefix))
+				{  throw new Exception("Tried to remove the abbreviation prefix marker from \"" + prefix + "\" which doesn't have one.");  }
+			#endif
+
+			return prefix.Substring(AbbreviationPrefixMarker.Length);
+			}
+
+		/* Function: BodyPrefixes
+		 * Returns a list of all the distinct body prefixes that apply to the passed topic.  It will be empty if the topic doesn't have a body.
+		 */
+		protected List<string> BodyPrefixes (Engine.Topics.Topic topic)
+			{
+			List<string> bodyPrefixes = new List<string>();
+
+			if ((topic.IgnoredFields & Engine.Topics.Topic.IgnoreFields.Body) != 0 || topic.Body == null)
+				{  return bodyPrefixes;  }
+
+			var bodyText = new BodyText(topic);
+
+			foreach (string word in bodyText.Words)
+				{
+				string bodyPrefix = BodyWordPrefix(word);
+
+				if (!bodyPrefixes.Contains(bodyPrefix))
+					{  bodyPrefixes.Add(bodyPrefix);  }
+				}
+
+			return bodyPrefixes;
+			}
+
 
 
 		// Group: SearchIndex.IChangeWatcher Functions
@@ -402,33 +634,20 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 				{  return;  }
 
 			var entry =  new SearchIndex.Entries.Topic(topic, this);
+			var bodyPrefixes = BodyPrefixes(topic);
 
 			accessLock.EnterWriteLock();
 
 			try
 				{
 				foreach (string keyword in entry.Keywords)
-					{
-					string prefix = KeywordPrefix(keyword);
-					var topicIDs = prefixTopicIDs[prefix];
+					{  AddTopicToPrefix(topic.TopicID, KeywordPrefix(keyword), eventAccessor);  }
 
-					if (topicIDs == null)
-						{
-						topicIDs = new IDObjects.NumberSet();
-						topicIDs.Add(topic.TopicID);
-						prefixTopicIDs[prefix] = topicIDs;
+				if (entry.Abbreviation != null)
+					{  AddTopicToPrefix(topic.TopicID, AbbreviationPrefix(entry.Abbreviation), eventAccessor);  }
 
-						foreach (var changeWatcher in changeWatchers)
-							{  changeWatcher.OnAddPrefix(prefix, eventAccessor);  }
-						}
-					else
-						{
-						topicIDs.Add(topic.TopicID);
-
-						foreach (var changeWatcher in changeWatchers)
-							{  changeWatcher.OnUpdatePrefix(prefix, eventAccessor);  }
-						}
-					}
+				foreach (string bodyPrefix in bodyPrefixes)
+					{  AddTopicToPrefix(topic.TopicID, bodyPrefix, eventAccessor);  }
 				}
 			finally
 				{  accessLock.ExitWriteLock();  }
@@ -446,6 +665,42 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 			if (!IncludeInIndex(newTopic))
 				{  return;  }
 
+
+			// If the body changed the topic may have moved between body prefixes.  This is handled separately since the keywords aren't
+			// affected by it.
+
+			List<string> newBodyPrefixes = BodyPrefixes(newTopic);
+
+			if ((changeFlags & Engine.Topics.Topic.ChangeFlags.Body) != 0)
+				{
+				List<string> oldBodyPrefixes = BodyPrefixes(oldTopic);
+
+				accessLock.EnterWriteLock();
+
+				try
+					{
+					foreach (string oldBodyPrefix in oldBodyPrefixes)
+						{
+						if (!newBodyPrefixes.Contains(oldBodyPrefix))
+							{  RemoveTopicFromPrefix(oldTopic.TopicID, oldBodyPrefix, eventAccessor);  }
+						}
+
+					foreach (string newBodyPrefix in newBodyPrefixes)
+						{
+						if (!oldBodyPrefixes.Contains(newBodyPrefix))
+							{  AddTopicToPrefix(newTopic.TopicID, newBodyPrefix, eventAccessor);  }
+						else
+							{
+							// The snippet may have changed even if the prefix is the same.
+							foreach (var changeWatcher in changeWatchers)
+								{  changeWatcher.OnUpdatePrefix(newBodyPrefix, eventAccessor);  }
+							}
+						}
+					}
+				finally
+					{  accessLock.ExitWriteLock();  }
+				}
+
 			if ((changeFlags & (Engine.Topics.Topic.ChangeFlags.Title |
 										Engine.Topics.Topic.ChangeFlags.CommentTypeID |
 										Engine.Topics.Topic.ChangeFlags.SymbolDefinitonNumber |
@@ -458,7 +713,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 
 
 			// We assume that if the topics are similar enough to use OnUpdateTopic() instead of OnAdd/RemoveTopic() then they'll generate the exact
-			// same keyword list, and they'll even be in the same order.  This allows for a nice optimization here, but test it in debug builds in case these
+			// same keyword list and abbreviation, and the keywords will even be in the same order.  This allows for a nice optimization here, but test it in debug builds in case these
 			// assumptions are wrong in the future.
 
 			#if DEBUG
@@ -478,6 +733,9 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 						{  throw new Exception ("SearchIndex incorrectly assumes both the old and new topics in OnUpdateTopic() have the same keywords.");  }
 					}
 
+				if (newEntry.Abbreviation != oldEntry.Abbreviation)
+					{  throw new Exception ("SearchIndex incorrectly assumes both the old and new topics in OnUpdateTopic() have the same abbreviation.");  }
+
 			#endif
 
 			var entry = new SearchIndex.Entries.Topic(newTopic, this);
@@ -494,6 +752,25 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 					foreach (var changeWatcher in changeWatchers)
 						{  changeWatcher.OnUpdatePrefix(prefix, eventAccessor);  }
 					}
+
+				if (entry.Abbreviation != null)
+					{
+					string abbreviationPrefix = AbbreviationPrefix(entry.Abbreviation);
+
+					foreach (var changeWatcher in changeWatchers)
+						{  changeWatcher.OnUpdatePrefix(abbreviationPrefix, eventAccessor);  }
+					}
+
+				// The body prefix files include the title, comment type, and location of each topic so they need to be updated as well.  If the body
+				// changed these were already handled above.
+				if ((changeFlags & Engine.Topics.Topic.ChangeFlags.Body) == 0)
+					{
+					foreach (var bodyPrefix in newBodyPrefixes)
+						{
+						foreach (var changeWatcher in changeWatchers)
+							{  changeWatcher.OnUpdatePrefix(bodyPrefix, eventAccessor);  }
+						}
+					}
 				}
 			finally
 				{
@@ -510,40 +787,79 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 				{  return;  }
 
 			var entry =  new SearchIndex.Entries.Topic(topic, this);
+			var bodyPrefixes = BodyPrefixes(topic);
 
 			accessLock.EnterWriteLock();
 
 			try
 				{
 				foreach (string keyword in entry.Keywords)
-					{
-					string prefix = KeywordPrefix(keyword);
-					var numberSet = prefixTopicIDs[prefix];
+					{  RemoveTopicFromPrefix(topic.TopicID, KeywordPrefix(keyword), eventAccessor);  }
 
-					if (numberSet != null)
-						{
-						numberSet.Remove(topic.TopicID);
-
-						if (numberSet.IsEmpty)
-							{
-							prefixTopicIDs.Remove(prefix);
+				if (entry.Abbreviation != null)
+					{  RemoveTopicFromPrefix(topic.TopicID, AbbreviationPrefix(entry.Abbreviation), eventAccessor);  }
 
-							foreach (var changeWatcher in changeWatchers)
-								{  changeWatcher.OnDeletePrefix(prefix, eventAccessor);  }
-							}
-						else
-							{
-							foreach (var changeWatcher in changeWatchers)
-								{  changeWatcher.OnUpdatePrefix(prefix, eventAccessor);  }
-							}
-						}
-					}
+				foreach (string bodyPrefix in bodyPrefixes)
+					{  RemoveTopicFromPrefix(topic.TopicID, bodyPrefix, eventAccessor);  }
 				}
 			finally
 				{  accessLock.ExitWriteLock();  }
 			}
 
 
+		/* Function: AddTopicToPrefix
+		 * Adds a topic ID to a prefix and notifies the change watchers.  You must hold the write lock to call this function.
+		 */
+		protected void AddTopicToPrefix (int topicID, string prefix, CodeDB.EventAccessor eventAccessor)
+			{
+			var topicIDs = prefixTopicIDs[prefix];
+
+			if (topicIDs == null)
+				{
+				topicIDs = new IDObjects.NumberSet();
+				topicIDs.Add(topicID);
+				prefixTopicIDs[prefix] = topicIDs;
+
+				foreach (var changeWatcher in changeWatchers)
+					{  changeWatcher.OnAddPrefix(prefix, eventAccessor);  }
+				}
+			else
+				{
+				topicIDs.Add(topicID);
+
+				foreach (var changeWatcher in changeWatchers)
+					{  changeWatcher.OnUpdatePrefix(prefix, eventAccessor);  }
+				}
+			}
+
+
+		/* Function: RemoveTopicFromPrefix
+		 * Removes a topic ID from a prefix and notifies the change watchers.  You must hold the write lock to call this function.
+		 */
+		protected void RemoveTopicFromPrefix (int topicID, string prefix, CodeDB.EventAccessor eventAccessor)
+			{
+			var topicIDs = prefixTopicIDs[prefix];
+
+			if (topicIDs != null)
+				{
+				topicIDs.Remove(topicID);
+
+				if (topicIDs.IsEmpty)
+					{
+					prefixTopicIDs.Remove(prefix);
+
+					foreach (var changeWatcher in changeWatchers)
+						{  changeWatcher.OnDeletePrefix(prefix, eventAccessor);  }
+					}
+				else
+					{
+					foreach (var changeWatcher in changeWatchers)
+						{  changeWatcher.OnUpdatePrefix(prefix, eventAccessor);  }
+					}
+				}
+			}
+
+
 		public void OnAddLink (Link link, CodeDB.EventAccessor eventAccessor)
 			{
 			// We don't care about links.
@@ -596,6 +912,18 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML.SearchIndex
 
 		public const KeySettings KeySettingsForPrefixes = KeySettings.Literal;
 
+		/* Constant: BodyPrefixMarker
+		 * The string that appears before all prefixes for words in topic bodies.  Keyword prefixes are never more than three characters
+		 * so they can't collide with these.
+		 */
+		public const string BodyPrefixMarker = "body:";
+
+		/* Constant: AbbreviationPrefixMarker
+		 * The string that appears before all prefixes for abbreviations.  Like <BodyPrefixMarker> it can't collide with keyword
+		 * prefixes since they're never more than three characters.
+		 */
+		public const string AbbreviationPrefixMarker = "abbr:";
+
 
 
 		// Group: Variables
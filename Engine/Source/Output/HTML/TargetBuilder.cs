@@ -444,6 +444,39 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 							{  continue;  }
 						}
 
+
+					// Build the service worker
+
+					// This has to be last since its cache version comes from the menu, search, and style files.  If other threads are
+					// still working on those we leave it for them to pick up when they're done so it's only built once.
+
+					bool buildServiceWorker = false;
+
+					lock (accessLock)
+						{
+						if (workInProgress == 0 && Target.UnprocessedChanges.PickServiceWorker())
+							{
+							workInProgress += ServiceWorkerCost;
+							buildServiceWorker = true;
+							}
+						}
+
+					if (buildServiceWorker)
+						{
+						BuildServiceWorker(cancelDelegate);
+
+						lock (accessLock)
+							{  workInProgress -= ServiceWorkerCost;  }
+
+						if (cancelDelegate())
+							{
+							Target.UnprocessedChanges.AddServiceWorker();
+							break;
+							}
+						else
+							{  continue;  }
+						}
+
 					else
 						{  break;  }
 					}
@@ -560,6 +593,12 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 					"<div id=\"NDThemeSwitcher\"></div>" +
 					"<input id=\"NDSearchField\" type=\"text\" autocomplete=\"off\" />"+
 
+					// These collapse the menu and summary, or open and close them as drawers in the narrow layout.
+					"<a id=\"NDMenuToggle\" href=\"javascript:NDFramePage.TogglePanel('Menu')\" role=\"button\" " +
+						"title=\"" + Locale.Get("NaturalDocs.Engine", "HTML.ToggleMenu").ToHTML() + "\"></a>" +
+					"<a id=\"NDSummaryToggle\" href=\"javascript:NDFramePage.TogglePanel('Summary')\" role=\"button\" " +
+						"title=\"" + Locale.Get("NaturalDocs.Engine", "HTML.ToggleSummary").ToHTML() + "\"></a>" +
+
 				"</div>" +
 
 				"<script type=\"text/javascript\">" +
@@ -1174,6 +1213,8 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 				}
 			finally
 				{  buildState.Unlock();  }
+
+			Target.UnprocessedChanges.AddServiceWorker();
 			}
 
 
@@ -1184,6 +1225,10 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 			Context context = new Context(Target);
 			Components.JSONSearchIndex searchData = new Components.JSONSearchIndex(context);
 			searchData.BuildIndexDataFile();
+			searchData.BuildBodyIndexDataFile();
+			searchData.BuildAbbreviationIndexDataFile();
+
+			Target.UnprocessedChanges.AddServiceWorker();
 			}
 
 
@@ -1193,7 +1238,13 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 			{
 			Context context = new Context(Target);
 			Components.JSONSearchIndex searchData = new Components.JSONSearchIndex(context);
-			searchData.BuildPrefixDataFile(prefix, accessor, cancelDelegate);
+
+			if (Target.SearchIndex.IsBodyPrefix(prefix))
+				{  searchData.BuildBodyPrefixDataFile(prefix, accessor, cancelDelegate);  }
+			else if (Target.SearchIndex.IsAbbreviationPrefix(prefix))
+				{  searchData.BuildAbbreviationPrefixDataFile(prefix, accessor, cancelDelegate);  }
+			else
+				{  searchData.BuildPrefixDataFile(prefix, accessor, cancelDelegate);  }
 			}
 
 
@@ -1369,6 +1420,239 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 				}
 
 			HTML.Component.WriteTextFile(Paths.Style.OutputFolder(Target.OutputFolder) + "/main.js", jsOutputString);
+
+			Target.UnprocessedChanges.AddServiceWorker();
+			}
+
+
+		/* Function: BuildServiceWorker
+		 *
+		 * Builds serviceworker.js, which lets the documentation be used offline if the style registers it.  It precaches the frame
+		 * page, the style files, the menu, and the search index, and caches everything else as it's requested.
+		 *
+		 * This needs to be rebuilt whenever the list of files to precache changes, which is whenever the menu, the main search
+		 * files, or the main style files are rebuilt.  Those add it to <UnprocessedChanges> so it's built once at the end of
+		 * <WorkOnFinalizingOutput()>.  The cache version is a hash of the precached files so browsers only replace what they
+		 * cached when one of them actually changes.
+		 */
+		protected void BuildServiceWorker (CancelDelegate cancelDelegate)
+			{
+			List<Path> precacheFiles = new List<Path>();
+
+			precacheFiles.Add(Target.OutputFolder + "/index.html");
+			precacheFiles.Add(Target.OutputFolder + "/other/home.html");
+
+
+			// Style files
+
+			precacheFiles.Add(Paths.Style.OutputFolder(Target.OutputFolder) + "/main.css");
+			precacheFiles.Add(Paths.Style.OutputFolder(Target.OutputFolder) + "/main.js");
+
+			foreach (var style in Target.StylesWithInheritance)
+				{
+				if (style.Links != null)
+					{
+					foreach (var link in style.Links)
+						{
+						string extension = link.File.Extension.ToLower(CultureInfo.InvariantCulture);
+
+						if (extension == "js" || extension == "json" || extension == "css")
+							{
+							Path relativeLinkPath = style.MakeRelative(link.File);
+							precacheFiles.Add( Paths.Style.OutputFile(Target.OutputFolder, style.Name, relativeLinkPath) );
+							}
+						}
+					}
+				}
+
+
+			// Search index
+
+			precacheFiles.Add( Paths.SearchIndex.IndexOutputFile(Target.OutputFolder) );
+			precacheFiles.Add( Paths.SearchIndex.BodyIndexOutputFile(Target.OutputFolder) );
+			precacheFiles.Add( Paths.SearchIndex.AbbreviationIndexOutputFile(Target.OutputFolder) );
+
+			foreach (var prefix in Target.SearchIndex.UsedPrefixes())
+				{
+				// Body and abbreviation prefixes are left to be cached as they're used since there can be a lot of them.
+				if (Target.SearchIndex.IsKeywordPrefix(prefix))
+					{  precacheFiles.Add( Paths.SearchIndex.PrefixOutputFile(Target.OutputFolder, prefix) );  }
+				}
+
+
+			// Menu
+
+			precacheFiles.Add( Paths.Menu.TabOutputFile(Target.OutputFolder) );
+
+			var buildState = Target.BuildState;
+			buildState.Lock();
+			try
+				{
+				List<BuildState.MenuInfo> menus = new List<BuildState.MenuInfo>();
+
+				if (buildState.FileMenuInfo != null)
+					{  menus.Add(buildState.FileMenuInfo);  }
+				if (buildState.HierarchyMenuInfo != null)
+					{  menus.AddRange(buildState.HierarchyMenuInfo);  }
+
+				foreach (var menu in menus)
+					{
+					foreach (int dataFileNumber in menu.UsedDataFileNumbers)
+						{
+						precacheFiles.Add( Paths.Menu.MenuOutputFile(Target.OutputFolder, menu.DataFileIdentifier, dataFileNumber) );
+						}
+					}
+				}
+			finally
+				{  buildState.Unlock();  }
+
+			if (cancelDelegate())
+				{  return;  }
+
+
+			// Cache version
+
+			List<string> precacheURLs = new List<string>(precacheFiles.Count + 1);
+			precacheURLs.Add("./");
+
+			string cacheVersion;
+
+			using (var sha1 = System.Security.Cryptography.SHA1.Create())
+				{
+				foreach (var precacheFile in precacheFiles)
+					{
+					string url = precacheFile.MakeRelativeTo(Target.OutputFolder).ToURL();
+					precacheURLs.Add(url);
+
+					byte[] urlBytes = Encoding.UTF8.GetBytes(url + "\n");
+					sha1.TransformBlock(urlBytes, 0, urlBytes.Length, null, 0);
+
+					// Missing files are still hashed by their URL so the version changes when they appear.
+					if (System.IO.File.Exists(precacheFile))
+						{
+						byte[] fileBytes = System.IO.File.ReadAllBytes(precacheFile);
+						sha1.TransformBlock(fileBytes, 0, fileBytes.Length, null, 0);
+						}
+					}
+
+				sha1.TransformFinalBlock(new byte[0], 0, 0);
+
+				StringBuilder hashString = new StringBuilder(16);
+
+				for (int i = 0; i < 8; i++)
+					{  hashString.Append( sha1.Hash[i].ToString("x2", CultureInfo.InvariantCulture) );  }
+
+				cacheVersion = hashString.ToString();
+				}
+
+			if (cancelDelegate())
+				{  return;  }
+
+
+			// Build the service worker
+
+			StringBuilder jsOutput = new StringBuilder(
+				"\"use strict\";\n" +
+				"\n" +
+				"var cachePrefix = \"NaturalDocs:\" + self.registration.scope + \":\";\n" +
+				"var cacheName = cachePrefix + \"" + cacheVersion + "\";\n" +
+				"\n" +
+				"var precacheFiles = [\n");
+
+			for (int i = 0; i < precacheURLs.Count; i++)
+				{
+				jsOutput.Append("   \"");
+				jsOutput.StringEscapeAndAppend(precacheURLs[i]);
+				jsOutput.Append('"');
+
+				if (i < precacheURLs.Count - 1)
+					{  jsOutput.Append(',');  }
+
+				jsOutput.Append('\n');
+				}
+
+			jsOutput.Append(
+				"   ];\n" +
+				"\n" +
+				"self.addEventListener('install', function (event)\n" +
+				"   {\n" +
+				"   event.waitUntil(\n" +
+				"      caches.open(cacheName).then(function (cache)\n" +
+				"         {\n" +
+
+						// Add the files individually so a missing one, such as home.html when there's a custom home page, doesn't
+						// prevent the rest from being cached.
+
+				"         return Promise.all( precacheFiles.map(function (file)\n" +
+				"            {\n" +
+				"            return cache.add(file).catch(function () {  });\n" +
+				"            }) );\n" +
+				"         }).then(function ()\n" +
+				"         {  return self.skipWaiting();  })\n" +
+				"      );\n" +
+				"   });\n" +
+				"\n" +
+				"self.addEventListener('activate', function (event)\n" +
+				"   {\n" +
+				"   event.waitUntil(\n" +
+				"      caches.keys().then(function (keys)\n" +
+				"         {\n" +
+				"         return Promise.all( keys.filter(function (key)\n" +
+				"            {  return (key.indexOf(cachePrefix) == 0 && key != cacheName);  }).map(function (key)\n" +
+				"            {  return caches.delete(key);  }) );\n" +
+				"         }).then(function ()\n" +
+				"         {  return self.clients.claim();  })\n" +
+				"      );\n" +
+				"   });\n" +
+				"\n" +
+
+				// Everything is served from the cache if it's there so it loads immediately, but is still requested from the network so
+				// the cache is updated for the next time.  Content pages are requested with query parameters like the theme and
+				// scroll position, so those are ignored when matching and stripped when storing.  Otherwise every variation would
+				// get its own entry that's never used.
+
+				"self.addEventListener('fetch', function (event)\n" +
+				"   {\n" +
+				"   var request = event.request;\n" +
+				"   var cacheKey = request.url.replace(/\\?.*$/, '');\n" +
+				"\n" +
+				"   if (request.method != 'GET' || request.url.indexOf(self.registration.scope) != 0)\n" +
+				"      {  return;  }\n" +
+				"\n" +
+				"   event.respondWith(\n" +
+				"      caches.open(cacheName).then(function (cache)\n" +
+				"         {\n" +
+				"         return cache.match(request, { ignoreSearch: true }).then(function (cachedResponse)\n" +
+				"            {\n" +
+				"            var networkResponse = fetch(request).then(function (response)\n" +
+				"               {\n" +
+				"               if (response.ok)\n" +
+				"                  {  cache.put(cacheKey, response.clone());  }\n" +
+				"\n" +
+				"               return response;\n" +
+				"               });\n" +
+				"\n" +
+				"            if (cachedResponse)\n" +
+				"               {\n" +
+				"               event.waitUntil( networkResponse.catch(function () {  }) );\n" +
+				"               return cachedResponse;\n" +
+				"               }\n" +
+				"            else\n" +
+				"               {  return networkResponse;  }\n" +
+				"            });\n" +
+				"         })\n" +
+				"      );\n" +
+				"   });\n");
+
+			string jsOutputString = jsOutput.ToString();
+
+			if (EngineInstance.Config.ShrinkFiles)
+				{
+				ResourceProcessors.JavaScript jsProcessor = new ResourceProcessors.JavaScript();
+				jsOutputString = jsProcessor.Process(jsOutputString, true);
+				}
+
+			HTML.Component.WriteTextFile(Target.OutputFolder + "/serviceworker.js", jsOutputString);
 			}
 
 
@@ -1573,6 +1857,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 		 *		FramePageCost - How much building the frame page costs.
 		 *		HomePageCost - How much building the home page costs.
 		 *		MenuCost - How much building the menu costs.
+		 *		ServiceWorkerCost - How much building the service worker costs.
 		 *		PossiblyEmptyFolderCost - How much checking a single folder for files costs.
 		 */
 		public const long SourceFileCost = 10;
@@ -1586,6 +1871,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 		public const long FramePageCost = 1;
 		public const long HomePageCost = 1;
 		public const long MenuCost = 15;
+		public const long ServiceWorkerCost = 1;
 		public const long PossiblyEmptyFolderCost = 1;
 
 		}
@@ -52,6 +52,7 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 			framePage = false;
 			homePage = false;
 			menu = false;
+			serviceWorker = false;
 
 			possiblyEmptyFolders = new StringSet(Config.Manager.KeySettingsForPaths);
 
@@ -93,6 +94,9 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 				if (menu)
 					{  count += TargetBuilder.MenuCost;  }
 
+				if (serviceWorker)
+					{  count += TargetBuilder.ServiceWorkerCost;  }
+
 				count += possiblyEmptyFolders.Count * TargetBuilder.PossiblyEmptyFolderCost;
 				}
 
@@ -262,6 +266,15 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 				{  menu = true;  }
 			}
 
+		/* Function: AddServiceWorker
+		 * Adds the service worker, serviceworker.js, to the list of things that need to be rebuilt.
+		 */
+		public void AddServiceWorker ()
+			{
+			lock (accessLock)
+				{  serviceWorker = true;  }
+			}
+
 		/* Function: AddPossiblyEmptyFolder
 		 * Adds a folder that has had a file deleted from it to the list of folders we need to check to see if they're empty.
 		 */
@@ -442,6 +455,24 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 				}
 			}
 
+		/* Function: PickServiceWorker
+		 * Picks the service worker to work on, returning whether it's necessary.  If it returns true it will be removed from the list
+		 * of unprocessed changes.
+		 */
+		 public bool PickServiceWorker ()
+			{
+			lock (accessLock)
+				{
+				if (serviceWorker)
+					{
+					serviceWorker = false;
+					return true;
+					}
+				else
+					{  return false;  }
+				}
+			}
+
 		/* Function: PickPossiblyEmptyFolders
 		 *
 		 * Picks the possibly empty folders to work on, if there are any.  You have to process all of them at once, so it is returned
@@ -609,6 +640,17 @@ namespace CodeClear.NaturalDocs.Engine.Output.HTML
 		protected internal bool menu;
 
 
+		/* var: serviceWorker
+		 *
+		 * Whether the service worker, serviceworker.js, needs to be rebuilt.
+		 *
+		 * This variable is protected internal because some code may need to access it directly.  You should use the access
+		 * functions instead of doing this whenever possible.  All direct access to the variable must be surrounded by calls to
+		 * <Lock()> and <Unlock()>.
+		 */
+		protected internal bool serviceWorker;
+
+
 		/* var: possiblyEmptyFolders
 		 *
 		 * A set of folders that have had files removed, and thus should be deleted if empty.
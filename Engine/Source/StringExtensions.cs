@@ -203,7 +203,7 @@ namespace CodeClear.NaturalDocs.Engine
 		 */
 		public static string EntityEncode (this char input)
 			{
-			// DEPENDENCY: Must update Styles/NDCore.js String.EntityDecode() if this function changes.
+			// DEPENDENCY: Must update Styles/NDCore.js String.EntityDecode() and String.EntityEncode() if this function changes.
 
 			if (input == '"')
 				{  return "&quot;";  }